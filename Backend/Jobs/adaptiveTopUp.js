@@ -0,0 +1,35 @@
+// jobs/adaptiveTopUp.js
+// Generates questions at the level an adaptive attempt ran dry at, off the request path. They go
+// to the review queue, so they top up the pool for later quizzes once approved.
+import Queue from 'bull';
+import QuizAttempt from '../models/QuizAttempt.js';
+import AdaptiveService from '../services/adaptive.service.js';
+
+const topUpQueue = new Queue('adaptive-top-up', {
+  redis: { host: 'localhost', port: 6379 },
+});
+
+topUpQueue.process(async (job) => {
+  const { attemptId, difficultyLabel } = job.data;
+  const attempt = await QuizAttempt.findById(attemptId).select('user video summary document image adaptive').lean();
+  if (!attempt) return { generated: 0 };
+
+  const saved = await AdaptiveService.generateQuestions(attempt, difficultyLabel);
+  // $inc rather than save(): the attempt is being answered while this job runs
+  if (saved.length) await QuizAttempt.updateOne({ _id: attemptId }, { $inc: { 'adaptive.generatedCount': saved.length } });
+  console.log(`Adaptive top-up for attempt ${attemptId}: ${saved.length} ${difficultyLabel} question(s) generated`);
+  return { generated: saved.length };
+});
+
+topUpQueue.on('failed', (job, err) => {
+  console.error(`Adaptive top-up job ${job.id} failed for attempt ${job.data.attemptId}:`, err);
+});
+
+// One top-up at a time per attempt: Bull ignores an add whose jobId is still queued or running
+export const addAdaptiveTopUpJob = (attemptId, difficultyLabel) => {
+  topUpQueue.add({ attemptId: attemptId.toString(), difficultyLabel }, {
+    jobId: `adaptive-top-up:${attemptId}`,
+    removeOnComplete: true,
+    removeOnFail: true,
+  }).catch(error => console.error(`Could not queue adaptive top-up for attempt ${attemptId}:`, error));
+};
@@ -0,0 +1,112 @@
+// jobs/documentProcessor.js
+import Queue from 'bull';
+import fs from 'fs';
+import DocumentTextService from '../services/documentText.service.js';
+import AIService from '../services/ai.service.js';
+import DedupeService from '../services/dedupe.service.js';
+import Document from '../models/Document.js';
+import Question from '../models/Question.js';
+
+const documentQueue = new Queue('document-processing', {
+  redis: { host: 'localhost', port: 6379 },
+});
+
+const QUESTION_COUNT = 5;
+
+// Build Question documents from generated fields, keeping only pages that exist in the document
+const toQuestions = (generated, document, pageCount) => generated.map((fields) => {
+  const cited = Number(fields.page);
+  const page = Number.isInteger(cited) && cited >= 1 && cited <= pageCount ? cited : null;
+  const { timestamp, ...rest } = fields;
+  return new Question({
+    ...rest,
+    category: ['comprehension', 'analysis', 'application', 'synthesis', 'evaluation'].includes(fields.category) ? fields.category : 'comprehension',
+    difficulty: ['easy', 'medium', 'hard'].includes(fields.difficulty) ? fields.difficulty : 'medium',
+    page,
+    user: document.user,
+    document: document._id,
+  });
+});
+
+documentQueue.process(async (job) => {
+  const { documentId, filePath, mimetype } = job.data;
+  console.log(`Processing job for document ${documentId} at ${filePath}`);
+  try {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found for text extraction: ${filePath}`);
+    }
+
+    const extracted = await DocumentTextService.extract(filePath, mimetype);
+    if (!extracted.text) throw new Error('No text could be extracted from this document');
+    console.log(`Text extraction completed for document ${documentId} (${extracted.pageCount} pages)`);
+    const document = await Document.findByIdAndUpdate(documentId, {
+      status: 'processing',
+      processingStage: 'summarization',
+      textContent: {
+        text: extracted.text,
+        pages: extracted.pages,
+        pagesEstimated: extracted.pagesEstimated,
+        method: extracted.method,
+        extractedAt: new Date(),
+      },
+      'metadata.pageCount': extracted.pageCount,
+    }, { new: true });
+
+    const summary = await AIService.generateSummary(extracted.text.substring(0, 30000), 'detailed');
+    console.log(`Summarization completed for document ${documentId}`);
+    await Document.findByIdAndUpdate(documentId, {
+      processingStage: 'question_generation',
+      summary: { text: summary.content, generatedAt: new Date(), model: summary.model },
+    });
+
+    const generated = await AIService.generateQuestions(
+      DocumentTextService.pagedText(extracted.pages),
+      QUESTION_COUNT,
+      'medium',
+      ['multiple_choice', 'short_answer'],
+      { citation: 'page' },
+    );
+    let saved = 0;
+    for (const question of toQuestions(generated, document, extracted.pageCount)) {
+      try {
+        // Reprocessing the same document should not pile up the same questions again
+        const [duplicate] = await DedupeService.findSimilar(question, { threshold: DedupeService.duplicateThreshold });
+        if (duplicate) continue;
+        await question.save();
+        saved += 1;
+      } catch (error) {
+        console.error('Skipping invalid generated question:', error.message);
+      }
+    }
+    console.log(`Question generation completed for document ${documentId}: ${saved} saved`);
+
+    await Document.findByIdAndUpdate(documentId, {
+      status: 'completed',
+      processingStage: 'completed',
+    });
+  } catch (error) {
+    console.error(`Job failed for document ${documentId}:`, error);
+    await Document.findByIdAndUpdate(documentId, {
+      status: 'failed',
+      processingStage: 'failed',
+      error: error.message,
+    });
+    throw error;
+  }
+});
+
+documentQueue.on('failed', (job, err) => {
+  console.error(`Job ${job.id} failed for document ${job.data.documentId}:`, err);
+  // No retries left, so nothing will read the local copy again
+  if (job.attemptsMade >= (job.opts.attempts || 1)) fs.promises.unlink(job.data.filePath).catch(() => {});
+});
+
+// The local copy is only needed for extraction; the original lives in Cloudinary
+documentQueue.on('completed', (job) => {
+  fs.promises.unlink(job.data.filePath).catch(() => {});
+});
+
+export const addDocumentJob = (documentId, filePath, mimetype) => {
+  console.log(`Adding job for document ${documentId} at ${filePath}`);
+  documentQueue.add({ documentId, filePath, mimetype }, { attempts: 3, backoff: { type: 'exponential', delay: 1000 } });
+};
@@ -0,0 +1,80 @@
+// jobs/essayGrader.js
+import Queue from 'bull';
+import AIService from '../services/ai.service.js';
+import Question from '../models/Question.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import HintService from '../services/hint.service.js';
+import ReviewService from '../services/review.service.js';
+
+const essayQueue = new Queue('essay-grading', {
+  redis: { host: 'localhost', port: 6379 },
+});
+
+// Seconds of transcript on each side of the question timestamp sent to the grader
+const CONTEXT_WINDOW = 120;
+const MAX_CONTEXT_CHARS = 12000;
+
+essayQueue.process(async (job) => {
+  const { questionId, answerId } = job.data;
+  console.log(`Grading essay answer ${answerId} for question ${questionId}`);
+
+  const question = await Question.findById(questionId);
+  if (!question) throw new Error(`Question not found: ${questionId}`);
+  const entry = question.userAnswers.id(answerId);
+  if (!entry) throw new Error(`Answer not found: ${answerId}`);
+
+  // Never overwrite an instructor's grade with a late AI result
+  if (entry.gradingStatus === 'overridden') {
+    console.log(`Answer ${answerId} was graded by an instructor; skipping AI grading`);
+    return;
+  }
+
+  // A retried job regrades the answer but must not schedule it twice
+  const firstGrade = entry.gradingStatus === 'pending';
+
+  // Grade against the wording and rubric the learner actually saw
+  const seen = await question.atVersion(entry.questionVersion);
+  // Transcript near the timestamp, or the document page, image OCR or summary the question came from
+  const context = await HintService.sourceText(seen, { window: CONTEXT_WINDOW, maxChars: MAX_CONTEXT_CHARS });
+  const rubric = seen.effectiveRubric().map(({ criterion, description, maxPoints }) => ({ criterion, description, maxPoints }));
+
+  const result = await AIService.gradeEssay({
+    question: seen.question,
+    answer: entry.answer,
+    rubric,
+    context,
+    modelAnswer: seen.correctAnswer,
+  });
+  if (result.error) throw new Error(`Essay grading failed: ${result.error}`);
+
+  await question.applyEssayGrade(answerId, {
+    criteria: result.criteria,
+    feedback: result.feedback,
+    gradedBy: 'ai',
+  });
+  const graded = question.userAnswers.id(answerId);
+  await QuizAttempt.syncAnswerGrade(answerId, { score: graded.score, isCorrect: graded.isCorrect });
+  // The answer was held back from the review schedule until it had a grade
+  if (firstGrade) await ReviewService.recordReview(entry.user, question, graded);
+
+  console.log(`Essay answer ${answerId} graded: ${graded.gradingReason}`);
+});
+
+essayQueue.on('failed', async (job, err) => {
+  console.error(`Essay grading job ${job.id} failed for answer ${job.data.answerId}:`, err);
+  if (job.attemptsMade < (job.opts.attempts || 1)) return;
+
+  try {
+    await Question.updateOne(
+      { _id: job.data.questionId, userAnswers: { $elemMatch: { _id: job.data.answerId, gradingStatus: 'pending' } } },
+      { $set: { 'userAnswers.$.gradingStatus': 'failed', 'userAnswers.$.gradingReason': 'Automatic grading failed; awaiting instructor review' } }
+    );
+  } catch (error) {
+    console.error(`Could not mark essay answer ${job.data.answerId} as failed:`, error);
+  }
+});
+
+export const addEssayGradingJob = (questionId, answerId) => {
+  console.log(`Adding essay grading job for answer ${answerId}`);
+  essayQueue.add({ questionId, answerId }, { attempts: 3, backoff: { type: 'exponential', delay: 5000 } });
+};
@@ -0,0 +1,99 @@
+// jobs/imageProcessor.js
+import Queue from 'bull';
+import fs from 'fs';
+import OcrService from '../services/ocr.service.js';
+import AIService from '../services/ai.service.js';
+import DedupeService from '../services/dedupe.service.js';
+import Image from '../models/Image.js';
+import Question from '../models/Question.js';
+
+const imageQueue = new Queue('image-processing', {
+  redis: { host: 'localhost', port: 6379 },
+});
+
+const QUESTION_COUNT = 3;
+const MIN_TEXT_LENGTH = 40; // below this (a logo, a caption) there is nothing to summarize or quiz on
+
+imageQueue.process(async (job) => {
+  const { imageId, filePath } = job.data;
+  console.log(`Processing job for image ${imageId} at ${filePath}`);
+  try {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found for OCR: ${filePath}`);
+    }
+
+    const ocr = await OcrService.recognize(filePath);
+    console.log(`OCR completed for image ${imageId} (${ocr.lines.length} lines, confidence ${ocr.confidence})`);
+    const image = await Image.findByIdAndUpdate(imageId, {
+      status: 'processing',
+      processingStage: 'summarization',
+      ocr: { ...ocr, processedAt: new Date() },
+    }, { new: true });
+
+    if (ocr.text.length < MIN_TEXT_LENGTH) {
+      console.log(`Image ${imageId} has too little text for a summary or questions`);
+      await Image.findByIdAndUpdate(imageId, { status: 'completed', processingStage: 'completed' });
+      return;
+    }
+
+    const summary = await AIService.generateSummary(ocr.text, 'brief');
+    console.log(`Summarization completed for image ${imageId}`);
+    await Image.findByIdAndUpdate(imageId, {
+      processingStage: 'question_generation',
+      summary: { text: summary.content, generatedAt: new Date(), model: summary.model },
+    });
+
+    const generated = await AIService.generateQuestions(ocr.text, QUESTION_COUNT, 'medium', ['multiple_choice', 'short_answer'], { citation: 'none' });
+    let saved = 0;
+    for (const fields of generated) {
+      const question = new Question({
+        ...fields,
+        category: ['comprehension', 'analysis', 'application', 'synthesis', 'evaluation'].includes(fields.category) ? fields.category : 'comprehension',
+        difficulty: ['easy', 'medium', 'hard'].includes(fields.difficulty) ? fields.difficulty : 'medium',
+        timestamp: null,
+        // Misread text makes for wrong answers, so poor OCR sends questions to review
+        confidence: Math.min(fields.confidence ?? 0, ocr.confidence / 100),
+        user: image.user,
+        image: image._id,
+      });
+      try {
+        const [duplicate] = await DedupeService.findSimilar(question, { threshold: DedupeService.duplicateThreshold });
+        if (duplicate) continue;
+        await question.save();
+        saved += 1;
+      } catch (error) {
+        console.error('Skipping invalid generated question:', error.message);
+      }
+    }
+    console.log(`Question generation completed for image ${imageId}: ${saved} saved`);
+
+    await Image.findByIdAndUpdate(imageId, {
+      status: 'completed',
+      processingStage: 'completed',
+    });
+  } catch (error) {
+    console.error(`Job failed for image ${imageId}:`, error);
+    await Image.findByIdAndUpdate(imageId, {
+      status: 'failed',
+      processingStage: 'failed',
+      error: error.message,
+    });
+    throw error;
+  }
+});
+
+imageQueue.on('failed', (job, err) => {
+  console.error(`Job ${job.id} failed for image ${job.data.imageId}:`, err);
+  // No retries left, so nothing will read the local copy again
+  if (job.attemptsMade >= (job.opts.attempts || 1)) fs.promises.unlink(job.data.filePath).catch(() => {});
+});
+
+// The local copy is only needed for OCR; the original lives in Cloudinary
+imageQueue.on('completed', (job) => {
+  fs.promises.unlink(job.data.filePath).catch(() => {});
+});
+
+export const addImageJob = (imageId, filePath) => {
+  console.log(`Adding job for image ${imageId} at ${filePath}`);
+  imageQueue.add({ imageId, filePath }, { attempts: 2, backoff: { type: 'exponential', delay: 1000 } });
+};
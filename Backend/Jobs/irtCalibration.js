@@ -0,0 +1,56 @@
+// jobs/irtCalibration.js
+import Queue from 'bull';
+import Question from '../models/Question.js';
+import IrtService from '../services/irt.service.js';
+
+const calibrationQueue = new Queue('irt-calibration', {
+  redis: { host: 'localhost', port: 6379 },
+});
+
+// Nightly by default; override with a cron expression in IRT_CALIBRATION_CRON
+const CALIBRATION_CRON = process.env.IRT_CALIBRATION_CRON || '0 3 * * *';
+
+calibrationQueue.process(async (job) => {
+  console.log(`Running IRT calibration job ${job.id}`);
+  const startedAt = Date.now();
+
+  const questions = await Question.find({ 'userAnswers.0': { $exists: true } })
+    .select('difficulty userAnswers.user userAnswers.isCorrect userAnswers.gradingStatus userAnswers.attemptedAt')
+    .lean();
+  const fit = IrtService.fit(IrtService.collectResponses(questions));
+
+  const calibratedAt = new Date();
+  const operations = questions.map(question => ({
+    updateOne: {
+      filter: { _id: question._id },
+      update: { $set: { calibration: IrtService.calibrationFor(question, fit.items.get(question._id.toString()), calibratedAt) } },
+    },
+  }));
+  if (operations.length) await Question.bulkWrite(operations, { ordered: false });
+
+  const calibrated = [...fit.items.values()].filter(item => item.calibrated).length;
+  const mismatched = operations.filter(op => op.updateOne.update.$set.calibration.labelMismatch).length;
+  console.log(`IRT calibration finished in ${Date.now() - startedAt}ms: ${calibrated}/${questions.length} questions calibrated, ${mismatched} flagged, ${fit.iterations} iterations${fit.converged ? '' : ' (did not converge)'}`);
+
+  return { questions: questions.length, calibrated, mismatched, learners: fit.abilities.size, iterations: fit.iterations, converged: fit.converged };
+});
+
+calibrationQueue.on('failed', (job, err) => {
+  console.error(`IRT calibration job ${job.id} failed:`, err);
+});
+
+// Register the repeating calibration run; Bull keys repeat jobs by cron, so this is safe on every start
+export const scheduleCalibration = async () => {
+  try {
+    await calibrationQueue.add({}, { repeat: { cron: CALIBRATION_CRON }, removeOnComplete: 20, removeOnFail: 20 });
+    console.log(`IRT calibration scheduled (${CALIBRATION_CRON})`);
+  } catch (error) {
+    console.error('Could not schedule IRT calibration:', error);
+  }
+};
+
+// At most one on-demand run at a time: Bull ignores an add whose jobId is still queued or running
+export const addCalibrationJob = () => {
+  console.log('Adding on-demand IRT calibration job');
+  return calibrationQueue.add({}, { jobId: 'irt-calibration:on-demand', removeOnComplete: true, removeOnFail: true });
+};
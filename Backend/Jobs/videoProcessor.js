@@ -2,6 +2,7 @@
 import Queue from 'bull';
 import TranscriptionService from '../services/transcription.service.js';
 import AIService from '../services/ai.service.js';
+import ClozeService from '../services/cloze.service.js';
 import Video from '../models/Video.js';
 import fs from 'fs';
 
@@ -44,7 +45,12 @@ videoQueue.process(async (job) => {
       summary: { text: summary.content, generatedAt: new Date(), model: 'gemini-1.5-flash' },
     });
 
-    const questions = await AIService.generateQuestions(transcription.text, 5, 'medium', ['multiple_choice', 'short_answer']);
+    let questions = await AIService.generateQuestions(transcription.text, 5, 'medium', ['multiple_choice', 'short_answer']);
+    if (!questions.length) {
+      // Gemini unavailable or out of quota: fall back to deterministic cloze questions
+      questions = ClozeService.generate(transcription, { count: 5 });
+      console.log(`Using ${questions.length} cloze question(s) for video ${videoId}`);
+    }
     console.log(`Question generation completed for video ${videoId}`);
     await Video.findByIdAndUpdate(videoId, {
       status: 'completed',
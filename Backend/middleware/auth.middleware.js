@@ -80,6 +80,15 @@ const requirePremium = (req, res, next) => {
   }
   next();
 };
+// Restrict a route to the given roles (after authenticateToken); admins pass every role check
+const requireRole = (...roles) => (req, res, next) => {
+  if (req.user?.role === 'admin' || roles.includes(req.user?.role)) return next();
+  return res.status(403).json({
+    success: false,
+    message: `This action requires the ${roles.join(' or ')} role`
+  });
+};
+
 // Optional authentication (for public routes that can benefit from user context)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -101,9 +110,29 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Authenticate a socket.io connection with the same JWT, sent as auth.token or a Bearer header
+const authenticateSocket = async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers?.authorization;
+    const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+    if (!token) return next(new Error('Access token required'));
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user) return next(new Error('User not found'));
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+  }
+};
+
 export default {
   authenticateToken,
+  authenticateSocket,
   checkVideoLimit,
   requirePremium,
+  requireRole,
   optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+const assignmentSchema = new mongoose.Schema({
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true,
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200,
+  },
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: '',
+  },
+  // The material the quiz covers, as for a QuizAttempt
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    default: null,
+  },
+  summary: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Summary',
+    default: null,
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null,
+  },
+  image: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Image',
+    default: null,
+  },
+  // Fixed when the assignment is created so every student gets the same quiz,
+  // even if the teacher adds questions to the video later
+  questions: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Question' }],
+    validate: [questions => questions.length > 0, 'An assignment needs at least one question'],
+  },
+  openAt: {
+    type: Date,
+    default: Date.now,
+  },
+  dueAt: {
+    type: Date,
+    required: true,
+  },
+  attemptLimit: {
+    type: Number,
+    min: 1,
+    max: 10,
+    default: 1,
+  },
+  // Whether attempts may still be started after the due date; they are marked late
+  allowLate: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+assignmentSchema.pre('validate', function(next) {
+  if (this.openAt && this.dueAt && this.dueAt <= this.openAt) {
+    this.invalidate('dueAt', 'Due date must be after the open date');
+  }
+  next();
+});
+
+// 'scheduled' before it opens, 'open' until it is due, then 'late' (late attempts allowed) or 'closed'
+assignmentSchema.methods.availability = function(now = new Date()) {
+  if (now < this.openAt) return 'scheduled';
+  if (now <= this.dueAt) return 'open';
+  return this.allowLate ? 'late' : 'closed';
+};
+
+assignmentSchema.index({ class: 1, dueAt: 1 });
+
+export default mongoose.model('Assignment', assignmentSchema);
@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Join codes avoid characters that are easy to misread (0/O, 1/I)
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+const MAX_INVITES = 500;
+
+const classSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: '',
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  // Students join with this code, or by accepting an invite sent to their email address
+  joinCode: {
+    type: String,
+    unique: true,
+    uppercase: true,
+  },
+  // Pending invites; never checked against existing accounts, so they reveal nothing about who is registered
+  invitedEmails: {
+    type: [{ type: String, lowercase: true, trim: true }],
+    validate: [emails => emails.length <= MAX_INVITES, `A class can have at most ${MAX_INVITES} pending invites`],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+classSchema.statics.MAX_INVITES = MAX_INVITES;
+
+classSchema.statics.generateJoinCode = function() {
+  return Array.from({ length: JOIN_CODE_LENGTH }, () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]).join('');
+};
+
+classSchema.pre('validate', function(next) {
+  if (!this.joinCode) this.joinCode = this.constructor.generateJoinCode();
+  next();
+});
+
+// The class teacher, or an admin
+classSchema.methods.isManagedBy = function(user) {
+  return user.role === 'admin' || this.teacher.equals(user._id);
+};
+
+classSchema.methods.hasStudent = function(userId) {
+  return this.students.some(student => student.equals(userId));
+};
+
+classSchema.methods.hasMember = function(user) {
+  return this.isManagedBy(user) || this.hasStudent(user._id);
+};
+
+classSchema.index({ teacher: 1, createdAt: -1 });
+classSchema.index({ students: 1 });
+classSchema.index({ invitedEmails: 1 });
+
+export default mongoose.model('Class', classSchema);
@@ -54,11 +54,20 @@ const documentSchema = new mongoose.Schema({
   },
   processingStage: {
     type: String,
-    enum: ['uploading', 'text_extraction', 'summarization', 'completed', 'failed'],
+    enum: ['uploading', 'text_extraction', 'summarization', 'question_generation', 'completed', 'failed'],
     default: 'uploading',
   },
   textContent: {
     text: { type: String },
+    // Per-page text, so generated questions can cite the page they come from
+    pages: [{
+      _id: false,
+      number: { type: Number },
+      text: { type: String },
+    }],
+    // True when the format has no page layout and pages were estimated from word counts
+    pagesEstimated: { type: Boolean, default: false },
+    method: { type: String }, // pdf-parse, docx, mammoth, textract or text
     extractedAt: { type: Date },
   },
   summary: {
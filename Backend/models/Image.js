@@ -48,14 +48,41 @@ const imageSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['uploading', 'completed', 'failed'],
+    enum: ['uploading', 'processing', 'completed', 'failed'],
     default: 'uploading',
   },
   processingStage: {
     type: String,
-    enum: ['uploading', 'completed', 'failed'],
+    enum: ['uploading', 'ocr', 'summarization', 'question_generation', 'completed', 'failed'],
     default: 'uploading',
   },
+  // Text recognized in the image, with pixel bounding boxes (x0,y0 top-left; x1,y1 bottom-right)
+  ocr: {
+    text: { type: String },
+    confidence: { type: Number }, // tesseract's 0-100 mean word confidence
+    language: { type: String },
+    lines: [{
+      _id: false,
+      text: { type: String },
+      confidence: { type: Number },
+      bbox: { x0: Number, y0: Number, x1: Number, y1: Number },
+      words: [{
+        _id: false,
+        text: { type: String },
+        confidence: { type: Number },
+        bbox: { x0: Number, y0: Number, x1: Number, y1: Number },
+      }],
+    }],
+    processedAt: { type: Date },
+  },
+  summary: {
+    text: { type: String },
+    generatedAt: { type: Date },
+    model: { type: String },
+  },
+  error: {
+    type: String,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -66,5 +93,6 @@ const imageSchema = new mongoose.Schema({
 
 imageSchema.index({ user: 1, createdAt: -1 });
 imageSchema.index({ status: 1 });
+imageSchema.index({ 'ocr.text': 'text', title: 'text', description: 'text' });
 
 export default mongoose.model('Image', imageSchema);
\ No newline at end of file
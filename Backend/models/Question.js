@@ -1,4 +1,41 @@
 import mongoose from 'mongoose';
+import GradingService from '../services/grading.service.js';
+import QuestionVersion from './QuestionVersion.js';
+import DedupeService from '../services/dedupe.service.js';
+
+// Fields captured in each QuestionVersion; editing any of them creates a new version
+const VERSIONED_FIELDS = [
+  'question', 'type', 'difficulty', 'options', 'multiSelect', 'pairs', 'sequence', 'correctAnswer', 'acceptedAnswers', 'grading',
+  'rubric', 'explanation', 'timestamp', 'page', 'category', 'tags', 'points', 'timeLimit',
+];
+
+// Shuffled copy for learner views; avoids handing back the original (answer) order when it can
+const shuffled = (items) => {
+  const copy = [...items];
+  for (let attempt = 0; attempt < 5; attempt++) {
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    if (copy.some((item, index) => item !== items[index])) break;
+  }
+  return copy;
+};
+
+const MAX_HINTS = 3;
+// Edits to these make existing hints stale
+const HINTED_FIELDS = ['question', 'type', 'options', 'pairs', 'sequence', 'correctAnswer', 'acceptedAnswers', 'timestamp', 'page'];
+
+const REVIEW_STATUSES = ['draft', 'in_review', 'approved', 'rejected'];
+// Generated questions the model is less sure of than this go straight to the review queue
+const LOW_CONFIDENCE = 0.7;
+
+// Allowed review transitions: action -> statuses it can be taken from, and the resulting status
+const REVIEW_ACTIONS = {
+  submit: { from: ['draft', 'rejected', 'approved'], to: 'in_review' },
+  approve: { from: ['draft', 'in_review', 'rejected'], to: 'approved' },
+  reject: { from: ['draft', 'in_review', 'approved'], to: 'rejected' },
+};
 
 const questionSchema = new mongoose.Schema({
   video: {
@@ -11,6 +48,16 @@ const questionSchema = new mongoose.Schema({
     ref: 'Summary',
     required: false, // Optional reference to Summary
   },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null,
+  },
+  image: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Image',
+    default: null,
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -24,7 +71,7 @@ const questionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['multiple_choice', 'true_false', 'short_answer', 'essay', 'fill_blank'],
+    enum: ['multiple_choice', 'true_false', 'short_answer', 'essay', 'fill_blank', 'matching', 'ordering'],
     required: true,
   },
   difficulty: {
@@ -43,11 +90,119 @@ const questionSchema = new mongoose.Schema({
       default: false,
     },
   }],
+  // "Select all that apply"; implied when more than one option is correct
+  multiSelect: {
+    type: Boolean,
+    default: false,
+  },
+  // Matching: each prompt (e.g. a term) with its match (e.g. its definition)
+  pairs: [{
+    _id: false,
+    prompt: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    match: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+  }],
+  // Ordering: the items in their correct order
+  sequence: [{
+    type: String,
+    trim: true,
+  }],
   correctAnswer: {
     type: String,
     trim: true,
     required: function() { return ['short_answer', 'fill_blank'].includes(this.type); },
   },
+  acceptedAnswers: [{
+    type: String,
+    trim: true,
+  }],
+  grading: {
+    passThreshold: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.8,
+    },
+    numericTolerance: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    maxTypos: {
+      type: Number,
+      min: 0,
+      default: null, // null = scale with answer length
+    },
+    useStemming: {
+      type: Boolean,
+      default: true,
+    },
+    aiEquivalence: {
+      type: Boolean,
+      default: false,
+    },
+    multiSelectScoring: {
+      type: String,
+      enum: GradingService.multiSelectScoring,
+      default: 'all_or_nothing',
+    },
+    // Share of the score lost per hint used
+    hintPenalty: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.2,
+    },
+  },
+  // Up to MAX_HINTS hints, from a gentle nudge to nearly the answer. Not versioned: they are
+  // support material, generated on first request and cleared when the content they hint at changes.
+  hints: {
+    type: [{ type: String, trim: true }],
+    validate: [hints => hints.length <= MAX_HINTS, `A question can have at most ${MAX_HINTS} hints`],
+  },
+  // Help each learner has taken since their last answer; applied to and cleared by their next answer
+  hintUsage: {
+    type: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      hintsUsed: {
+        type: Number,
+        default: 0,
+      },
+      explanationRevealed: {
+        type: Boolean,
+        default: false,
+      },
+      updatedAt: Date,
+    }],
+    select: false,
+  },
+  rubric: [{
+    criterion: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    maxPoints: {
+      type: Number,
+      min: 0,
+      default: 1,
+    },
+  }],
   explanation: {
     type: String,
     trim: true,
@@ -56,6 +211,12 @@ const questionSchema = new mongoose.Schema({
     type: Number, 
     default: null,
   },
+  // Source page for questions generated from a document
+  page: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
   category: {
     type: String,
     enum: ['comprehension', 'analysis', 'application', 'synthesis', 'evaluation'],
@@ -100,6 +261,44 @@ const questionSchema = new mongoose.Schema({
       type: Number,
       default: 0,
     },
+    // Mean graded score (0-1), so partial credit shows where correctAttempts only counts passes
+    averageScore: {
+      type: Number,
+      default: 0,
+    },
+    hintedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    explanationReveals: {
+      type: Number,
+      default: 0,
+    },
+  },
+  // Item response theory parameters fitted from real answers by the calibration job
+  calibration: {
+    status: {
+      type: String,
+      enum: ['uncalibrated', 'insufficient_data', 'calibrated'],
+      default: 'uncalibrated',
+    },
+    difficulty: Number, // b, on the learner ability scale (0 = average learner)
+    discrimination: Number, // a, how sharply the item separates weaker from stronger learners
+    standardError: Number,
+    responses: {
+      type: Number,
+      default: 0,
+    },
+    pValue: Number, // proportion of first attempts answered correctly
+    empiricalLabel: {
+      type: String,
+      enum: ['easy', 'medium', 'hard'],
+    },
+    labelMismatch: {
+      type: Boolean,
+      default: false,
+    },
+    calibratedAt: Date,
   },
   userAnswers: [{
     user: {
@@ -107,8 +306,58 @@ const questionSchema = new mongoose.Schema({
       ref: 'User',
     },
     answer: String,
+    selections: {
+      type: [String], // list answers: multi-select picks, the match per prompt, or items in the order given
+      default: undefined,
+    },
     isCorrect: Boolean,
+    score: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    gradingReason: String,
+    // Essay answers are graded asynchronously against the rubric
+    gradingStatus: {
+      type: String,
+      enum: ['graded', 'pending', 'failed', 'overridden'],
+      default: 'graded',
+    },
+    rubricScores: [{
+      criterion: String,
+      score: Number,
+      maxPoints: Number,
+      comment: String,
+    }],
+    feedback: String,
+    gradedBy: {
+      type: String,
+      enum: ['auto', 'ai', 'instructor'],
+      default: 'auto',
+    },
+    gradedAt: Date,
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Version of the question the learner saw when answering
+    questionVersion: {
+      type: Number,
+      default: 1,
+    },
     timeSpent: Number,
+    timedOut: {
+      type: Boolean,
+      default: false,
+    },
+    hintsUsed: {
+      type: Number,
+      default: 0,
+    },
+    explanationRevealed: {
+      type: Boolean,
+      default: false,
+    },
     attemptedAt: {
       type: Date,
       default: Date.now,
@@ -118,11 +367,80 @@ const questionSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  version: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  duplicatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    default: null,
+  },
+  // Set when this question was retired by merging it into a near-duplicate
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    default: null,
+  },
+  // MinHash signature and LSH band keys of the text and answers, for near-duplicate lookup
+  similarity: {
+    signature: {
+      type: [Number],
+      select: false,
+    },
+    bands: {
+      type: [String],
+      select: false,
+    },
+  },
   createdBy: {
     type: String,
     enum: ['ai', 'user'],
     default: 'ai',
   },
+  // Human review of generated questions; only approved ones are served to learners.
+  // Questions saved before the workflow existed have no status and count as approved.
+  approval: {
+    status: {
+      type: String,
+      enum: REVIEW_STATUSES,
+    },
+    // Automated checks that sent the question to review
+    flags: [{
+      type: String,
+      enum: ['low_confidence', 'answer_mismatch', 'duplicate_options', 'missing_explanation'],
+    }],
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    comments: [{
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      action: {
+        type: String,
+        enum: ['comment', 'submit', 'approve', 'reject'],
+        default: 'comment',
+      },
+      text: {
+        type: String,
+        trim: true,
+        maxlength: 2000,
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+  },
 }, {
   timestamps: true,
 });
@@ -133,17 +451,196 @@ questionSchema.virtual('successRate').get(function() {
   return (this.statistics.correctAttempts / this.statistics.totalAttempts * 100).toFixed(1);
 });
 
+questionSchema.statics.VERSIONED_FIELDS = VERSIONED_FIELDS;
+questionSchema.statics.MAX_HINTS = MAX_HINTS;
+
+// Filter for questions that may be served to learners
+questionSchema.statics.learnerVisible = function(filter = {}) {
+  return { ...filter, isActive: true, 'approval.status': { $in: ['approved', null] } };
+};
+
+// Automated quality checks on generated content; any flag routes the question to review
+questionSchema.methods.reviewFlags = function() {
+  const flags = [];
+  if ((this.confidence ?? 0) < LOW_CONFIDENCE) flags.push('low_confidence');
+  const options = this.options || [];
+  if (options.length) {
+    const texts = options.map(opt => GradingService.normalize(opt.text));
+    if (new Set(texts).size !== texts.length) flags.push('duplicate_options');
+    if (this.correctAnswer && !options.some(opt => opt.isCorrect && GradingService.normalize(opt.text) === GradingService.normalize(this.correctAnswer))) {
+      flags.push('answer_mismatch');
+    }
+  }
+  if (!this.explanation) flags.push('missing_explanation');
+  return flags;
+};
+
+/**
+ * Apply a review action ('submit', 'approve', 'reject' or 'comment') and record it in the
+ * comment trail. Invalid transitions throw with statusCode 400. Does not save.
+ */
+questionSchema.methods.reviewAction = function(action, { reviewer, comment } = {}) {
+  const status = this.approval?.status || 'approved';
+  if (action !== 'comment') {
+    const transition = REVIEW_ACTIONS[action];
+    if (!transition || !transition.from.includes(status)) {
+      const error = new Error(`Cannot ${action} a question that is ${status.replace('_', ' ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    if (action === 'reject' && !comment) {
+      const error = new Error('A comment is required when rejecting a question');
+      error.statusCode = 400;
+      throw error;
+    }
+    this.approval.status = transition.to;
+    if (action !== 'submit') {
+      this.approval.reviewedBy = reviewer;
+      this.approval.reviewedAt = new Date();
+    }
+  } else if (!comment) {
+    const error = new Error('Comment text is required');
+    error.statusCode = 400;
+    throw error;
+  }
+  this.approval.comments.push({ author: reviewer, action, text: comment });
+  return this.approval.status;
+};
+
+// Plain copy of the versioned content fields
+questionSchema.methods.contentSnapshot = function() {
+  const plain = this.toObject({ depopulate: true });
+  return Object.fromEntries(VERSIONED_FIELDS.map(field => [field, plain[field] ?? null]));
+};
+
+// Store the current content as an immutable version if it has not been stored yet
+questionSchema.methods.ensureVersionSnapshot = async function(meta = {}) {
+  if (await QuestionVersion.exists({ question: this._id, version: this.version })) return;
+  try {
+    await QuestionVersion.create({
+      question: this._id,
+      version: this.version,
+      content: this.contentSnapshot(),
+      editedBy: meta.editedBy || null,
+      changeNote: meta.changeNote,
+      changedFields: meta.changedFields || [],
+    });
+  } catch (error) {
+    // A concurrent request stored the same version first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Apply content edits as a new version; the previous wording stays available to past answers.
+// Resolves to the list of changed fields (empty when nothing changed and no version was created).
+questionSchema.methods.revise = async function(changes, { editedBy = null, changeNote } = {}) {
+  await this.ensureVersionSnapshot();
+
+  const before = this.contentSnapshot();
+  for (const field of VERSIONED_FIELDS) {
+    if (changes[field] !== undefined) this.set(field, changes[field]);
+  }
+  const after = this.contentSnapshot();
+  const changedFields = VERSIONED_FIELDS.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+  if (!changedFields.length) return changedFields;
+  if (changedFields.some(field => HINTED_FIELDS.includes(field))) this.hints = [];
+
+  try {
+    await this.validate();
+  } catch (error) {
+    error.statusCode = 400;
+    throw error;
+  }
+
+  this.version += 1;
+  await this.save();
+  await this.ensureVersionSnapshot({ editedBy, changeNote, changedFields });
+  return changedFields;
+};
+
+// The question as it looked at a given version, as an unsaved document so grading methods work on it
+questionSchema.methods.atVersion = async function(version) {
+  if (!version || version === this.version) return this;
+  const stored = await QuestionVersion.findOne({ question: this._id, version }).lean();
+  if (!stored) return this;
+  return new this.constructor({
+    ...stored.content,
+    _id: this._id,
+    user: this.user,
+    video: this.video,
+    summary: this.summary,
+    document: this.document,
+    image: this.image,
+    version,
+  });
+};
+
+// Method to grade an answer without recording it; resolves to { score, isCorrect, reason }
+questionSchema.methods.gradeAnswer = function(answer) {
+  return GradingService.grade(this, answer);
+};
+
+/**
+ * Record that a learner took the next hint (or revealed the explanation) before answering.
+ * Resolves to their usage so far: { hintsUsed, explanationRevealed }.
+ */
+questionSchema.methods.recordHelp = async function(userId, { explanation = false } = {}) {
+  const current = await this.constructor.findById(this._id).select('hintUsage').lean();
+  const usage = current?.hintUsage?.find(entry => entry.user?.equals(userId))
+    || { hintsUsed: 0, explanationRevealed: false };
+  const next = {
+    user: userId,
+    hintsUsed: explanation ? usage.hintsUsed : Math.min(usage.hintsUsed + 1, MAX_HINTS),
+    explanationRevealed: usage.explanationRevealed || explanation,
+    updatedAt: new Date(),
+  };
+  await this.constructor.updateOne({ _id: this._id }, { $pull: { hintUsage: { user: userId } } });
+  await this.constructor.updateOne({ _id: this._id }, { $push: { hintUsage: next } });
+  return { hintsUsed: next.hintsUsed, explanationRevealed: next.explanationRevealed };
+};
+
+// Help a learner has taken since their last answer, cleared so it only applies to one answer
+questionSchema.methods.consumeHelp = async function(userId) {
+  const before = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'hintUsage.user': userId },
+    { $pull: { hintUsage: { user: userId } } },
+    { projection: { hintUsage: 1 } },
+  ).lean();
+  const usage = before?.hintUsage?.find(entry => entry.user?.equals(userId));
+  return { hintsUsed: usage?.hintsUsed || 0, explanationRevealed: Boolean(usage?.explanationRevealed) };
+};
+
 // Method to record user answer
-questionSchema.methods.recordAnswer = function(userId, answer, timeSpent) {
-  const isCorrect = this.type === 'multiple_choice' || this.type === 'true_false'
-    ? this.options.find(opt => opt.text === answer)?.isCorrect || false
-    : answer.toLowerCase().trim() === this.correctAnswer?.toLowerCase().trim();
+questionSchema.methods.recordAnswer = async function(userId, answer, timeSpent, options = {}) {
+  // Answers submitted after the time limit are kept for the record but never count as correct
+  // Essays are scored later by the rubric grading job, which also updates correctAttempts
+  // Answers are graded against the version the learner was shown, even if it has since been edited
+  // Hints taken before answering discount the score (essays: once graded)
+  const questionVersion = options.questionVersion || this.version;
+  const seen = await this.atVersion(questionVersion);
+  const help = await this.consumeHelp(userId);
+  const pendingEssay = seen.type === 'essay' && !options.timedOut && Boolean(answer);
+  let result;
+  if (options.timedOut) result = { score: 0, isCorrect: false, reason: 'Time limit exceeded' };
+  else if (pendingEssay) result = { score: 0, isCorrect: false, reason: 'Awaiting rubric grading' };
+  else result = GradingService.applyHelp(await seen.gradeAnswer(answer), help, seen.grading);
+  const { isCorrect } = result;
+  const selections = GradingService.answerList(seen, answer);
   
   this.userAnswers.push({
     user: userId,
-    answer,
+    answer: Array.isArray(answer) ? (selections || GradingService.selections(answer)).join('; ') : answer,
+    selections,
     isCorrect,
+    score: result.score,
+    gradingReason: result.reason,
+    gradingStatus: pendingEssay ? 'pending' : 'graded',
+    gradedAt: pendingEssay ? null : new Date(),
+    questionVersion,
     timeSpent,
+    timedOut: Boolean(options.timedOut),
+    hintsUsed: help.hintsUsed,
+    explanationRevealed: help.explanationRevealed,
     attemptedAt: new Date(),
   });
   
@@ -151,6 +648,10 @@ questionSchema.methods.recordAnswer = function(userId, answer, timeSpent) {
   if (isCorrect) {
     this.statistics.correctAttempts += 1;
   }
+  if (help.hintsUsed) this.statistics.hintedAttempts = (this.statistics.hintedAttempts || 0) + 1;
+  if (help.explanationRevealed) this.statistics.explanationReveals = (this.statistics.explanationReveals || 0) + 1;
+  const scoreSum = (this.statistics.averageScore || 0) * (this.statistics.totalAttempts - 1) + (result.score || 0);
+  this.statistics.averageScore = Number((scoreSum / this.statistics.totalAttempts).toFixed(4));
   
   // Update average time
   const totalTime = this.statistics.averageTime * (this.statistics.totalAttempts - 1) + timeSpent;
@@ -159,11 +660,109 @@ questionSchema.methods.recordAnswer = function(userId, answer, timeSpent) {
   return this.save();
 };
 
+// Method to apply rubric scores to an essay answer, from the AI grader or an instructor override
+questionSchema.methods.applyEssayGrade = async function(answerId, { criteria, feedback, gradedBy = 'ai', overriddenBy = null }) {
+  const entry = this.userAnswers.id(answerId);
+  if (!entry) throw new Error('Answer not found');
+
+  // Score against the rubric of the version the learner answered
+  const seen = await this.atVersion(entry.questionVersion);
+  const existing = entry.rubricScores || [];
+  const rubricScores = seen.effectiveRubric().map((item) => {
+    const given = (criteria || []).find(c => c.criterion === item.criterion)
+      || existing.find(c => c.criterion === item.criterion);
+    const score = Math.min(Math.max(Number(given?.score) || 0, 0), item.maxPoints);
+    return { criterion: item.criterion, score, maxPoints: item.maxPoints, comment: given?.comment || '' };
+  });
+
+  const earned = rubricScores.reduce((sum, item) => sum + item.score, 0);
+  const possible = rubricScores.reduce((sum, item) => sum + item.maxPoints, 0);
+  const rubricScore = possible > 0 ? Number((earned / possible).toFixed(2)) : 0;
+  const graded = GradingService.applyHelp({
+    score: rubricScore,
+    isCorrect: rubricScore >= (seen.grading?.passThreshold ?? 0.8),
+    reason: `Rubric score ${earned}/${possible}`,
+  }, { hintsUsed: entry.hintsUsed, explanationRevealed: entry.explanationRevealed }, seen.grading);
+  const { score, isCorrect } = graded;
+
+  // Keep correctAttempts in step when a regrade flips the outcome
+  this.statistics.correctAttempts += Number(isCorrect) - Number(Boolean(entry.isCorrect));
+  if (this.statistics.totalAttempts) {
+    const adjusted = (this.statistics.averageScore || 0) + (score - (entry.score || 0)) / this.statistics.totalAttempts;
+    this.statistics.averageScore = Number(Math.min(Math.max(adjusted, 0), 1).toFixed(4));
+  }
+
+  entry.rubricScores = rubricScores;
+  entry.score = score;
+  entry.isCorrect = isCorrect;
+  entry.gradingReason = graded.reason;
+  if (feedback !== undefined) entry.feedback = feedback;
+  entry.gradingStatus = gradedBy === 'instructor' ? 'overridden' : 'graded';
+  entry.gradedBy = gradedBy;
+  entry.gradedAt = new Date();
+  if (overriddenBy) entry.overriddenBy = overriddenBy;
+
+  return this.save();
+};
+
+// Rubric used for essay grading; falls back to a single overall criterion
+questionSchema.methods.effectiveRubric = function() {
+  if (this.rubric && this.rubric.length) return this.rubric;
+  return [{
+    criterion: 'Overall answer quality',
+    description: this.correctAnswer
+      ? `Accuracy and completeness compared with the model answer: ${this.correctAnswer}`
+      : 'Accuracy and completeness with respect to the source material',
+    maxPoints: this.points || 1,
+  }];
+};
+
+// The correct answer as shown on results screens and answer keys
+questionSchema.methods.correctAnswerText = function() {
+  if (this.type === 'matching') return (this.pairs || []).map(pair => `${pair.prompt} → ${pair.match}`).join('; ');
+  if (this.type === 'ordering') return (this.sequence || []).join(' → ');
+  return this.correctAnswer || (this.options || []).filter(opt => opt.isCorrect).map(opt => opt.text).join(', ');
+};
+
+// Learner-facing view: strips answers, explanations and answer history
+questionSchema.methods.toLearnerJSON = function() {
+  return {
+    _id: this._id,
+    question: this.question,
+    type: this.type,
+    difficulty: this.difficulty,
+    category: this.category,
+    options: (this.options || []).map(opt => ({ _id: opt._id, text: opt.text })),
+    multiSelect: GradingService.isMultiSelect(this),
+    // Answers list the match for each prompt in prompt order, or all items in the chosen order
+    ...(this.type === 'matching' && {
+      prompts: this.pairs.map(pair => pair.prompt),
+      matches: shuffled(this.pairs.map(pair => pair.match)),
+    }),
+    ...(this.type === 'ordering' && { items: shuffled(this.sequence) }),
+    timestamp: this.timestamp,
+    page: this.page,
+    points: this.points,
+    timeLimit: this.timeLimit,
+    version: this.version,
+    // Share of the score each hint costs; the hints themselves come one at a time from the hint endpoint
+    hintPenalty: this.grading?.hintPenalty ?? 0.2,
+    ...(this.type === 'essay' && {
+      rubric: this.effectiveRubric().map(({ criterion, description, maxPoints }) => ({ criterion, description, maxPoints })),
+    }),
+  };
+};
+
 // Indexes
 questionSchema.index({ video: 1, type: 1 });
+questionSchema.index({ document: 1, type: 1 });
+questionSchema.index({ image: 1, type: 1 });
 questionSchema.index({ user: 1, createdAt: -1 });
 questionSchema.index({ difficulty: 1 });
 questionSchema.index({ category: 1 });
+questionSchema.index({ 'calibration.labelMismatch': 1 });
+questionSchema.index({ user: 1, 'similarity.bands': 1 });
+questionSchema.index({ user: 1, 'approval.status': 1 });
 
 // Validation for multiple-choice questions
 questionSchema.pre('validate', function(next) {
@@ -176,6 +775,42 @@ questionSchema.pre('validate', function(next) {
       return next(new Error('Multiple-choice questions must have at least one correct option'));
     }
   }
+  if (this.type === 'matching') {
+    const pairs = this.pairs || [];
+    if (pairs.length < 2) {
+      return next(new Error('Matching questions must have at least 2 pairs'));
+    }
+    if (new Set(pairs.map(pair => pair.prompt)).size !== pairs.length || new Set(pairs.map(pair => pair.match)).size !== pairs.length) {
+      return next(new Error('Matching prompts and matches must each be unique'));
+    }
+  }
+  if (this.type === 'ordering') {
+    const sequence = (this.sequence || []).filter(Boolean);
+    if (sequence.length < 2) {
+      return next(new Error('Ordering questions must have at least 2 items'));
+    }
+    if (new Set(sequence).size !== sequence.length) {
+      return next(new Error('Ordering items must be unique'));
+    }
+  }
+  if (this.multiSelect && this.type !== 'multiple_choice') {
+    return next(new Error('Only multiple-choice questions can be multi-select'));
+  }
+  if (this.rubric?.length && this.type !== 'essay') {
+    return next(new Error('Rubrics can only be attached to essay questions'));
+  }
+  // Authors' own questions are live at once; generated ones wait for review
+  if (this.isNew && !this.approval?.status) {
+    if (this.createdBy === 'user') {
+      this.approval.status = 'approved';
+    } else {
+      this.approval.flags = this.reviewFlags();
+      this.approval.status = this.approval.flags.length ? 'in_review' : 'draft';
+    }
+  }
+  if (this.isNew || ['question', 'options', 'pairs', 'sequence', 'correctAnswer', 'acceptedAnswers'].some(field => this.isModified(field))) {
+    this.similarity = DedupeService.fingerprint(this);
+  }
   next();
 });
 
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Immutable snapshot of a question's learner-visible content and answer key
+const questionVersionSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true,
+    immutable: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+    immutable: true,
+  },
+  content: {
+    type: mongoose.Schema.Types.Mixed, // Question fields listed in Question.VERSIONED_FIELDS
+    required: true,
+    immutable: true,
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true,
+  },
+  changeNote: {
+    type: String,
+    trim: true,
+    maxLength: 500,
+    immutable: true,
+  },
+  changedFields: {
+    type: [String],
+    default: [],
+    immutable: true,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+questionVersionSchema.index({ question: 1, version: 1 }, { unique: true });
+
+// Versions are write-once: answers recorded against them must always see the same wording
+const rejectUpdate = function(next) {
+  next(new Error('Question versions are immutable'));
+};
+questionVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+questionVersionSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Question versions are immutable'));
+  next();
+});
+
+export default mongoose.model('QuestionVersion', questionVersionSchema);
@@ -0,0 +1,236 @@
+import mongoose from 'mongoose';
+import Submission from './Submission.js';
+
+const quizItemSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true,
+  },
+  order: {
+    type: Number,
+    required: true,
+  },
+  pointsPossible: {
+    type: Number,
+    default: 1,
+  },
+  timeLimit: {
+    type: Number, // seconds, copied from the question when the attempt starts
+    default: null,
+  },
+  servedAt: {
+    type: Date,
+    default: null,
+  },
+  questionVersion: {
+    type: Number, // version of the question shown when it was served
+    default: null,
+  },
+  answeredAt: {
+    type: Date,
+    default: null,
+  },
+  answer: {
+    type: String,
+    default: null,
+  },
+  selections: {
+    type: [String], // list answers: multi-select picks, the match per prompt, or items in the order given
+    default: undefined,
+  },
+  answerEntry: {
+    type: mongoose.Schema.Types.ObjectId, // Question.userAnswers entry recorded for this item
+    default: null,
+  },
+  pendingGrading: {
+    type: Boolean,
+    default: false,
+  },
+  isCorrect: {
+    type: Boolean,
+    default: false,
+  },
+  score: {
+    type: Number, // 0-1 grade from the grading engine
+    default: 0,
+  },
+  timedOut: {
+    type: Boolean,
+    default: false,
+  },
+  hintsUsed: {
+    type: Number, // hints revealed before answering
+    default: 0,
+  },
+  explanationRevealed: {
+    type: Boolean,
+    default: false,
+  },
+  timeSpent: {
+    type: Number,
+    default: 0,
+  },
+  pointsEarned: {
+    type: Number,
+    default: 0,
+  },
+  // Adaptive mode: what the item was picked for and the IRT parameters used to score it
+  category: String,
+  targetDifficulty: Number,
+  itemDifficulty: Number,
+  itemDiscrimination: Number,
+  expectedTime: Number, // seconds; answers much faster or slower than this shift the next pick
+}, { _id: false });
+
+const quizAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    default: null,
+  },
+  summary: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Summary',
+    default: null,
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null,
+  },
+  image: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Image',
+    default: null,
+  },
+  // Set when the attempt was started for a class assignment
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    default: null,
+  },
+  // 1-based position among the student's attempts at the assignment; unique, so two attempts
+  // started at once can't both take the last allowed slot
+  attemptNumber: {
+    type: Number,
+    default: null,
+  },
+  mode: {
+    type: String,
+    enum: ['fixed', 'adaptive'],
+    default: 'fixed',
+  },
+  adaptive: {
+    masteryLevel: { type: Number, min: 0.5, max: 0.95, default: 0.7 },
+    confidence: { type: Number, min: 0.5, max: 0.99, default: 0.9 },
+    minQuestions: { type: Number, min: 1, default: 5 },
+    maxQuestions: { type: Number, min: 1, default: 20 },
+    ability: { type: Number, default: 0 },
+    standardError: { type: Number, default: 1 },
+    generatedCount: { type: Number, default: 0 },
+    outcome: {
+      type: String,
+      enum: ['mastered', 'not_mastered', 'max_questions', 'pool_exhausted', 'submitted', null],
+      default: null,
+    },
+  },
+  items: [quizItemSchema],
+  currentIndex: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress',
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  score: {
+    earned: { type: Number, default: 0 },
+    possible: { type: Number, default: 0 },
+    percentage: { type: Number, default: 0 },
+    correctCount: { type: Number, default: 0 },
+    answeredCount: { type: Number, default: 0 },
+    timedOutCount: { type: Number, default: 0 },
+    pendingCount: { type: Number, default: 0 },
+  },
+}, {
+  timestamps: true,
+});
+
+// Grace period for network latency when enforcing question time limits (seconds)
+quizAttemptSchema.statics.TIME_LIMIT_GRACE = 2;
+
+quizAttemptSchema.methods.currentItem = function() {
+  return this.items[this.currentIndex] || null;
+};
+
+// Whether the served item has run past its time limit
+quizAttemptSchema.methods.isItemOverdue = function(item, now = new Date()) {
+  if (!item || !item.timeLimit || !item.servedAt) return false;
+  const elapsed = (now - item.servedAt) / 1000;
+  return elapsed > item.timeLimit + this.constructor.TIME_LIMIT_GRACE;
+};
+
+// Method to compute the final score from the per-question items
+quizAttemptSchema.methods.computeScore = function() {
+  const possible = this.items.reduce((sum, item) => sum + item.pointsPossible, 0);
+  const earned = this.items.reduce((sum, item) => sum + item.pointsEarned, 0);
+
+  this.score = {
+    earned,
+    possible,
+    percentage: possible > 0 ? Number((earned / possible * 100).toFixed(1)) : 0,
+    correctCount: this.items.filter(item => item.isCorrect).length,
+    answeredCount: this.items.filter(item => item.answeredAt).length,
+    timedOutCount: this.items.filter(item => item.timedOut).length,
+    pendingCount: this.items.filter(item => item.pendingGrading).length,
+  };
+  return this.score;
+};
+
+// Propagate a late grade (e.g. rubric-graded essays) into the attempts that recorded the answer
+quizAttemptSchema.statics.syncAnswerGrade = async function(answerEntryId, { score, isCorrect }) {
+  const attempts = await this.find({ 'items.answerEntry': answerEntryId });
+  for (const attempt of attempts) {
+    const item = attempt.items.find(i => i.answerEntry?.toString() === answerEntryId.toString());
+    item.score = score;
+    item.isCorrect = isCorrect;
+    item.pointsEarned = Number((score * item.pointsPossible).toFixed(2));
+    item.pendingGrading = false;
+    if (attempt.status === 'completed') attempt.computeScore();
+    await attempt.save();
+  }
+  return attempts.length;
+};
+
+// Keep the assignment's gradebook entry in step with its attempts, including late essay grades
+quizAttemptSchema.post('save', async function() {
+  if (this.assignment) await Submission.refresh(this.assignment, this.user);
+});
+
+quizAttemptSchema.index({ user: 1, createdAt: -1 });
+quizAttemptSchema.index({ assignment: 1, user: 1, attemptNumber: 1 }, {
+  unique: true,
+  partialFilterExpression: { assignment: { $type: 'objectId' } },
+});
+quizAttemptSchema.index({ 'items.answerEntry': 1 });
+quizAttemptSchema.index({ video: 1, status: 1 });
+quizAttemptSchema.index({ summary: 1, status: 1 });
+quizAttemptSchema.index({ document: 1, status: 1 });
+quizAttemptSchema.index({ image: 1, status: 1 });
+
+export default mongoose.model('QuizAttempt', quizAttemptSchema);
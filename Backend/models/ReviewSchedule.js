@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+const reviewScheduleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true,
+  },
+  easeFactor: {
+    type: Number,
+    min: 1.3,
+    default: 2.5,
+  },
+  interval: {
+    type: Number, // days until the next review
+    default: 0,
+  },
+  repetitions: {
+    type: Number, // consecutive successful reviews
+    default: 0,
+  },
+  dueAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastReviewedAt: {
+    type: Date,
+    default: null,
+  },
+  lastQuality: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: null,
+  },
+  reviewCount: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+reviewScheduleSchema.index({ user: 1, question: 1 }, { unique: true });
+reviewScheduleSchema.index({ user: 1, dueAt: 1 });
+
+export default mongoose.model('ReviewSchedule', reviewScheduleSchema);
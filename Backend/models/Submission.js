@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import Assignment from './Assignment.js';
+
+// One per student and assignment, summarizing their quiz attempts for the gradebook.
+// Kept in step by QuizAttempt's save hook, so late essay grades update it too.
+const submissionSchema = new mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true,
+  },
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true,
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  attempts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizAttempt',
+  }],
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted'],
+    default: 'in_progress',
+  },
+  completedAttempts: {
+    type: Number,
+    default: 0,
+  },
+  // Percentages; the best completed attempt is the grade
+  bestScore: {
+    type: Number,
+    default: null,
+  },
+  latestScore: {
+    type: Number,
+    default: null,
+  },
+  bestAttempt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizAttempt',
+    default: null,
+  },
+  // Some answers are still waiting for rubric grading, so bestScore may go up
+  pendingGrading: {
+    type: Boolean,
+    default: false,
+  },
+  submittedAt: {
+    type: Date, // when the first attempt was completed
+    default: null,
+  },
+  late: {
+    type: Boolean, // the first completed attempt finished after the due date
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * Recompute a submission from its student's attempts. Safe to call repeatedly.
+ * Resolves to the updated submission, or null when the assignment no longer exists.
+ */
+submissionSchema.statics.refresh = async function(assignmentId, studentId) {
+  const assignment = await Assignment.findById(assignmentId).select('class dueAt').lean();
+  if (!assignment) return null;
+
+  // Looked up by name: QuizAttempt imports this model for its save hook
+  const attempts = await this.model('QuizAttempt')
+    .find({ assignment: assignmentId, user: studentId })
+    .select('status score completedAt createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+  const completed = attempts.filter(attempt => attempt.status === 'completed');
+  const best = completed.reduce((top, attempt) => (
+    !top || attempt.score.percentage > top.score.percentage ? attempt : top
+  ), null);
+  const first = completed[0];
+
+  return this.findOneAndUpdate(
+    { assignment: assignmentId, student: studentId },
+    {
+      $set: {
+        class: assignment.class,
+        attempts: attempts.map(attempt => attempt._id),
+        status: completed.length ? 'submitted' : 'in_progress',
+        completedAttempts: completed.length,
+        bestScore: best ? best.score.percentage : null,
+        bestAttempt: best ? best._id : null,
+        latestScore: completed.length ? completed[completed.length - 1].score.percentage : null,
+        pendingGrading: completed.some(attempt => attempt.score.pendingCount > 0),
+        submittedAt: first ? first.completedAt : null,
+        late: Boolean(first && first.completedAt > assignment.dueAt),
+      },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+submissionSchema.index({ assignment: 1, student: 1 }, { unique: true });
+submissionSchema.index({ class: 1, student: 1 });
+
+export default mongoose.model('Submission', submissionSchema);
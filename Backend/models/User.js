@@ -33,6 +33,12 @@ const userSchema = new mongoose.Schema({
     enum: ['free', 'premium'],
     default: 'free'
   },
+  // Teachers run classes and assign quizzes; admins pass every role check
+  role: {
+    type: String,
+    enum: ['student', 'teacher', 'admin'],
+    default: 'student'
+  },
   usage: {
     videosProcessed: {
       type: Number,
@@ -0,0 +1,106 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import AnalyticsService from '../services/analytics.service.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+const reportValidation = [
+  query('videoId').optional().isMongoId().withMessage('Invalid video ID'),
+  query('from').optional().isISO8601().toDate().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().toDate().withMessage('to must be an ISO 8601 date'),
+  query('interval').optional().isIn(['day', 'week', 'month']).withMessage('Interval must be day, week or month'),
+];
+
+const periodOf = ({ from, to, interval = 'week' }) => ({ from, to, interval });
+
+// The authenticated learner's own analytics across every question they have answered
+router.get('/me', [authMiddleware.authenticateToken, reportValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const questionFilter = {};
+    if (req.query.videoId) questionFilter.video = new mongoose.Types.ObjectId(req.query.videoId);
+
+    const { learners, ...report } = await AnalyticsService.report({
+      questionFilter,
+      userIds: [req.user._id],
+      ...periodOf(req.query),
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error('Error in GET /analytics/me:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving analytics',
+      error: error.message,
+    });
+  }
+});
+
+// Instructor view: how every learner (or the listed ones) did on the instructor's own questions
+router.get('/group', [
+  authMiddleware.authenticateToken,
+  reportValidation,
+  query('learnerIds').optional().customSanitizer(value => (Array.isArray(value) ? value : String(value).split(',')))
+    .custom(value => value.every(id => mongoose.Types.ObjectId.isValid(id))).withMessage('learnerIds must be comma-separated user IDs'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const questionFilter = { user: req.user._id };
+    if (req.query.videoId) questionFilter.video = new mongoose.Types.ObjectId(req.query.videoId);
+
+    const report = await AnalyticsService.report({
+      questionFilter,
+      userIds: req.query.learnerIds?.map(id => new mongoose.Types.ObjectId(id)),
+      // The instructor's own test answers would skew the group
+      excludeUserIds: [req.user._id],
+      ...periodOf(req.query),
+    });
+
+    const users = await User.find({ _id: { $in: report.learners.map(learner => learner.user) } }).select('username email').lean();
+    const names = new Map(users.map(user => [user._id.toString(), user]));
+    report.learners = report.learners
+      .map(learner => ({
+        ...learner,
+        username: names.get(learner.user.toString())?.username || null,
+        email: names.get(learner.user.toString())?.email || null,
+      }))
+      .sort((a, b) => a.smoothedAccuracy - b.smoothedAccuracy);
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error('Error in GET /analytics/group:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving group analytics',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,199 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import Class from '../models/Class.js';
+import Assignment from '../models/Assignment.js';
+import Submission from '../models/Submission.js';
+import User from '../models/User.js';
+import AssignmentService from '../services/assignment.service.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array(),
+  });
+  return true;
+};
+
+const assignmentIdValidation = [
+  param('id').isMongoId().withMessage('Invalid assignment ID'),
+];
+
+// Load the assignment and its class for a class member; resolves to null after sending 404/403
+const loadAssignment = async (req, res, { manage = false } = {}) => {
+  const assignment = await Assignment.findById(req.params.id);
+  const classDoc = assignment && await Class.findById(assignment.class);
+  if (!classDoc || !classDoc.hasMember(req.user)) {
+    res.status(404).json({ success: false, message: 'Assignment not found' });
+    return null;
+  }
+  if (manage && !classDoc.isManagedBy(req.user)) {
+    res.status(403).json({ success: false, message: 'Only the class teacher can do this' });
+    return null;
+  }
+  return { assignment, classDoc };
+};
+
+// Get an assignment; students also get their own status, the teacher every submission
+router.get('/:id', [authMiddleware.authenticateToken, assignmentIdValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const loaded = await loadAssignment(req, res);
+    if (!loaded) return;
+    const { assignment, classDoc } = loaded;
+
+    const data = { ...assignment.toObject(), availability: assignment.availability() };
+    if (classDoc.isManagedBy(req.user)) {
+      const submissions = await Submission.find({ assignment: assignment._id }).lean();
+      const students = await User.find({ _id: { $in: classDoc.students } }).select('username email').sort({ username: 1 }).lean();
+      const byStudent = new Map(submissions.map(s => [s.student.toString(), s]));
+      data.submissions = students.map(student => ({
+        student,
+        ...AssignmentService.studentView(assignment, byStudent.get(student._id.toString())),
+        bestAttempt: byStudent.get(student._id.toString())?.bestAttempt || null,
+      }));
+    } else {
+      // The question list would let students look questions up ahead of the quiz
+      delete data.questions;
+      data.questionCount = assignment.questions.length;
+      const submission = await Submission.findOne({ assignment: assignment._id, student: req.user._id }).lean();
+      data.submission = AssignmentService.studentView(assignment, submission);
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error('Error in GET /assignments/:id:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving assignment',
+      error: error.message,
+    });
+  }
+});
+
+// Change an assignment's details or dates; its questions stay fixed
+router.patch('/:id', [
+  authMiddleware.authenticateToken,
+  assignmentIdValidation,
+  body('title').optional().isString().trim().notEmpty().isLength({ max: 200 }).withMessage('Title must be 1-200 characters'),
+  body('instructions').optional().isString().trim().isLength({ max: 2000 }).withMessage('Instructions must be 2000 characters or less'),
+  body('openAt').optional().isISO8601().toDate().withMessage('openAt must be an ISO 8601 date'),
+  body('dueAt').optional().isISO8601().toDate().withMessage('dueAt must be an ISO 8601 date'),
+  body('attemptLimit').optional().isInt({ min: 1, max: 10 }).toInt().withMessage('Attempt limit must be 1-10'),
+  body('allowLate').optional().isBoolean().toBoolean().withMessage('allowLate must be a boolean'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const loaded = await loadAssignment(req, res, { manage: true });
+    if (!loaded) return;
+    const { assignment } = loaded;
+
+    for (const field of ['title', 'instructions', 'openAt', 'dueAt', 'attemptLimit', 'allowLate']) {
+      if (req.body[field] !== undefined) assignment[field] = req.body[field];
+    }
+    try {
+      await assignment.save();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    // A moved due date changes which submissions were late
+    if (req.body.dueAt !== undefined) {
+      const submissions = await Submission.find({ assignment: assignment._id }).select('student').lean();
+      await Promise.all(submissions.map(s => Submission.refresh(assignment._id, s.student)));
+    }
+
+    res.json({
+      success: true,
+      message: 'Assignment updated successfully',
+      data: assignment,
+    });
+  } catch (error) {
+    console.error('Error in PATCH /assignments/:id:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating assignment',
+      error: error.message,
+    });
+  }
+});
+
+// Delete an assignment and its gradebook entries; students' quiz attempts are kept
+router.delete('/:id', [authMiddleware.authenticateToken, assignmentIdValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const loaded = await loadAssignment(req, res, { manage: true });
+    if (!loaded) return;
+    const { assignment } = loaded;
+
+    await Submission.deleteMany({ assignment: assignment._id });
+    await assignment.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Assignment deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error in DELETE /assignments/:id:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting assignment',
+      error: error.message,
+    });
+  }
+});
+
+// Start (or resume) the student's attempt; it is then taken through the /quizzes routes
+router.post('/:id/attempts', [authMiddleware.authenticateToken, assignmentIdValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const loaded = await loadAssignment(req, res);
+    if (!loaded) return;
+    const { assignment, classDoc } = loaded;
+    if (!classDoc.hasStudent(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'Only students in the class can attempt this assignment' });
+    }
+    if (!classDoc.isActive) {
+      return res.status(409).json({ success: false, message: 'This class is no longer active' });
+    }
+
+    const { attempt, resumed } = await AssignmentService.startAttempt(assignment, req.user._id);
+
+    res.status(resumed ? 200 : 201).json({
+      success: true,
+      message: resumed ? 'Resuming the attempt in progress' : 'Assignment attempt started',
+      data: {
+        _id: attempt._id,
+        assignment: assignment._id,
+        status: attempt.status,
+        currentIndex: attempt.currentIndex,
+        totalQuestions: attempt.items.length,
+        startedAt: attempt.startedAt,
+        dueAt: assignment.dueAt,
+        late: assignment.availability() === 'late',
+      },
+    });
+  } catch (error) {
+    console.error('Error in POST /assignments/:id/attempts:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error starting assignment attempt',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
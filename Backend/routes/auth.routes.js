@@ -2,7 +2,7 @@ import express from 'express';
 import bcryptjs from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
-import { body, validationResult } from 'express-validator';
+import { body, param, validationResult } from 'express-validator';
 import User from '../models/User.js';
 import authMiddleware from '../middleware/auth.middleware.js';
 
@@ -50,7 +50,8 @@ router.post('/register', registerValidation, async (req, res) => {
       });
     }
 
-    // Create new user (password is hashed in User schema pre-save hook)
+    // Create new user (password is hashed in User schema pre-save hook); every account starts as
+    // a student, and an admin grants the teacher role
     const newUser = new User({
       email,
       password,
@@ -73,6 +74,7 @@ router.post('/register', registerValidation, async (req, res) => {
         id: newUser._id,
         email: newUser.email,
         username: newUser.username,
+        role: newUser.role,
         token,
       },
     });
@@ -124,7 +126,7 @@ router.post('/login', loginValidation, async (req, res) => {
     res.json({
       success: true,
       message: 'Login successful',
-      data: { id: user._id, email: user.email, username: user.username, token }
+      data: { id: user._id, email: user.email, username: user.username, role: user.role, token }
     });
   } catch (err) {
     console.error('Login error:', err);
@@ -150,6 +152,7 @@ router.get('/me', authenticateToken, async (req, res) => {
         email: user.email,
         username: user.username,
         plan: user.plan,
+        role: user.role,
         usage: user.usage,
         preferences: user.preferences,
       },
@@ -182,6 +185,7 @@ router.get('/me', authenticateToken, async (req, res) => {
         email: user.email,
         username: user.username,
         plan: user.plan,
+        role: user.role,
         usage: user.usage,
         preferences: user.preferences,
       },
@@ -196,4 +200,49 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// Grant or revoke the teacher role (admins only)
+router.patch('/users/:id/role', [
+  authenticateToken,
+  authMiddleware.requireRole('admin'),
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('role').isIn(['student', 'teacher']).withMessage('Role must be student or teacher'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    // Admin accounts are managed outside the API, so one admin can't demote another here
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, role: { $ne: 'admin' } },
+      { $set: { role: req.body.role } },
+      { new: true }
+    ).select('username email role');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { id: user._id, email: user.email, username: user.username, role: user.role },
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user role',
+      error: error.message,
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,515 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import Class from '../models/Class.js';
+import Assignment from '../models/Assignment.js';
+import Submission from '../models/Submission.js';
+import User from '../models/User.js';
+import AssignmentService from '../services/assignment.service.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array(),
+  });
+  return true;
+};
+
+const classIdValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+];
+
+const classValidation = [
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('description').optional().isString().trim().isLength({ max: 1000 }).withMessage('Description must be 1000 characters or less'),
+];
+
+const classPatchValidation = [
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('description').optional().isString().trim().isLength({ max: 1000 }).withMessage('Description must be 1000 characters or less'),
+  body('isActive').optional().isBoolean().toBoolean().withMessage('isActive must be a boolean'),
+  body('regenerateJoinCode').optional().isBoolean().toBoolean().withMessage('regenerateJoinCode must be a boolean'),
+];
+
+const assignmentValidation = [
+  body('title').isString().trim().notEmpty().isLength({ max: 200 }).withMessage('Title must be 1-200 characters'),
+  body('instructions').optional().isString().trim().isLength({ max: 2000 }).withMessage('Instructions must be 2000 characters or less'),
+  body('videoId').optional().isMongoId().withMessage('Invalid video ID'),
+  body('summaryId').optional().isMongoId().withMessage('Invalid summary ID'),
+  body('documentId').optional().isMongoId().withMessage('Invalid document ID'),
+  body('imageId').optional().isMongoId().withMessage('Invalid image ID'),
+  body().custom((value) => {
+    if ([value.videoId, value.summaryId, value.documentId, value.imageId].filter(Boolean).length !== 1) {
+      throw new Error('Provide exactly one of videoId, summaryId, documentId or imageId');
+    }
+    return true;
+  }),
+  body('questionIds').optional().isArray({ min: 1 }).withMessage('questionIds must be a non-empty array'),
+  body('questionIds.*').isMongoId().withMessage('Invalid question ID'),
+  body('difficulty').optional().isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty level'),
+  body('limit').optional().isInt({ min: 1, max: 100 }).toInt().withMessage('Limit must be 1-100'),
+  body('openAt').optional().isISO8601().toDate().withMessage('openAt must be an ISO 8601 date'),
+  body('dueAt').isISO8601().toDate().withMessage('dueAt must be an ISO 8601 date'),
+  body('attemptLimit').optional().isInt({ min: 1, max: 10 }).toInt().withMessage('Attempt limit must be 1-10'),
+  body('allowLate').optional().isBoolean().toBoolean().withMessage('allowLate must be a boolean'),
+];
+
+// Load the class for a member; resolves to null after sending 404/403
+const loadClass = async (req, res, { manage = false } = {}) => {
+  const classDoc = await Class.findById(req.params.id);
+  if (!classDoc || !classDoc.hasMember(req.user)) {
+    res.status(404).json({ success: false, message: 'Class not found' });
+    return null;
+  }
+  if (manage && !classDoc.isManagedBy(req.user)) {
+    res.status(403).json({ success: false, message: 'Only the class teacher can do this' });
+    return null;
+  }
+  return classDoc;
+};
+
+// Students see the class and its teacher, not the roster
+const classView = (classDoc, user) => ({
+  _id: classDoc._id,
+  name: classDoc.name,
+  description: classDoc.description,
+  teacher: classDoc.teacher,
+  isActive: classDoc.isActive,
+  studentCount: classDoc.students.length,
+  createdAt: classDoc.createdAt,
+  ...(classDoc.isManagedBy(user) && { joinCode: classDoc.joinCode }),
+});
+
+// Create a class
+router.post('/', [authMiddleware.authenticateToken, authMiddleware.requireRole('teacher'), classValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const classDoc = new Class({
+      name: req.body.name,
+      description: req.body.description,
+      teacher: req.user._id,
+    });
+    await classDoc.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Class created successfully',
+      data: classView(classDoc, req.user),
+    });
+  } catch (error) {
+    console.error('Error in POST /classes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating class',
+      error: error.message,
+    });
+  }
+});
+
+// Classes the user teaches or is enrolled in
+router.get('/', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const classes = await Class.find({ $or: [{ teacher: req.user._id }, { students: req.user._id }] })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        teaching: classes.filter(c => c.teacher.equals(req.user._id)).map(c => classView(c, req.user)),
+        enrolled: classes.filter(c => c.hasStudent(req.user._id)).map(c => classView(c, req.user)),
+      },
+    });
+  } catch (error) {
+    console.error('Error in GET /classes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving classes',
+      error: error.message,
+    });
+  }
+});
+
+// Classes that have invited the user
+router.get('/invites', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const classes = await Class.find({ invitedEmails: req.user.email, isActive: true }).sort({ createdAt: -1 });
+    const teachers = await User.find({ _id: { $in: classes.map(c => c.teacher) } }).select('username').lean();
+    const names = new Map(teachers.map(teacher => [teacher._id.toString(), teacher.username]));
+
+    res.json({
+      success: true,
+      data: classes.map(c => ({ ...classView(c, req.user), teacherName: names.get(c.teacher.toString()) || null })),
+    });
+  } catch (error) {
+    console.error('Error in GET /classes/invites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving invites',
+      error: error.message,
+    });
+  }
+});
+
+// Join a class with its code
+router.post('/join', [
+  authMiddleware.authenticateToken,
+  body('joinCode').isString().trim().toUpperCase().isLength({ min: 6, max: 6 }).withMessage('Join code must be 6 characters'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const classDoc = await Class.findOne({ joinCode: req.body.joinCode, isActive: true });
+    if (!classDoc) {
+      return res.status(404).json({ success: false, message: 'No active class with this code' });
+    }
+    if (classDoc.teacher.equals(req.user._id)) {
+      return res.status(409).json({ success: false, message: 'You teach this class' });
+    }
+
+    await Class.updateOne({ _id: classDoc._id }, { $addToSet: { students: req.user._id }, $pull: { invitedEmails: req.user.email } });
+    if (!classDoc.hasStudent(req.user._id)) classDoc.students.push(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Joined class successfully',
+      data: classView(classDoc, req.user),
+    });
+  } catch (error) {
+    console.error('Error in POST /classes/join:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error joining class',
+      error: error.message,
+    });
+  }
+});
+
+// Get a class; its teacher also gets the roster
+router.get('/:id', [authMiddleware.authenticateToken, classIdValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const classDoc = await loadClass(req, res);
+    if (!classDoc) return;
+
+    const data = classView(classDoc, req.user);
+    if (classDoc.isManagedBy(req.user)) {
+      data.students = await User.find({ _id: { $in: classDoc.students } }).select('username email').sort({ username: 1 }).lean();
+      data.invitedEmails = classDoc.invitedEmails;
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error('Error in GET /classes/:id:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving class',
+      error: error.message,
+    });
+  }
+});
+
+// Update a class; regenerateJoinCode invalidates the old code
+router.patch('/:id', [
+  authMiddleware.authenticateToken,
+  classIdValidation,
+  classPatchValidation,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const classDoc = await loadClass(req, res, { manage: true });
+    if (!classDoc) return;
+
+    for (const field of ['name', 'description', 'isActive']) {
+      if (req.body[field] !== undefined) classDoc[field] = req.body[field];
+    }
+    if (req.body.regenerateJoinCode) classDoc.joinCode = Class.generateJoinCode();
+    await classDoc.save();
+
+    res.json({
+      success: true,
+      message: 'Class updated successfully',
+      data: classView(classDoc, req.user),
+    });
+  } catch (error) {
+    console.error('Error in PATCH /classes/:id:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating class',
+      error: error.message,
+    });
+  }
+});
+
+const inviteValidation = [
+  body('emails').isArray({ min: 1, max: 200 }).withMessage('emails must be an array of 1-200 addresses'),
+  body('emails.*').isEmail().normalizeEmail().withMessage('Invalid email address'),
+];
+
+// Invite students by email; they join once they accept. Addresses are not looked up,
+// so the response is the same whether or not they belong to an account.
+router.post('/:id/invites', [authMiddleware.authenticateToken, classIdValidation, inviteValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const classDoc = await loadClass(req, res, { manage: true });
+    if (!classDoc) return;
+
+    const pending = new Set([...classDoc.invitedEmails, ...req.body.emails]);
+    if (pending.size > Class.MAX_INVITES) {
+      return res.status(400).json({ success: false, message: `A class can have at most ${Class.MAX_INVITES} pending invites` });
+    }
+    await Class.updateOne({ _id: classDoc._id }, { $addToSet: { invitedEmails: { $each: req.body.emails } } });
+
+    res.json({
+      success: true,
+      message: `${req.body.emails.length} invite(s) sent`,
+      data: { pendingInvites: pending.size },
+    });
+  } catch (error) {
+    console.error('Error in POST /classes/:id/invites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error inviting students',
+      error: error.message,
+    });
+  }
+});
+
+// Withdraw pending invites
+router.delete('/:id/invites', [authMiddleware.authenticateToken, classIdValidation, inviteValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const classDoc = await loadClass(req, res, { manage: true });
+    if (!classDoc) return;
+
+    await Class.updateOne({ _id: classDoc._id }, { $pullAll: { invitedEmails: req.body.emails } });
+
+    res.json({
+      success: true,
+      message: 'Invites withdrawn',
+    });
+  } catch (error) {
+    console.error('Error in DELETE /classes/:id/invites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error withdrawing invites',
+      error: error.message,
+    });
+  }
+});
+
+// Accept (accept: true) or decline an invite sent to the user's email address
+router.post('/:id/invites/respond', [
+  authMiddleware.authenticateToken,
+  classIdValidation,
+  body('accept').isBoolean().toBoolean().withMessage('accept must be a boolean'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const update = req.body.accept
+      ? { $pull: { invitedEmails: req.user.email }, $addToSet: { students: req.user._id } }
+      : { $pull: { invitedEmails: req.user.email } };
+    const classDoc = await Class.findOneAndUpdate(
+      { _id: req.params.id, invitedEmails: req.user.email, isActive: true, teacher: { $ne: req.user._id } },
+      update,
+      { new: true }
+    );
+    if (!classDoc) {
+      return res.status(404).json({ success: false, message: 'No pending invite to this class' });
+    }
+
+    res.json({
+      success: true,
+      message: req.body.accept ? 'Joined class successfully' : 'Invite declined',
+      data: req.body.accept ? classView(classDoc, req.user) : undefined,
+    });
+  } catch (error) {
+    console.error('Error in POST /classes/:id/invites/respond:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error responding to invite',
+      error: error.message,
+    });
+  }
+});
+
+// Remove a student (the teacher), or leave the class (the student themselves)
+router.delete('/:id/students/:studentId', [
+  authMiddleware.authenticateToken,
+  classIdValidation,
+  param('studentId').isMongoId().withMessage('Invalid student ID'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const classDoc = await loadClass(req, res);
+    if (!classDoc) return;
+    if (!classDoc.isManagedBy(req.user) && !req.user._id.equals(req.params.studentId)) {
+      return res.status(403).json({ success: false, message: 'Only the class teacher can remove other students' });
+    }
+    if (!classDoc.hasStudent(req.params.studentId)) {
+      return res.status(404).json({ success: false, message: 'Student is not in this class' });
+    }
+
+    // Submissions are kept so a re-added student's grades come back with them
+    await Class.updateOne({ _id: classDoc._id }, { $pull: { students: new mongoose.Types.ObjectId(req.params.studentId) } });
+
+    res.json({
+      success: true,
+      message: 'Student removed from class',
+    });
+  } catch (error) {
+    console.error('Error in DELETE /classes/:id/students/:studentId:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing student',
+      error: error.message,
+    });
+  }
+});
+
+// Assign a quiz over one video (or summary, document or image) to the class
+router.post('/:id/assignments', [authMiddleware.authenticateToken, authMiddleware.requireRole('teacher'), classIdValidation, assignmentValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const classDoc = await loadClass(req, res, { manage: true });
+    if (!classDoc) return;
+
+    const { title, instructions, videoId, summaryId, documentId, imageId, openAt, dueAt, attemptLimit, allowLate } = req.body;
+    const questions = await AssignmentService.selectQuestions(req.user._id, req.body);
+    if (!questions.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'None of your approved questions match this assignment',
+      });
+    }
+
+    const assignment = new Assignment({
+      class: classDoc._id,
+      teacher: req.user._id,
+      title,
+      instructions,
+      video: videoId || null,
+      summary: summaryId || null,
+      document: documentId || null,
+      image: imageId || null,
+      questions,
+      openAt,
+      dueAt,
+      attemptLimit,
+      allowLate,
+    });
+    try {
+      await assignment.save();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Assignment created successfully',
+      data: assignment,
+    });
+  } catch (error) {
+    console.error('Error in POST /classes/:id/assignments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating assignment',
+      error: error.message,
+    });
+  }
+});
+
+// The class's assignments; students also get their own status on each
+router.get('/:id/assignments', [authMiddleware.authenticateToken, classIdValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const classDoc = await loadClass(req, res);
+    if (!classDoc) return;
+
+    const assignments = await Assignment.find({ class: classDoc._id }).sort({ dueAt: 1, createdAt: 1 });
+    const now = new Date();
+    let data = assignments.map(assignment => ({
+      _id: assignment._id,
+      title: assignment.title,
+      instructions: assignment.instructions,
+      video: assignment.video,
+      summary: assignment.summary,
+      document: assignment.document,
+      image: assignment.image,
+      questionCount: assignment.questions.length,
+      openAt: assignment.openAt,
+      dueAt: assignment.dueAt,
+      attemptLimit: assignment.attemptLimit,
+      allowLate: assignment.allowLate,
+      availability: assignment.availability(now),
+    }));
+
+    if (!classDoc.isManagedBy(req.user)) {
+      const submissions = await Submission.find({ class: classDoc._id, student: req.user._id }).lean();
+      const byAssignment = new Map(submissions.map(s => [s.assignment.toString(), s]));
+      data = data.map((view, index) => ({
+        ...view,
+        submission: AssignmentService.studentView(assignments[index], byAssignment.get(view._id.toString()), now),
+      }));
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error('Error in GET /classes/:id/assignments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving assignments',
+      error: error.message,
+    });
+  }
+});
+
+// Gradebook: every student's best score and status on every assignment
+router.get('/:id/gradebook', [authMiddleware.authenticateToken, classIdValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const classDoc = await loadClass(req, res, { manage: true });
+    if (!classDoc) return;
+
+    const gradebook = await AssignmentService.gradebook(classDoc);
+
+    res.json({
+      success: true,
+      data: {
+        class: classView(classDoc, req.user),
+        ...gradebook,
+      },
+    });
+  } catch (error) {
+    console.error('Error in GET /classes/:id/gradebook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving gradebook',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,390 @@
+import express from 'express';
+import multer from 'multer';
+import { body, query, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import Question from '../models/Question.js';
+import Video from '../models/Video.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import models from '../models/Index.js';
+const { Summary } = models;
+import QtiService from '../services/qti.service.js';
+import GiftService from '../services/gift.service.js';
+import AikenService from '../services/aiken.service.js';
+import AnkiService from '../services/anki.service.js';
+import WorksheetService from '../services/worksheet.service.js';
+import AssignmentService from '../services/assignment.service.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+
+// Question bank import/export in interchange formats, mounted under /api/questions
+const router = express.Router();
+
+const packageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB
+});
+
+const textUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
+});
+
+const exportValidation = [
+  query('videoId').optional().isMongoId().withMessage('Invalid video ID'),
+  query('summaryId').optional().isMongoId().withMessage('Invalid summary ID'),
+  query('includeUnreviewed').optional().isBoolean().toBoolean().withMessage('includeUnreviewed must be a boolean'),
+];
+
+const importValidation = [
+  body('videoId').optional().custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid video ID'),
+  body('summaryId').optional().custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid summary ID'),
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array(),
+  });
+  return true;
+};
+
+/**
+ * Questions for an export: one video, one summary, or the user's whole bank.
+ * Exports end up in front of students (an LMS quiz, a study deck), so draft, in-review and
+ * rejected questions are left out. The bank formats (QTI, GIFT, Aiken) can include them with
+ * ?includeUnreviewed=true, for authors moving work in progress to another tool; Anki decks never do.
+ */
+const findExportQuestions = (req, { includeUnreviewed = false } = {}) => {
+  const filter = { user: req.user._id };
+  if (req.query.videoId) filter.video = req.query.videoId;
+  if (req.query.summaryId) filter.summary = req.query.summaryId;
+  return Question.find(includeUnreviewed ? { ...filter, isActive: true } : Question.learnerVisible(filter))
+    .sort({ video: 1, timestamp: 1, createdAt: 1 })
+    .select('-userAnswers');
+};
+
+const exportFilename = (req, extension) => {
+  const scope = req.query.videoId ? `video-${req.query.videoId}`
+    : req.query.summaryId ? `summary-${req.query.summaryId}`
+      : 'question-bank';
+  return `${scope}.${extension}`;
+};
+
+// Text formats accept either an uploaded file ("file") or the text pasted in the body ("text")
+const readTextUpload = (req) => {
+  if (req.file) return req.file.buffer.toString('utf8');
+  return typeof req.body.text === 'string' ? req.body.text : '';
+};
+
+// Check the import target belongs to the user; returns an error message or null
+const checkImportTarget = async (req) => {
+  const { videoId, summaryId } = req.body;
+  if (videoId && !(await Video.exists({ _id: videoId, user: req.user._id }))) return 'Video not found';
+  if (summaryId && !(await Summary.exists({ _id: summaryId, userId: req.user._id }))) return 'Summary not found';
+  return null;
+};
+
+// Validate and save parsed questions one by one so a bad item doesn't sink the whole import
+const saveImportedQuestions = async (req, parsed) => {
+  const created = [];
+  const errors = [];
+  for (const { source, ...fields } of parsed) {
+    try {
+      const question = new Question({
+        ...fields,
+        user: req.user._id,
+        video: req.body.videoId || null,
+        summary: req.body.summaryId || null,
+        aiGenerated: false,
+        aiModel: null,
+        createdBy: 'user',
+      });
+      await question.save();
+      created.push(question);
+    } catch (error) {
+      errors.push({ file: source, error: error.message });
+    }
+  }
+  return { created, errors };
+};
+
+// Export questions as a QTI 2.1 content package (.zip)
+router.get('/export/qti', authMiddleware.authenticateToken, exportValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const questions = await findExportQuestions(req, { includeUnreviewed: req.query.includeUnreviewed });
+    if (!questions.length) {
+      return res.status(404).json({ success: false, message: 'No questions to export' });
+    }
+
+    const buffer = await QtiService.exportPackage(questions, { title: exportFilename(req, 'qti') });
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${exportFilename(req, 'qti.zip')}"`,
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error in GET /questions/export/qti:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting QTI package',
+      error: error.message,
+    });
+  }
+});
+
+// Import a QTI 2.1 content package, optionally attaching the questions to a video or summary
+router.post('/import/qti', authMiddleware.authenticateToken, packageUpload.single('package'), importValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No QTI package provided' });
+    }
+
+    const targetError = await checkImportTarget(req);
+    if (targetError) return res.status(404).json({ success: false, message: targetError });
+
+    let parsed;
+    try {
+      parsed = await QtiService.importPackage(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: 'Invalid QTI package', error: error.message });
+    }
+
+    const { created, errors } = await saveImportedQuestions(req, parsed.questions);
+    res.status(created.length ? 201 : 422).json({
+      success: created.length > 0,
+      message: `Imported ${created.length} question(s)`,
+      data: created,
+      errors: [...parsed.errors, ...errors],
+    });
+  } catch (error) {
+    console.error('Error in POST /questions/import/qti:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing QTI package',
+      error: error.message,
+    });
+  }
+});
+
+// Export questions in Moodle GIFT format
+router.get('/export/gift', authMiddleware.authenticateToken, exportValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const questions = await findExportQuestions(req, { includeUnreviewed: req.query.includeUnreviewed });
+    if (!questions.length) {
+      return res.status(404).json({ success: false, message: 'No questions to export' });
+    }
+
+    res.set({
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${exportFilename(req, 'gift.txt')}"`,
+    });
+    res.send(GiftService.serialize(questions));
+  } catch (error) {
+    console.error('Error in GET /questions/export/gift:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting GIFT file',
+      error: error.message,
+    });
+  }
+});
+
+// Export single-answer multiple-choice questions in Moodle Aiken format
+router.get('/export/aiken', authMiddleware.authenticateToken, exportValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const questions = await findExportQuestions(req, { includeUnreviewed: req.query.includeUnreviewed });
+    const { text, skipped } = AikenService.serialize(questions);
+    if (!text) {
+      return res.status(404).json({
+        success: false,
+        message: 'No questions can be exported in Aiken format',
+        skipped,
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${exportFilename(req, 'aiken.txt')}"`,
+      'X-Skipped-Questions': String(skipped.length),
+    });
+    res.send(text);
+  } catch (error) {
+    console.error('Error in GET /questions/export/aiken:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting Aiken file',
+      error: error.message,
+    });
+  }
+});
+
+// Export one video's questions and summary key points as an Anki deck (.apkg)
+router.get('/export/anki', authMiddleware.authenticateToken, [
+  query('videoId').isMongoId().withMessage('Valid video ID is required'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const video = await Video.findOne({ _id: req.query.videoId, user: req.user._id }).select('title thumbnail').lean();
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+
+    const [questions, summary] = await Promise.all([
+      findExportQuestions(req),
+      Summary.findOne({ videoId: video._id, userId: req.user._id, status: 'completed' })
+        .sort({ createdAt: -1 })
+        .select('keyPoints')
+        .lean(),
+    ]);
+    const keyPoints = summary?.keyPoints || [];
+    if (!questions.length && !keyPoints.length) {
+      return res.status(404).json({ success: false, message: 'No questions or key points to export' });
+    }
+
+    const streamUrl = `${req.protocol}://${req.get('host')}/api/upload/videos/${video._id}/stream`;
+    const buffer = await AnkiService.buildDeck({ video, questions, keyPoints, streamUrl });
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="${exportFilename(req, 'apkg')}"`,
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error in GET /questions/export/anki:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting Anki deck',
+      error: error.message,
+    });
+  }
+});
+
+// Questions for a worksheet: the versions a quiz attempt served, or a video's learner-visible questions
+// Resolves to { title, questions, keyAllowed }. A quiz's answer key follows the same rule as its
+// results screen (AssignmentService.answerKeyVisible)
+const findWorksheetQuestions = async (req) => {
+  if (req.query.quizId) {
+    const attempt = await QuizAttempt.findOne({ _id: req.query.quizId, user: req.user._id }).select('items video status assignment').lean();
+    if (!attempt) return null;
+    const items = [...attempt.items].sort((a, b) => a.order - b.order);
+    const questions = await Question.find({ _id: { $in: items.map(item => item.question) } }).select('-userAnswers');
+    const byId = new Map(questions.map(question => [question._id.toString(), question]));
+    const served = await Promise.all(items.map(item => byId.get(item.question.toString())?.atVersion(item.questionVersion)));
+    const video = attempt.video && await Video.findById(attempt.video).select('title').lean();
+    return {
+      title: video ? `${video.title} Quiz` : 'Quiz',
+      questions: served.filter(Boolean),
+      keyAllowed: await AssignmentService.answerKeyVisible(attempt, req.user, questions),
+    };
+  }
+
+  const video = await Video.findOne({ _id: req.query.videoId, user: req.user._id }).select('title').lean();
+  if (!video) return null;
+  // Worksheets go to students, so unreviewed questions stay off the page
+  const questions = await Question.find(Question.learnerVisible({ user: req.user._id, video: video._id }))
+    .sort({ timestamp: 1, createdAt: 1 })
+    .select('-userAnswers');
+  return { title: video.title, questions, keyAllowed: true };
+};
+
+// Printable worksheet and answer key (PDF) for a video's or quiz's questions, with optional shuffled versions
+router.get('/export/worksheet', authMiddleware.authenticateToken, [
+  query('videoId').optional().isMongoId().withMessage('Invalid video ID'),
+  query('quizId').optional().isMongoId().withMessage('Invalid quiz ID'),
+  query().custom((value) => {
+    if ([value.videoId, value.quizId].filter(Boolean).length !== 1) {
+      throw new Error('Provide exactly one of videoId or quizId');
+    }
+    return true;
+  }),
+  query('variants').optional().isInt({ min: 1, max: WorksheetService.maxVariants })
+    .withMessage(`Variants must be between 1 and ${WorksheetService.maxVariants}`),
+  query('part').optional().isIn(['worksheet', 'key', 'both']).withMessage('Part must be worksheet, key or both'),
+  query('seed').optional().isInt({ min: 0 }).withMessage('Seed must be a non-negative integer'),
+  query('paper').optional().isIn(['A4', 'LETTER']).withMessage('Paper must be A4 or LETTER'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const source = await findWorksheetQuestions(req);
+    if (!source) {
+      return res.status(404).json({ success: false, message: req.query.quizId ? 'Quiz not found' : 'Video not found' });
+    }
+    if (!source.questions.length) {
+      return res.status(404).json({ success: false, message: 'No questions to print' });
+    }
+    if ((req.query.part || 'both') !== 'worksheet' && !source.keyAllowed) {
+      return res.status(403).json({ success: false, message: 'The answer key is only available once this quiz is completed (for an assignment, once it has closed)' });
+    }
+
+    const { buffer, seed, variants } = await WorksheetService.render({
+      title: source.title,
+      questions: source.questions,
+      variants: req.query.variants ? parseInt(req.query.variants) : 1,
+      seed: req.query.seed !== undefined ? parseInt(req.query.seed) : undefined,
+      part: req.query.part || 'both',
+      paper: req.query.paper || 'A4',
+    });
+    const scope = req.query.quizId ? `quiz-${req.query.quizId}` : `video-${req.query.videoId}`;
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${scope}-${req.query.part || 'both'}.pdf"`,
+      // Lets the client print the same versions again later
+      'X-Worksheet-Seed': String(seed),
+      'X-Worksheet-Variants': variants.join(','),
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error in GET /questions/export/worksheet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting worksheet',
+      error: error.message,
+    });
+  }
+});
+
+// Import questions from GIFT or Aiken text
+const textImportHandler = (format, service) => async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const text = readTextUpload(req);
+    if (!text.trim()) {
+      return res.status(400).json({ success: false, message: `No ${format} text provided` });
+    }
+
+    const targetError = await checkImportTarget(req);
+    if (targetError) return res.status(404).json({ success: false, message: targetError });
+
+    const parsed = service.parse(text);
+    const { created, errors } = await saveImportedQuestions(req, parsed.questions);
+    res.status(created.length ? 201 : 422).json({
+      success: created.length > 0,
+      message: `Imported ${created.length} question(s)`,
+      data: created,
+      errors: [...parsed.errors, ...errors],
+    });
+  } catch (error) {
+    console.error(`Error in POST /questions/import/${format.toLowerCase()}:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Error importing ${format} file`,
+      error: error.message,
+    });
+  }
+};
+
+router.post('/import/gift', authMiddleware.authenticateToken, textUpload.single('file'), importValidation, textImportHandler('GIFT', GiftService));
+router.post('/import/aiken', authMiddleware.authenticateToken, textUpload.single('file'), importValidation, textImportHandler('Aiken', AikenService));
+
+export default router;
\ No newline at end of file
@@ -16,6 +16,8 @@ import authMiddleware from '../middleware/auth.middleware.js';
 import ffmpeg from 'fluent-ffmpeg';
 import { execSync } from 'child_process';
 import { addVideoJob } from '../Jobs/videoProcessor.js';
+import { addDocumentJob } from '../Jobs/documentProcessor.js';
+import { addImageJob } from '../Jobs/imageProcessor.js';
 
 
 // Set FFmpeg and FFprobe paths to system binaries
@@ -709,10 +711,8 @@ router.post('/images', authenticateToken, imageUpload.single('image'), validateM
       folder: 'images',
     });
 
-    // Delete local file after upload
-    if (fs.existsSync(filePath)) await fs.promises.unlink(filePath).catch(console.error);
-
-    const fileHash = await calculateFileHash(filePath).catch(() => null); // Note: file may be deleted
+    // The local file is kept for OCR; the processing job removes it afterwards
+    const fileHash = await calculateFileHash(filePath).catch(() => null);
 
     const newImage = new Image({
       user: req.user._id,
@@ -730,16 +730,17 @@ router.post('/images', authenticateToken, imageUpload.single('image'), validateM
         sizeFormatted: formatFileSize(req.file.size),
         uploadedAt: new Date(),
       },
-      status: 'completed',
-      processingStage: 'completed',
+      status: 'processing',
+      processingStage: 'ocr',
     });
 
     await newImage.save();
     await User.findByIdAndUpdate(req.user._id, { $inc: { 'usage.imagesProcessed': 1 } });
+    addImageJob(newImage._id, filePath);
 
     res.status(201).json({
       success: true,
-      message: 'Image uploaded successfully',
+      message: 'Image uploaded; text recognition started',
       data: {
         id: newImage._id,
         originalName: req.file.originalname,
@@ -816,9 +817,7 @@ router.post('/documents', authenticateToken, documentUpload.single('document'),
       folder: 'documents',
     });
 
-    // Delete local file after upload
-    if (fs.existsSync(filePath)) await fs.promises.unlink(filePath).catch(console.error);
-
+    // The local file is kept for text extraction; the processing job removes it afterwards
     const fileHash = await calculateFileHash(filePath).catch(() => null); 
 
     const newDocument = new Document({
@@ -836,16 +835,17 @@ router.post('/documents', authenticateToken, documentUpload.single('document'),
         sizeFormatted: formatFileSize(req.file.size),
         uploadedAt: new Date(),
       },
-      status: 'completed',
-      processingStage: 'completed',
+      status: 'processing',
+      processingStage: 'text_extraction',
     });
 
     await newDocument.save();
     await User.findByIdAndUpdate(req.user._id, { $inc: { 'usage.documentsProcessed': 1 } });
+    addDocumentJob(newDocument._id, filePath, req.file.mimetype);
 
     res.status(201).json({
       success: true,
-      message: 'Document uploaded successfully',
+      message: 'Document uploaded; text extraction started',
       data: {
         id: newDocument._id,
         originalName: req.file.originalname,
@@ -1,8 +1,24 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import mongoose from 'mongoose';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import Question from '../models/Question.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import QuestionVersion from '../models/QuestionVersion.js';
+import ReviewSchedule from '../models/ReviewSchedule.js';
+import ReviewService from '../services/review.service.js';
+import ClozeService from '../services/cloze.service.js';
+import ChapterOrderService from '../services/chapterOrder.service.js';
+import ItemAnalysisService from '../services/itemAnalysis.service.js';
+import DedupeService from '../services/dedupe.service.js';
+import BloomService from '../services/bloom.service.js';
+import AIService from '../services/ai.service.js';
+import GradingService from '../services/grading.service.js';
+import HintService from '../services/hint.service.js';
+import { transcriptWindow, transcriptRange, chapterRange, parseTimestamp } from '../utils/helpers.js';
+import VideoModel from '../models/Video.js';
+import { addEssayGradingJob } from '../Jobs/essayGrader.js';
+import { addCalibrationJob } from '../Jobs/irtCalibration.js';
 import models from '../models/Index.js'; 
 const { Video, Summary } = models; 
 import authMiddleware from '../middleware/auth.middleware.js';
@@ -12,7 +28,7 @@ const router = express.Router();
 // Validation middleware for question submission
 const questionValidation = [
   body('question').notEmpty().withMessage('Question text is required').trim().isLength({ max: 500 }).withMessage('Question must be 500 characters or less'),
-  body('type').isIn(['multiple_choice', 'true_false', 'short_answer', 'essay', 'fill_blank']).withMessage('Invalid question type'),
+  body('type').isIn(['multiple_choice', 'true_false', 'short_answer', 'essay', 'fill_blank', 'matching', 'ordering']).withMessage('Invalid question type'),
   body('videoId').optional().custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid video ID'),
   body('summaryId').optional().custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid summary ID'),
   body('difficulty').optional().isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty level'),
@@ -23,6 +39,40 @@ const questionValidation = [
     }
     return true;
   }),
+  body('multiSelect').optional().isBoolean().withMessage('multiSelect must be a boolean').custom((value, { req }) => {
+    if (value && req.body.type !== 'multiple_choice') throw new Error('Only multiple-choice questions can be multi-select');
+    return true;
+  }),
+  body('pairs').custom((value, { req }) => {
+    if (req.body.type === 'matching' && (!Array.isArray(value) || value.length < 2)) {
+      throw new Error('Matching questions must have at least 2 pairs');
+    }
+    return true;
+  }),
+  body('pairs.*.prompt').optional().isString().trim().notEmpty().withMessage('Each pair needs a prompt'),
+  body('pairs.*.match').optional().isString().trim().notEmpty().withMessage('Each pair needs a match'),
+  body('sequence').custom((value, { req }) => {
+    if (req.body.type === 'ordering' && (!Array.isArray(value) || value.length < 2)) {
+      throw new Error('Ordering questions must have at least 2 items');
+    }
+    return true;
+  }),
+  body('sequence.*').optional().isString().trim().notEmpty().withMessage('Ordering items must be non-empty strings'),
+  body('acceptedAnswers').optional().isArray().withMessage('Accepted answers must be an array'),
+  body('acceptedAnswers.*').optional().isString().trim().notEmpty().withMessage('Accepted answers must be non-empty strings'),
+  body('grading.passThreshold').optional().isFloat({ min: 0, max: 1 }).withMessage('Pass threshold must be between 0 and 1'),
+  body('grading.numericTolerance').optional().isFloat({ min: 0 }).withMessage('Numeric tolerance must be a non-negative number'),
+  body('grading.maxTypos').optional().isInt({ min: 0 }).withMessage('Max typos must be a non-negative integer'),
+  body('grading.useStemming').optional().isBoolean().withMessage('useStemming must be a boolean'),
+  body('grading.aiEquivalence').optional().isBoolean().withMessage('aiEquivalence must be a boolean'),
+  body('grading.multiSelectScoring').optional().isIn(GradingService.multiSelectScoring).withMessage(`Multi-select scoring must be one of: ${GradingService.multiSelectScoring.join(', ')}`),
+  body('grading.hintPenalty').optional().isFloat({ min: 0, max: 1 }).withMessage('Hint penalty must be between 0 and 1'),
+  body('rubric').optional().isArray().withMessage('Rubric must be an array').custom((value, { req }) => {
+    if (value.length && req.body.type !== 'essay') throw new Error('Rubrics can only be attached to essay questions');
+    return true;
+  }),
+  body('rubric.*.criterion').optional().isString().trim().notEmpty().withMessage('Each rubric criterion needs a name'),
+  body('rubric.*.maxPoints').optional().isFloat({ min: 0 }).withMessage('Rubric maxPoints must be a non-negative number'),
   body('correctAnswer').optional().custom((value, { req }) => {
     if (['short_answer', 'fill_blank'].includes(req.body.type) && !value) {
       throw new Error('Correct answer is required for short_answer or fill_blank questions');
@@ -31,12 +81,62 @@ const questionValidation = [
   }),
 ];
 
+// Validation for partial edits; type-dependent rules are enforced by the model on save
+const questionPatchValidation = [
+  param('id').isMongoId().withMessage('Invalid question ID'),
+  body('question').optional().isString().trim().notEmpty().withMessage('Question text cannot be empty').isLength({ max: 500 }).withMessage('Question must be 500 characters or less'),
+  body('type').optional().isIn(['multiple_choice', 'true_false', 'short_answer', 'essay', 'fill_blank', 'matching', 'ordering']).withMessage('Invalid question type'),
+  body('difficulty').optional().isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty level'),
+  body('category').optional().isIn(['comprehension', 'analysis', 'application', 'synthesis', 'evaluation']).withMessage('Invalid category'),
+  body('options').optional().isArray().withMessage('Options must be an array'),
+  body('options.*.text').optional().isString().trim().notEmpty().withMessage('Option text cannot be empty'),
+  body('options.*.isCorrect').optional().isBoolean().withMessage('isCorrect must be a boolean'),
+  body('multiSelect').optional().isBoolean().withMessage('multiSelect must be a boolean'),
+  body('pairs').optional().isArray().withMessage('Pairs must be an array'),
+  body('pairs.*.prompt').optional().isString().trim().notEmpty().withMessage('Each pair needs a prompt'),
+  body('pairs.*.match').optional().isString().trim().notEmpty().withMessage('Each pair needs a match'),
+  body('sequence').optional().isArray().withMessage('Sequence must be an array'),
+  body('sequence.*').optional().isString().trim().notEmpty().withMessage('Ordering items must be non-empty strings'),
+  body('correctAnswer').optional({ nullable: true }).isString().trim(),
+  body('acceptedAnswers').optional().isArray().withMessage('Accepted answers must be an array'),
+  body('acceptedAnswers.*').optional().isString().trim().notEmpty().withMessage('Accepted answers must be non-empty strings'),
+  body('grading.passThreshold').optional().isFloat({ min: 0, max: 1 }).withMessage('Pass threshold must be between 0 and 1'),
+  body('grading.numericTolerance').optional().isFloat({ min: 0 }).withMessage('Numeric tolerance must be a non-negative number'),
+  body('grading.maxTypos').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Max typos must be a non-negative integer'),
+  body('grading.useStemming').optional().isBoolean().withMessage('useStemming must be a boolean'),
+  body('grading.aiEquivalence').optional().isBoolean().withMessage('aiEquivalence must be a boolean'),
+  body('grading.multiSelectScoring').optional().isIn(GradingService.multiSelectScoring).withMessage(`Multi-select scoring must be one of: ${GradingService.multiSelectScoring.join(', ')}`),
+  body('grading.hintPenalty').optional().isFloat({ min: 0, max: 1 }).withMessage('Hint penalty must be between 0 and 1'),
+  body('rubric').optional().isArray().withMessage('Rubric must be an array'),
+  body('rubric.*.criterion').optional().isString().trim().notEmpty().withMessage('Each rubric criterion needs a name'),
+  body('rubric.*.maxPoints').optional().isFloat({ min: 0 }).withMessage('Rubric maxPoints must be a non-negative number'),
+  body('explanation').optional().isString().trim(),
+  body('timestamp').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Timestamp must be a non-negative number'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('points').optional().isFloat({ min: 0 }).withMessage('Points must be a non-negative number'),
+  body('timeLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Time limit must be a positive number of seconds'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('changeNote').optional().isString().trim().isLength({ max: 500 }).withMessage('Change note must be 500 characters or less'),
+];
+
 // Validation for answer submission
 const answerValidation = [
-  body('answer').notEmpty().withMessage('Answer is required').trim(),
+  body('answer').custom(value => GradingService.isAnswerValue(value)).withMessage('Answer is required: an option text, or an array of option texts for multi-select questions').trim(),
   body('timeSpent').isNumeric().withMessage('Time spent must be a number').optional(),
+  body('questionVersion').optional().isInt({ min: 1 }).toInt().withMessage('Question version must be a positive integer'),
 ];
 
+// Near-duplicate match as returned to clients
+const similarView = ({ question, similarity, level }) => ({
+  _id: question._id,
+  question: question.question,
+  type: question.type,
+  video: question.video,
+  summary: question.summary,
+  similarity,
+  level,
+});
+
 // Submit a new question (premium required)
 router.post('/', [authMiddleware.authenticateToken, authMiddleware.requirePremium], questionValidation, async (req, res) => {
   try {
@@ -49,7 +149,7 @@ router.post('/', [authMiddleware.authenticateToken, authMiddleware.requirePremiu
       });
     }
 
-    const { question, type, videoId, summaryId, difficulty, options, correctAnswer, timestamp } = req.body;
+    const { question, type, videoId, summaryId, difficulty, options, multiSelect, pairs, sequence, correctAnswer, acceptedAnswers, grading, rubric, timestamp } = req.body;
 
     // Validate video or summary if provided
     let video = null, summary = null;
@@ -89,7 +189,12 @@ router.post('/', [authMiddleware.authenticateToken, authMiddleware.requirePremiu
     }
 
     let aiResponse = { question, options: options || [], correctAnswer: correctAnswer || '', explanation: '' };
-    if (type === 'multiple_choice' || type === 'true_false' || !correctAnswer) {
+    // The AI only fills in what the author left out. Matching and ordering questions carry their
+    // answer key in pairs/sequence; choice questions in options marked correct; the rest in correctAnswer.
+    const listType = type === 'matching' || type === 'ordering';
+    const choiceType = type === 'multiple_choice' || type === 'true_false';
+    const authorKeyed = listType || (choiceType ? Boolean(options?.some(opt => opt.isCorrect)) : Boolean(correctAnswer));
+    if (!authorKeyed) {
       const result = await model.generateContent(prompt);
       const rawResponse = result.response.text();
 
@@ -128,19 +233,32 @@ router.post('/', [authMiddleware.authenticateToken, authMiddleware.requirePremiu
       type,
       difficulty: difficulty || 'medium',
       options: aiResponse.options || options || [],
+      multiSelect: Boolean(multiSelect),
+      pairs: pairs || [],
+      sequence: sequence || [],
       correctAnswer: aiResponse.correctAnswer || correctAnswer,
+      acceptedAnswers: acceptedAnswers || [],
+      grading: grading || {},
+      rubric: rubric || [],
       explanation: aiResponse.explanation || '',
       timestamp: timestamp || null,
-      aiGenerated: true,
-      aiModel: 'gemini-1.5-flash',
+      aiGenerated: !authorKeyed,
+      aiModel: authorKeyed ? null : 'gemini-1.5-flash',
+      // The author's own answer key needs no review; AI-completed questions go through the queue
+      createdBy: authorKeyed ? 'user' : 'ai',
     });
 
     await newQuestion.save();
 
+    // Saved regardless; the client can offer to merge via POST /questions/:id/merge
+    const similar = await DedupeService.findSimilar(newQuestion);
     res.status(201).json({
       success: true,
-      message: 'Question submitted successfully',
+      message: similar.length
+        ? `Question submitted; ${similar.length} similar question(s) already exist`
+        : 'Question submitted successfully',
       data: newQuestion,
+      warnings: similar.length ? { duplicates: similar.map(similarView) } : undefined,
     });
   } catch (error) {
     console.error('Error in POST /questions:', error);
@@ -173,40 +291,353 @@ router.get('/', authMiddleware.authenticateToken, async (req, res) => {
   }
 });
 
-// Get specific question by ID
-router.get('/:id', authMiddleware.authenticateToken, async (req, res) => {
+// Generate fill_blank questions from a video's word-level transcript (no AI quota used)
+router.post('/generate/cloze', authMiddleware.authenticateToken, [
+  body('videoId').custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid video ID'),
+  body('count').optional().isInt({ min: 1, max: 50 }).toInt().withMessage('Count must be 1-50'),
+  body('save').optional().isBoolean().toBoolean().withMessage('save must be a boolean'),
+], async (req, res) => {
   try {
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ success: false, message: 'Invalid question ID' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
     }
 
-    const question = await Question.findOne({ _id: req.params.id, user: req.user._id })
-      .populate('video', 'title transcript')
-      .populate('summary', 'content type')
-      .select('-userAnswers');
-    if (!question) {
-      return res.status(404).json({
+    const { videoId, count = 10, save = true } = req.body;
+    const video = await VideoModel.findOne({ _id: videoId, user: req.user._id }).select('transcript').lean();
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+    if (!video.transcript?.timestamped?.length) {
+      return res.status(400).json({ success: false, message: 'Video has no word-level transcript yet' });
+    }
+
+    const generated = ClozeService.generate(video.transcript, { count });
+    if (!generated.length) {
+      return res.status(422).json({ success: false, message: 'No key phrases could be blanked in this transcript' });
+    }
+
+    // Rerunning the generator on the same transcript would otherwise save the same blanks again
+    const questions = [];
+    const skipped = [];
+    for (const fields of generated) {
+      const question = new Question({ ...fields, user: req.user._id, video: videoId });
+      const [match] = await DedupeService.findSimilar(question, { threshold: DedupeService.duplicateThreshold });
+      if (match) skipped.push({ question: question.question, duplicateOf: match.question._id, similarity: match.similarity });
+      else questions.push(question);
+    }
+    if (save && questions.length) await Question.insertMany(questions);
+
+    res.status(save ? 201 : 200).json({
+      success: true,
+      message: `Generated ${questions.length} fill-in-the-blank question(s)`
+        + (skipped.length ? `; skipped ${skipped.length} duplicate(s)` : ''),
+      data: questions,
+      skipped,
+    });
+  } catch (error) {
+    console.error('Error in POST /questions/generate/cloze:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating cloze questions',
+      error: error.message,
+    });
+  }
+});
+
+// Generate ordering questions from a video's chapter sequence (no AI quota used)
+router.post('/generate/ordering', authMiddleware.authenticateToken, [
+  body('videoId').custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid video ID'),
+  body('count').optional().isInt({ min: 1, max: 10 }).toInt().withMessage('Count must be 1-10'),
+  body('length').optional().isInt({ min: ChapterOrderService.minItems, max: ChapterOrderService.maxItems }).toInt()
+    .withMessage(`Length must be ${ChapterOrderService.minItems}-${ChapterOrderService.maxItems} chapters`),
+  body('save').optional().isBoolean().toBoolean().withMessage('save must be a boolean'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Question not found',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { videoId, count = 3, length = 4, save = true } = req.body;
+    const video = await VideoModel.findOne({ _id: videoId, user: req.user._id }).select('transcript.chapters').lean();
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+
+    const generated = ChapterOrderService.generate(video.transcript, { count, length });
+    if (!generated.length) {
+      return res.status(422).json({
+        success: false,
+        message: `Video needs at least ${ChapterOrderService.minItems} distinct chapters for ordering questions`,
+      });
+    }
+
+    const questions = [];
+    const skipped = [];
+    for (const fields of generated) {
+      const question = new Question({ ...fields, user: req.user._id, video: videoId });
+      const [match] = await DedupeService.findSimilar(question, { threshold: DedupeService.duplicateThreshold });
+      if (match) skipped.push({ question: question.question, duplicateOf: match.question._id, similarity: match.similarity });
+      else questions.push(question);
+    }
+    if (save && questions.length) await Question.insertMany(questions);
+
+    res.status(save ? 201 : 200).json({
+      success: true,
+      message: `Generated ${questions.length} ordering question(s)`
+        + (skipped.length ? `; skipped ${skipped.length} duplicate(s)` : ''),
+      data: questions,
+      skipped,
+    });
+  } catch (error) {
+    console.error('Error in POST /questions/generate/ordering:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating ordering questions',
+      error: error.message,
+    });
+  }
+});
+
+// Optional section of a video to generate from: start and end times (seconds or "m:ss") or a 1-based chapter
+const sectionValidation = [
+  body('start').optional().customSanitizer(parseTimestamp).custom(value => value !== null).withMessage('start must be seconds or a m:ss time'),
+  body('end').optional().customSanitizer(parseTimestamp).custom(value => value !== null).withMessage('end must be seconds or a m:ss time'),
+  body('chapter').optional().isInt({ min: 1 }).toInt().withMessage('Chapter must be a positive integer'),
+  body().custom((value) => {
+    const timed = value.start !== undefined || value.end !== undefined;
+    if (timed && value.chapter !== undefined) throw new Error('Give either a chapter or a start and end time, not both');
+    if (timed && (value.start === undefined || value.end === undefined)) throw new Error('Give both start and end');
+    if (timed && value.end <= value.start) throw new Error('end must be after start');
+    return true;
+  }),
+];
+
+/**
+ * The section of the transcript a request asks for, as { start, end, title, text }, or null for the
+ * whole video. Throws with statusCode 400 when it can't be cut out of this transcript.
+ */
+const resolveSection = (transcript, { start, end, chapter }) => {
+  if (start === undefined && chapter === undefined) return null;
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    throw error;
+  };
+  if (!transcript?.timestamped?.length) fail('Video has no word-level transcript to take a section from');
+
+  const range = chapter !== undefined ? chapterRange(transcript, chapter) : { start, end, title: null };
+  if (!range) fail(`Video has ${transcript.chapters?.length || 0} chapter(s); there is no chapter ${chapter}`);
+  if (!range.end) fail(`Chapter ${chapter} has no end time`);
+  const text = transcriptRange(transcript, range);
+  if (!text) fail('No speech was transcribed in this section');
+  return { ...range, text };
+};
+
+// Generate questions from one section of a video (a time range or a chapter) rather than all of it
+router.post('/generate/section', [authMiddleware.authenticateToken, authMiddleware.requirePremium], [
+  body('videoId').custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid video ID'),
+  sectionValidation,
+  body().custom((value) => {
+    if (value.start === undefined && value.chapter === undefined) throw new Error('Give a chapter or a start and end time');
+    return true;
+  }),
+  body('count').optional().isInt({ min: 1, max: 20 }).toInt().withMessage('Count must be 1-20'),
+  body('difficulty').optional().isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty level'),
+  body('types').optional().isArray({ min: 1 }).withMessage('Types must be a non-empty array'),
+  body('types.*').optional().isIn(['multiple_choice', 'true_false', 'short_answer', 'fill_blank', 'matching', 'ordering']).withMessage('Invalid question type'),
+  body('save').optional().isBoolean().toBoolean().withMessage('save must be a boolean'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { videoId, count = 5, difficulty = 'medium', types = ['multiple_choice', 'short_answer'], save = true } = req.body;
+    const video = await VideoModel.findOne({ _id: videoId, user: req.user._id }).select('transcript').lean();
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+
+    const { text, ...section } = resolveSection(video.transcript, req.body);
+    const generated = await AIService.generateQuestions(text, count, difficulty, types, { range: section });
+
+    const questions = [];
+    const skipped = [];
+    for (const fields of generated) {
+      const question = new Question({
+        ...fields,
+        difficulty: ['easy', 'medium', 'hard'].includes(fields.difficulty) ? fields.difficulty : difficulty,
+        user: req.user._id,
+        video: videoId,
+      });
+      try {
+        await question.validate();
+      } catch (error) {
+        skipped.push({ question: question.question, reason: error.message });
+        continue;
+      }
+      const [match] = await DedupeService.findSimilar(question, { threshold: DedupeService.duplicateThreshold });
+      if (match) skipped.push({ question: question.question, duplicateOf: match.question._id, similarity: match.similarity });
+      else questions.push(question);
+    }
+    if (save && questions.length) await Question.insertMany(questions);
+
+    res.status(save && questions.length ? 201 : 200).json({
+      success: true,
+      message: `Generated ${questions.length} question(s) for ${section.title ? `"${section.title}"` : 'this section'}`
+        + (skipped.length ? `; skipped ${skipped.length}` : ''),
+      data: questions,
+      skipped,
+      section,
+    });
+  } catch (error) {
+    console.error('Error in POST /questions/generate/section:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error generating questions for this section',
+      error: error.message,
+    });
+  }
+});
+
+// Generate a question set for a video balanced across Bloom levels, e.g. { comprehension: 40, application: 30, analysis: 30 }
+router.post('/generate/balanced', [authMiddleware.authenticateToken, authMiddleware.requirePremium], [
+  body('videoId').custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid video ID'),
+  body('count').optional().isInt({ min: 1, max: 30 }).toInt().withMessage('Count must be 1-30'),
+  body('difficulty').optional().isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty level'),
+  body('types').optional().isArray({ min: 1 }).withMessage('Types must be a non-empty array'),
+  body('types.*').optional().isIn(['multiple_choice', 'true_false', 'short_answer', 'fill_blank', 'matching', 'ordering']).withMessage('Invalid question type'),
+  body('distribution').isObject().withMessage('Distribution must map Bloom levels to weights'),
+  sectionValidation,
+  body('save').optional().isBoolean().toBoolean().withMessage('save must be a boolean'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { videoId, count = 10, difficulty = 'medium', types = ['multiple_choice', 'short_answer'], distribution, save = true } = req.body;
+    const video = await VideoModel.findOne({ _id: videoId, user: req.user._id }).select('transcript').lean();
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+    if (!video.transcript?.text) {
+      return res.status(400).json({ success: false, message: 'Video has no transcript yet' });
+    }
+    const section = resolveSection(video.transcript, req.body);
+    const text = section ? section.text : video.transcript.text.substring(0, 20000);
+    const range = section && { start: section.start, end: section.end };
+
+    const accepted = [];
+    const result = await BloomService.generateBalanced({
+      distribution,
+      count,
+      generate: async (categories) => {
+        const generated = await AIService.generateQuestions(text, count, difficulty, types, { categories, range });
+        return generated.map(fields => new Question({
+          ...fields,
+          difficulty: ['easy', 'medium', 'hard'].includes(fields.difficulty) ? fields.difficulty : difficulty,
+          user: req.user._id,
+          video: videoId,
+        }));
+      },
+      accept: async (question) => {
+        try {
+          await question.validate();
+        } catch (error) {
+          return false;
+        }
+        // Top-up rounds often repeat questions from earlier rounds
+        if (accepted.some(other => DedupeService.similarity(question, other) >= DedupeService.duplicateThreshold)) return false;
+        const [duplicate] = await DedupeService.findSimilar(question, { threshold: DedupeService.duplicateThreshold });
+        if (duplicate) return false;
+        accepted.push(question);
+        return true;
+      },
+    });
+    if (save && result.questions.length) await Question.insertMany(result.questions);
+
+    const { questions, ...report } = result;
+    res.status(save && questions.length ? 201 : 200).json({
+      success: true,
+      message: result.balanced
+        ? `Generated ${questions.length} question(s) matching the requested distribution`
+        : `Generated ${questions.length} of ${count} question(s); some Bloom levels could not be filled`,
+      data: questions,
+      distribution: report,
+    });
+  } catch (error) {
+    console.error('Error in POST /questions/generate/balanced:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error generating balanced questions',
+      error: error.message,
+    });
+  }
+});
+
+// Get the spaced-repetition review queue for the authenticated user
+router.get('/review/due', authMiddleware.authenticateToken, [
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt().withMessage('Limit must be 1-100'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
       });
     }
 
+    const schedules = await ReviewService.getDueQueue(req.user._id, { limit: req.query.limit || 20 });
     res.json({
       success: true,
-      data: question,
+      data: schedules.map(schedule => ({
+        question: schedule.question.toLearnerJSON(),
+        dueAt: schedule.dueAt,
+        interval: schedule.interval,
+        easeFactor: schedule.easeFactor,
+        repetitions: schedule.repetitions,
+        lastReviewedAt: schedule.lastReviewedAt,
+      })),
     });
   } catch (error) {
-    console.error('Error in GET /questions/:id:', error);
+    console.error('Error in GET /questions/review/due:', error);
     res.status(500).json({
       success: false,
-      message: 'Error retrieving question',
+      message: 'Error retrieving review queue',
       error: error.message,
     });
   }
 });
 
-// Submit an answer to a question
-router.post('/:id/answer', [authMiddleware.authenticateToken, answerValidation], async (req, res) => {
+// Questions awaiting human review: flagged ones (in_review) first, then unflagged drafts
+router.get('/review-queue', authMiddleware.authenticateToken, [
+  query('status').optional().isIn(['draft', 'in_review', 'approved', 'rejected']).withMessage('Invalid review status'),
+  query('videoId').optional().isMongoId().withMessage('Invalid video ID'),
+  query('flag').optional().isIn(['low_confidence', 'answer_mismatch', 'duplicate_options', 'missing_explanation']).withMessage('Invalid review flag'),
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -217,28 +648,1059 @@ router.post('/:id/answer', [authMiddleware.authenticateToken, answerValidation],
       });
     }
 
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ success: false, message: 'Invalid question ID' });
+    const filter = {
+      user: req.user._id,
+      isActive: true,
+      'approval.status': req.query.status || { $in: ['in_review', 'draft'] },
+    };
+    if (req.query.videoId) filter.video = req.query.videoId;
+    if (req.query.flag) filter['approval.flags'] = req.query.flag;
+
+    const questions = await Question.find(filter)
+      .select('-userAnswers')
+      .sort({ createdAt: 1 })
+      .lean();
+    const order = { in_review: 0, draft: 1, rejected: 2, approved: 3 };
+    questions.sort((a, b) => order[a.approval.status] - order[b.approval.status] || (a.confidence ?? 0) - (b.confidence ?? 0));
+
+    const counts = await Question.aggregate([
+      { $match: { user: req.user._id, isActive: true } },
+      { $group: { _id: { $ifNull: ['$approval.status', 'approved'] }, count: { $sum: 1 } } },
+    ]);
+
+    res.json({
+      success: true,
+      data: questions,
+      counts: Object.fromEntries(counts.map(row => [row._id, row.count])),
+    });
+  } catch (error) {
+    console.error('Error in GET /questions/review-queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving review queue',
+      error: error.message,
+    });
+  }
+});
+
+// Approve several reviewed questions at once
+router.post('/review-queue/approve', authMiddleware.authenticateToken, [
+  body('questionIds').isArray({ min: 1, max: 200 }).withMessage('questionIds must list 1-200 question IDs'),
+  body('questionIds.*').isMongoId().withMessage('Invalid question ID'),
+  body('comment').optional().isString().trim().isLength({ max: 2000 }).withMessage('Comment must be 2000 characters or less'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
     }
 
-    const question = await Question.findOne({ _id: req.params.id, user: req.user._id });
-    if (!question) {
-      return res.status(404).json({ success: false, message: 'Question not found' });
+    const ids = [...new Set(req.body.questionIds)];
+    const questions = await Question.find({ _id: { $in: ids }, user: req.user._id }).select('-userAnswers');
+    const found = new Set(questions.map(question => question._id.toString()));
+
+    const approved = [];
+    const skipped = ids.filter(id => !found.has(id)).map(id => ({ _id: id, reason: 'Question not found' }));
+    for (const question of questions) {
+      try {
+        question.reviewAction('approve', { reviewer: req.user._id, comment: req.body.comment });
+        await question.save();
+        approved.push(question._id);
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        skipped.push({ _id: question._id, reason: error.message });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Approved ${approved.length} question(s)` + (skipped.length ? `; skipped ${skipped.length}` : ''),
+      data: { approved, skipped },
+    });
+  } catch (error) {
+    console.error('Error in POST /questions/review-queue/approve:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving questions',
+      error: error.message,
+    });
+  }
+});
+
+// Calibrated IRT difficulty/discrimination for the user's questions, optionally only those whose label disagrees
+router.get('/calibration', authMiddleware.authenticateToken, [
+  query('videoId').optional().isMongoId().withMessage('Invalid video ID'),
+  query('flagged').optional().isBoolean().toBoolean().withMessage('flagged must be a boolean'),
+  query('status').optional().isIn(['uncalibrated', 'insufficient_data', 'calibrated']).withMessage('Invalid calibration status'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
     }
 
-    const { answer, timeSpent } = req.body;
-    await question.recordAnswer(req.user._id, answer, timeSpent || 0);
+    const filter = { user: req.user._id, isActive: true };
+    if (req.query.videoId) filter.video = req.query.videoId;
+    if (req.query.flagged !== undefined) filter['calibration.labelMismatch'] = req.query.flagged;
+    if (req.query.status === 'uncalibrated') filter['calibration.status'] = { $in: ['uncalibrated', null] };
+    else if (req.query.status) filter['calibration.status'] = req.query.status;
+
+    const questions = await Question.find(filter)
+      .select('question type difficulty category video calibration')
+      .sort({ 'calibration.labelMismatch': -1, 'calibration.difficulty': 1 })
+      .lean();
 
     res.json({
       success: true,
-      message: 'Answer recorded successfully',
-      data: question,
+      data: questions.map(question => ({
+        _id: question._id,
+        question: question.question,
+        type: question.type,
+        category: question.category,
+        video: question.video,
+        labeledDifficulty: question.difficulty,
+        calibration: question.calibration || { status: 'uncalibrated', responses: 0, labelMismatch: false },
+      })),
+      flaggedCount: questions.filter(question => question.calibration?.labelMismatch).length,
     });
   } catch (error) {
-    console.error('Error in POST /questions/:id/answer:', error);
+    console.error('Error in GET /questions/calibration:', error);
     res.status(500).json({
       success: false,
-      message: 'Error recording answer',
+      message: 'Error retrieving calibration',
+      error: error.message,
+    });
+  }
+});
+
+// Queue an immediate calibration run instead of waiting for the scheduled one.
+// Admins only: a run fits every learner's answers across all questions
+router.post('/calibration/run', [authMiddleware.authenticateToken, authMiddleware.requireRole('admin')], async (req, res) => {
+  try {
+    const job = await addCalibrationJob();
+    res.status(202).json({
+      success: true,
+      message: 'Calibration queued',
+      data: { jobId: job.id },
+    });
+  } catch (error) {
+    console.error('Error in POST /questions/calibration/run:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error queuing calibration',
+      error: error.message,
+    });
+  }
+});
+
+// Dedupe report for a video: clusters of near-duplicates within it, and its questions that repeat ones from other videos
+router.get('/duplicates', authMiddleware.authenticateToken, [
+  query('videoId').isMongoId().withMessage('Invalid video ID'),
+  query('threshold').optional().isFloat({ min: 0.3, max: 1 }).toFloat().withMessage('Threshold must be between 0.3 and 1'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { videoId, threshold = DedupeService.warnThreshold } = req.query;
+    await DedupeService.backfill({ user: req.user._id, isActive: true });
+
+    const questions = await Question.find({ user: req.user._id, video: videoId, isActive: true })
+      .select('question type options pairs sequence correctAnswer acceptedAnswers video summary statistics createdAt')
+      .sort({ createdAt: 1 });
+
+    const clusters = DedupeService.cluster(questions, threshold).map(cluster => ({
+      similarity: cluster.similarity,
+      level: DedupeService.level(cluster.similarity),
+      // Oldest first: the usual merge target
+      questions: cluster.questions.map(question => ({
+        _id: question._id,
+        question: question.question,
+        type: question.type,
+        totalAttempts: question.statistics.totalAttempts,
+        createdAt: question.createdAt,
+      })),
+    }));
+
+    const crossVideo = [];
+    for (const question of questions) {
+      const matches = await DedupeService.findSimilar(question, { threshold, filter: { video: { $ne: videoId } } });
+      if (matches.length) {
+        crossVideo.push({ _id: question._id, question: question.question, matches: matches.map(similarView) });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        videoId,
+        threshold,
+        totalQuestions: questions.length,
+        duplicateQuestions: clusters.reduce((sum, cluster) => sum + cluster.questions.length - 1, 0),
+        clusters,
+        crossVideo,
+      },
+    });
+  } catch (error) {
+    console.error('Error in GET /questions/duplicates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building dedupe report',
+      error: error.message,
+    });
+  }
+});
+
+// Check a draft question against the user's existing questions without saving it
+router.post('/duplicates/check', authMiddleware.authenticateToken, [
+  body('question').isString().trim().notEmpty().withMessage('Question text is required'),
+  body('options').optional().isArray().withMessage('Options must be an array'),
+  body('options.*.text').optional().isString().withMessage('Option text must be a string'),
+  body('correctAnswer').optional({ nullable: true }).isString(),
+  body('acceptedAnswers').optional().isArray().withMessage('Accepted answers must be an array'),
+  body('threshold').optional().isFloat({ min: 0.3, max: 1 }).toFloat().withMessage('Threshold must be between 0.3 and 1'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { question, options = [], correctAnswer, acceptedAnswers = [], threshold } = req.body;
+    await DedupeService.backfill({ user: req.user._id, isActive: true });
+    const similar = await DedupeService.findSimilar(
+      { question, options, correctAnswer, acceptedAnswers },
+      { user: req.user._id, threshold },
+    );
+
+    res.json({
+      success: true,
+      data: {
+        isDuplicate: similar.some(match => match.level === 'duplicate'),
+        matches: similar.map(similarView),
+      },
+    });
+  } catch (error) {
+    console.error('Error in POST /questions/duplicates/check:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking for duplicates',
+      error: error.message,
+    });
+  }
+});
+
+// Get specific question by ID
+router.get('/:id', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid question ID' });
+    }
+
+    const question = await Question.findOne({ _id: req.params.id, user: req.user._id })
+      .populate('video', 'title transcript')
+      .populate('summary', 'content type')
+      .select('-userAnswers');
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: question,
+    });
+  } catch (error) {
+    console.error('Error in GET /questions/:id:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving question',
+      error: error.message,
+    });
+  }
+});
+
+// Pick the versioned content fields present in the request body
+const pickContentChanges = (source) => Object.fromEntries(
+  Question.VERSIONED_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// Apply an edit as a new question version and respond with the updated question
+const applyQuestionEdit = async (req, res, changes) => {
+  const question = await Question.findOne({ _id: req.params.id, user: req.user._id }).select('-userAnswers');
+  if (!question) {
+    return res.status(404).json({ success: false, message: 'Question not found' });
+  }
+
+  const changedFields = await question.revise(changes, { editedBy: req.user._id, changeNote: req.body.changeNote });
+  // Retiring or restoring is not a content change and does not create a version
+  if (req.body.isActive !== undefined && question.isActive !== req.body.isActive) {
+    question.isActive = req.body.isActive;
+    await question.save();
+  }
+
+  res.json({
+    success: true,
+    message: changedFields.length ? `Question updated to version ${question.version}` : 'No content changes',
+    data: question,
+    changedFields,
+  });
+};
+
+// Replace a question's content; omitted optional fields are reset to their defaults
+router.put('/:id', [authMiddleware.authenticateToken, param('id').isMongoId().withMessage('Invalid question ID'), questionValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const defaults = new Question({ type: req.body.type }).contentSnapshot();
+    await applyQuestionEdit(req, res, { ...defaults, ...pickContentChanges(req.body) });
+  } catch (error) {
+    console.error('Error in PUT /questions/:id:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating question',
+      error: error.message,
+    });
+  }
+});
+
+// Edit selected fields of a question; also retires or restores it via isActive
+router.patch('/:id', [authMiddleware.authenticateToken, questionPatchValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    await applyQuestionEdit(req, res, pickContentChanges(req.body));
+  } catch (error) {
+    console.error('Error in PATCH /questions/:id:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating question',
+      error: error.message,
+    });
+  }
+});
+
+// Retire a question (soft delete). ?permanent=true removes it outright, but only if nobody has answered it.
+router.delete('/:id', [
+  authMiddleware.authenticateToken,
+  param('id').isMongoId().withMessage('Invalid question ID'),
+  query('permanent').optional().isBoolean().toBoolean().withMessage('permanent must be a boolean'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const question = await Question.findOne({ _id: req.params.id, user: req.user._id });
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    if (req.query.permanent) {
+      if (question.userAnswers.length) {
+        return res.status(409).json({
+          success: false,
+          message: 'Question has recorded answers and can only be retired',
+        });
+      }
+      await Promise.all([
+        QuestionVersion.deleteMany({ question: question._id }),
+        ReviewSchedule.deleteMany({ question: question._id }),
+        question.deleteOne(),
+      ]);
+      return res.json({
+        success: true,
+        message: 'Question deleted permanently',
+        data: { deletedId: question._id },
+      });
+    }
+
+    question.isActive = false;
+    await question.save();
+    res.json({
+      success: true,
+      message: 'Question retired',
+      data: { _id: question._id, isActive: question.isActive, version: question.version },
+    });
+  } catch (error) {
+    console.error('Error in DELETE /questions/:id:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting question',
+      error: error.message,
+    });
+  }
+});
+
+// Copy a question's current content into a new, independent question
+router.post('/:id/duplicate', [
+  authMiddleware.authenticateToken,
+  param('id').isMongoId().withMessage('Invalid question ID'),
+  body('videoId').optional({ nullable: true }).custom((value) => value === null || mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid video ID'),
+  body('summaryId').optional({ nullable: true }).custom((value) => value === null || mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid summary ID'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const source = await Question.findOne({ _id: req.params.id, user: req.user._id }).select('-userAnswers');
+    if (!source) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    const { videoId, summaryId } = req.body;
+    if (videoId && !(await VideoModel.exists({ _id: videoId, user: req.user._id }))) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+    if (summaryId && !(await Summary.exists({ _id: summaryId, userId: req.user._id }))) {
+      return res.status(404).json({ success: false, message: 'Summary not found' });
+    }
+
+    const content = source.contentSnapshot();
+    const copy = new Question({
+      ...content,
+      // Fresh subdocument ids so answers to the copy never match the original's options
+      options: content.options.map(({ text, isCorrect }) => ({ text, isCorrect })),
+      rubric: content.rubric.map(({ criterion, description, maxPoints }) => ({ criterion, description, maxPoints })),
+      user: req.user._id,
+      video: videoId !== undefined ? videoId : source.video,
+      summary: summaryId !== undefined ? summaryId : source.summary,
+      aiGenerated: source.aiGenerated,
+      aiModel: source.aiModel,
+      confidence: source.confidence,
+      createdBy: 'user',
+      duplicatedFrom: source._id,
+      // Copying an unreviewed question must not bypass review
+      approval: { status: ['draft', 'in_review', 'rejected'].includes(source.approval?.status) ? 'draft' : 'approved' },
+    });
+    await copy.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Question duplicated successfully',
+      data: copy,
+    });
+  } catch (error) {
+    console.error('Error in POST /questions/:id/duplicate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error duplicating question',
+      error: error.message,
+    });
+  }
+});
+
+// Review a question: submit it for review, approve, reject (comment required) or just comment
+router.post('/:id/review', [
+  authMiddleware.authenticateToken,
+  param('id').isMongoId().withMessage('Invalid question ID'),
+  body('action').isIn(['submit', 'approve', 'reject', 'comment']).withMessage('Action must be submit, approve, reject or comment'),
+  body('comment').optional().isString().trim().isLength({ max: 2000 }).withMessage('Comment must be 2000 characters or less'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const question = await Question.findOne({ _id: req.params.id, user: req.user._id }).select('-userAnswers');
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    const status = question.reviewAction(req.body.action, { reviewer: req.user._id, comment: req.body.comment });
+    await question.save();
+
+    res.json({
+      success: true,
+      message: req.body.action === 'comment' ? 'Comment added' : `Question is now ${status.replace('_', ' ')}`,
+      data: {
+        _id: question._id,
+        approval: question.approval,
+      },
+    });
+  } catch (error) {
+    console.error('Error in POST /questions/:id/review:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error reviewing question',
+      error: error.message,
+    });
+  }
+});
+
+// Merge near-duplicates into this question, keeping their statistics and review schedules
+router.post('/:id/merge', [
+  authMiddleware.authenticateToken,
+  param('id').isMongoId().withMessage('Invalid question ID'),
+  body('duplicateIds').isArray({ min: 1, max: 50 }).withMessage('duplicateIds must list 1-50 question IDs'),
+  body('duplicateIds.*').isMongoId().withMessage('Invalid question ID'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const duplicateIds = [...new Set(req.body.duplicateIds)];
+    if (duplicateIds.includes(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'A question cannot be merged into itself' });
+    }
+
+    const target = await Question.findOne({ _id: req.params.id, user: req.user._id, isActive: true }).select('-userAnswers');
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+    const duplicates = await Question.find({ _id: { $in: duplicateIds }, user: req.user._id, isActive: true }).select('-userAnswers');
+    if (duplicates.length !== duplicateIds.length) {
+      return res.status(404).json({ success: false, message: 'Some duplicates were not found or are already retired' });
+    }
+
+    const similarities = duplicates.map(duplicate => ({
+      _id: duplicate._id,
+      similarity: DedupeService.similarity(target, duplicate),
+    }));
+    await DedupeService.merge(target, duplicates, { editedBy: req.user._id });
+
+    res.json({
+      success: true,
+      message: `Merged ${duplicates.length} question(s)`,
+      data: {
+        question: target,
+        merged: similarities,
+      },
+    });
+  } catch (error) {
+    console.error('Error in POST /questions/:id/merge:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error merging questions',
+      error: error.message,
+    });
+  }
+});
+
+// Version history of a question, with how many answers were given to each version
+router.get('/:id/versions', [authMiddleware.authenticateToken, param('id').isMongoId().withMessage('Invalid question ID')], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const question = await Question.findOne({ _id: req.params.id, user: req.user._id });
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    // Questions never edited have no stored version yet
+    await question.ensureVersionSnapshot();
+    const versions = await QuestionVersion.find({ question: question._id }).sort({ version: -1 }).lean();
+    const answerCounts = question.userAnswers.reduce((counts, entry) => {
+      counts[entry.questionVersion] = (counts[entry.questionVersion] || 0) + 1;
+      return counts;
+    }, {});
+
+    res.json({
+      success: true,
+      data: {
+        currentVersion: question.version,
+        versions: versions.map(version => ({
+          version: version.version,
+          createdAt: version.createdAt,
+          editedBy: version.editedBy,
+          changeNote: version.changeNote,
+          changedFields: version.changedFields,
+          answerCount: answerCounts[version.version] || 0,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Error in GET /questions/:id/versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving question versions',
+      error: error.message,
+    });
+  }
+});
+
+// Content of one version of a question
+router.get('/:id/versions/:version', [
+  authMiddleware.authenticateToken,
+  param('id').isMongoId().withMessage('Invalid question ID'),
+  param('version').isInt({ min: 1 }).toInt().withMessage('Version must be a positive integer'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const question = await Question.findOne({ _id: req.params.id, user: req.user._id }).select('-userAnswers');
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    await question.ensureVersionSnapshot();
+    const version = await QuestionVersion.findOne({ question: question._id, version: req.params.version }).lean();
+    if (!version) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    res.json({
+      success: true,
+      data: version,
+    });
+  } catch (error) {
+    console.error('Error in GET /questions/:id/versions/:version:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving question version',
+      error: error.message,
+    });
+  }
+});
+
+// Item analysis for an option-based question: option choice rates overall and by upper/lower performers
+router.get('/:id/item-analysis', [authMiddleware.authenticateToken, param('id').isMongoId().withMessage('Invalid question ID')], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const question = await Question.findOne({ _id: req.params.id, user: req.user._id });
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+    if (!['multiple_choice', 'true_false'].includes(question.type)) {
+      return res.status(400).json({ success: false, message: 'Item analysis is only available for option-based questions' });
+    }
+
+    // Option wording can change between versions, so only answers to the current one are counted
+    const answers = ItemAnalysisService.firstAnswers(question, question.version);
+    const abilities = await ItemAnalysisService.learnerAbilities(answers.map(entry => entry.user), question._id);
+    const report = ItemAnalysisService.analyze(question, answers, abilities);
+
+    res.json({
+      success: true,
+      data: {
+        questionId: question._id,
+        version: question.version,
+        answersToOlderVersions: question.userAnswers.filter(entry => entry.questionVersion !== question.version).length,
+        calibration: question.calibration,
+        ...report,
+      },
+    });
+  } catch (error) {
+    console.error('Error in GET /questions/:id/item-analysis:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error analysing question',
+      error: error.message,
+    });
+  }
+});
+
+// Replace a weak distractor with an AI-written one; saved as a new question version unless apply is false
+router.post('/:id/options/:optionId/regenerate', [
+  authMiddleware.authenticateToken,
+  param('id').isMongoId().withMessage('Invalid question ID'),
+  param('optionId').isMongoId().withMessage('Invalid option ID'),
+  body('apply').optional().isBoolean().toBoolean().withMessage('apply must be a boolean'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const question = await Question.findOne({ _id: req.params.id, user: req.user._id }).select('-userAnswers');
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+    if (question.type !== 'multiple_choice') {
+      return res.status(400).json({ success: false, message: 'Distractors can only be regenerated for multiple-choice questions' });
+    }
+    const weak = question.options.id(req.params.optionId);
+    if (!weak) {
+      return res.status(404).json({ success: false, message: 'Option not found' });
+    }
+    if (weak.isCorrect) {
+      return res.status(400).json({ success: false, message: 'Only incorrect options can be regenerated' });
+    }
+
+    const video = question.video ? await VideoModel.findById(question.video).select('transcript').lean() : null;
+    const suggestion = await AIService.generateDistractor({
+      question: question.question,
+      correctAnswers: question.options.filter(opt => opt.isCorrect).map(opt => opt.text),
+      keepOptions: question.options.filter(opt => !opt._id.equals(weak._id)).map(opt => opt.text),
+      weakDistractor: weak.text,
+      transcript: transcriptWindow(video?.transcript, question.timestamp, { window: 90, maxChars: 6000 }),
+    });
+    if (suggestion.error) {
+      return res.status(502).json({ success: false, message: 'Could not generate a distractor', error: suggestion.error });
+    }
+    const duplicate = question.options.some(opt => opt.text.trim().toLowerCase() === suggestion.text.toLowerCase());
+    if (duplicate) {
+      return res.status(422).json({ success: false, message: 'Generated distractor duplicates an existing option', data: suggestion });
+    }
+
+    const apply = req.body.apply !== false;
+    if (apply) {
+      const options = question.options.map(opt => ({
+        _id: opt._id,
+        text: opt._id.equals(weak._id) ? suggestion.text : opt.text,
+        isCorrect: opt.isCorrect,
+      }));
+      await question.revise({ options }, {
+        editedBy: req.user._id,
+        changeNote: `Regenerated distractor "${weak.text}"`.substring(0, 500),
+      });
+    }
+
+    res.json({
+      success: true,
+      message: apply ? `Distractor replaced in version ${question.version}` : 'Distractor suggestion generated',
+      data: {
+        previous: weak.text,
+        suggestion,
+        applied: apply,
+        question: apply ? question : undefined,
+      },
+    });
+  } catch (error) {
+    console.error('Error in POST /questions/:id/options/:optionId/regenerate:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error regenerating distractor',
+      error: error.message,
+    });
+  }
+});
+
+const hintValidation = [
+  param('id').isMongoId().withMessage('Invalid question ID'),
+  body('explanation').optional().isBoolean().toBoolean().withMessage('explanation must be a boolean'),
+  body('questionVersion').optional().isInt({ min: 1 }).toInt().withMessage('Question version must be a positive integer'),
+];
+
+// Reveal the next hint (or, with explanation: true, the explanation); the next answer is discounted
+router.post('/:id/hint', [authMiddleware.authenticateToken, hintValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const question = await Question.findOne({ _id: req.params.id, user: req.user._id });
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    const { explanation, questionVersion } = req.body;
+    if (questionVersion > question.version) {
+      return res.status(400).json({ success: false, message: 'Unknown question version' });
+    }
+    const seen = questionVersion ? await question.atVersion(questionVersion) : question;
+    const revealed = await HintService.reveal(question, req.user._id, { explanation, seen });
+
+    res.json({
+      success: true,
+      message: explanation ? 'Explanation revealed' : 'Hint revealed',
+      data: HintService.view(revealed, question),
+    });
+  } catch (error) {
+    console.error('Error in POST /questions/:id/hint:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error revealing hint',
+      error: error.message,
+    });
+  }
+});
+
+// Replace a question's hints; an empty list has them generated again on the next request
+router.put('/:id/hints', [
+  authMiddleware.authenticateToken,
+  param('id').isMongoId().withMessage('Invalid question ID'),
+  body('hints').isArray({ max: Question.MAX_HINTS }).withMessage(`Hints must be an array of at most ${Question.MAX_HINTS} items`),
+  body('hints.*').isString().trim().notEmpty().isLength({ max: 300 }).withMessage('Each hint must be 1-300 characters'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const question = await Question.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: { hints: req.body.hints } },
+      { new: true, runValidators: true }
+    ).select('hints');
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Hints updated successfully',
+      data: { hints: question.hints },
+    });
+  } catch (error) {
+    console.error('Error in PUT /questions/:id/hints:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating hints',
+      error: error.message,
+    });
+  }
+});
+
+// Submit an answer to a question
+router.post('/:id/answer', [authMiddleware.authenticateToken, answerValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid question ID' });
+    }
+
+    const question = await Question.findOne({ _id: req.params.id, user: req.user._id });
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    const { answer, timeSpent, questionVersion } = req.body;
+    if (questionVersion > question.version) {
+      return res.status(400).json({ success: false, message: 'Unknown question version' });
+    }
+    await question.recordAnswer(req.user._id, answer, timeSpent || 0, { questionVersion });
+    const recorded = question.userAnswers[question.userAnswers.length - 1];
+    const pendingGrading = recorded.gradingStatus === 'pending';
+    if (pendingGrading) addEssayGradingJob(question._id, recorded._id);
+    const schedule = await ReviewService.recordLatestAnswer(req.user._id, question);
+
+    res.json({
+      success: true,
+      message: 'Answer recorded successfully',
+      data: question,
+      grading: {
+        status: recorded.gradingStatus,
+        score: recorded.score,
+        isCorrect: recorded.isCorrect,
+        reason: recorded.gradingReason,
+      },
+      review: schedule && {
+        dueAt: schedule.dueAt,
+        interval: schedule.interval,
+        easeFactor: schedule.easeFactor,
+        repetitions: schedule.repetitions,
+      },
+    });
+  } catch (error) {
+    console.error('Error in POST /questions/:id/answer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording answer',
+      error: error.message,
+    });
+  }
+});
+
+const gradeParamsValidation = [
+  param('id').isMongoId().withMessage('Invalid question ID'),
+  param('answerId').isMongoId().withMessage('Invalid answer ID'),
+];
+
+const gradeView = (entry) => ({
+  answerId: entry._id,
+  user: entry.user,
+  answer: entry.answer,
+  status: entry.gradingStatus,
+  score: entry.score,
+  isCorrect: entry.isCorrect,
+  reason: entry.gradingReason,
+  rubricScores: entry.rubricScores,
+  feedback: entry.feedback,
+  gradedBy: entry.gradedBy,
+  gradedAt: entry.gradedAt,
+  overriddenBy: entry.overriddenBy,
+});
+
+// Get the grade and feedback for an answer (the learner who wrote it or the question owner)
+router.get('/:id/answers/:answerId/grade', [authMiddleware.authenticateToken, gradeParamsValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+    const entry = question?.userAnswers.id(req.params.answerId);
+    const isOwner = question?.user.toString() === req.user._id.toString();
+    if (!entry || (!isOwner && entry.user?.toString() !== req.user._id.toString())) {
+      return res.status(404).json({ success: false, message: 'Answer not found' });
+    }
+
+    res.json({
+      success: true,
+      data: gradeView(entry),
+    });
+  } catch (error) {
+    console.error('Error in GET /questions/:id/answers/:answerId/grade:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving grade',
+      error: error.message,
+    });
+  }
+});
+
+// Override the rubric scores and/or feedback of an essay answer (question owner only)
+router.patch('/:id/answers/:answerId/grade', [
+  authMiddleware.authenticateToken,
+  gradeParamsValidation,
+  body('criteria').optional().isArray().withMessage('Criteria must be an array'),
+  body('criteria.*.criterion').optional().isString().trim().notEmpty().withMessage('Each criterion needs a name'),
+  body('criteria.*.score').optional().isFloat({ min: 0 }).withMessage('Criterion score must be a non-negative number'),
+  body('criteria.*.comment').optional().isString().trim(),
+  body('feedback').optional().isString().trim(),
+  body().custom((value) => {
+    if (value.criteria === undefined && value.feedback === undefined) throw new Error('Provide criteria or feedback');
+    return true;
+  }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const question = await Question.findOne({ _id: req.params.id, user: req.user._id });
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+    if (question.type !== 'essay') {
+      return res.status(400).json({ success: false, message: 'Only essay answers can be regraded' });
+    }
+    if (!question.userAnswers.id(req.params.answerId)) {
+      return res.status(404).json({ success: false, message: 'Answer not found' });
+    }
+
+    const { criteria, feedback } = req.body;
+    await question.applyEssayGrade(req.params.answerId, {
+      criteria,
+      feedback,
+      gradedBy: 'instructor',
+      overriddenBy: req.user._id,
+    });
+    const entry = question.userAnswers.id(req.params.answerId);
+    await QuizAttempt.syncAnswerGrade(entry._id, { score: entry.score, isCorrect: entry.isCorrect });
+
+    res.json({
+      success: true,
+      message: 'Grade updated successfully',
+      data: gradeView(entry),
+    });
+  } catch (error) {
+    console.error('Error in PATCH /questions/:id/answers/:answerId/grade:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating grade',
       error: error.message,
     });
   }
@@ -0,0 +1,606 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import Question from '../models/Question.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import Assignment from '../models/Assignment.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+import { addEssayGradingJob } from '../Jobs/essayGrader.js';
+import AdaptiveService from '../services/adaptive.service.js';
+import AssignmentService from '../services/assignment.service.js';
+import GradingService from '../services/grading.service.js';
+import HintService from '../services/hint.service.js';
+import ReviewService from '../services/review.service.js';
+
+const router = express.Router();
+
+const startValidation = [
+  body('videoId').optional().custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid video ID'),
+  body('summaryId').optional().custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid summary ID'),
+  body('documentId').optional().custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid document ID'),
+  body('imageId').optional().custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid image ID'),
+  body().custom((value) => {
+    if ([value.videoId, value.summaryId, value.documentId, value.imageId].filter(Boolean).length !== 1) {
+      throw new Error('Provide exactly one of videoId, summaryId, documentId or imageId');
+    }
+    return true;
+  }),
+  body('difficulty').optional().isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty level'),
+  body('limit').optional().isInt({ min: 1, max: 100 }).toInt().withMessage('Limit must be 1-100'),
+  body('mode').optional().isIn(['fixed', 'adaptive']).withMessage('Mode must be fixed or adaptive'),
+  body('masteryLevel').optional().isFloat({ min: 0.5, max: 0.95 }).toFloat().withMessage('Mastery level must be between 0.5 and 0.95'),
+  body('confidence').optional().isFloat({ min: 0.5, max: 0.99 }).toFloat().withMessage('Confidence must be between 0.5 and 0.99'),
+  body('minQuestions').optional().isInt({ min: 1, max: 50 }).toInt().withMessage('minQuestions must be 1-50'),
+  body('maxQuestions').optional().isInt({ min: 1, max: 100 }).toInt().withMessage('maxQuestions must be 1-100'),
+  body('maxQuestions').optional().custom((value, { req }) => {
+    if (req.body.minQuestions && Number(value) < Number(req.body.minQuestions)) throw new Error('maxQuestions must be at least minQuestions');
+    return true;
+  }),
+];
+
+const attemptIdValidation = [
+  param('id').isMongoId().withMessage('Invalid attempt ID'),
+];
+
+const answerValidation = [
+  body('questionId').optional().isMongoId().withMessage('Invalid question ID'),
+  body('answer').custom(value => GradingService.isAnswerValue(value)).withMessage('Answer is required: an option text, or an array of option texts for multi-select questions').trim(),
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array(),
+  });
+  return true;
+};
+
+// Mark the attempt as finished and compute its final score
+const finalizeAttempt = (attempt, outcome = null) => {
+  attempt.status = 'completed';
+  attempt.completedAt = new Date();
+  if (attempt.mode === 'adaptive' && !attempt.adaptive.outcome) attempt.adaptive.outcome = outcome || 'submitted';
+  attempt.computeScore();
+};
+
+// An assignment attempt still open when its assignment closed (past due, no late work) is
+// submitted as it stood at the due date; resolves to true when that happened
+const closeIfPastDue = async (attempt) => {
+  if (!attempt.assignment || attempt.status !== 'in_progress') return false;
+  const assignment = await Assignment.findById(attempt.assignment).select('openAt dueAt allowLate');
+  if (assignment?.availability() !== 'closed') return false;
+  finalizeAttempt(attempt);
+  attempt.completedAt = assignment.dueAt;
+  await attempt.save();
+  return true;
+};
+
+const pastDueResponse = (res, attempt) => res.status(409).json({
+  success: false,
+  message: 'This assignment is past its due date; the attempt was submitted as it stood',
+  data: { attempt: attemptOverview(attempt) },
+});
+
+// Adaptive attempts pick their next question only once the previous one has been answered
+const currentOrNextItem = async (attempt) => {
+  const item = attempt.currentItem();
+  if (item || attempt.mode !== 'adaptive' || attempt.status !== 'in_progress') return item;
+  return AdaptiveService.nextItem(attempt);
+};
+
+// Record timeouts for the current question while it is past its limit, then advance
+const expireOverdueItems = async (attempt, userId) => {
+  const now = new Date();
+  let item = attempt.currentItem();
+  while (item && attempt.isItemOverdue(item, now)) {
+    const question = await Question.findById(item.question);
+    if (question) {
+      await question.recordAnswer(userId, null, item.timeLimit, { timedOut: true, questionVersion: item.questionVersion });
+      item.answerEntry = question.userAnswers[question.userAnswers.length - 1]._id;
+      await ReviewService.recordLatestAnswer(userId, question);
+    }
+    item.answeredAt = now;
+    item.timedOut = true;
+    item.timeSpent = item.timeLimit;
+    attempt.currentIndex += 1;
+    if (attempt.mode === 'adaptive') {
+      const outcome = AdaptiveService.afterAnswer(attempt);
+      if (outcome) return finalizeAttempt(attempt, outcome);
+    }
+    item = attempt.currentItem();
+  }
+  if (!item && attempt.status === 'in_progress' && attempt.mode !== 'adaptive') finalizeAttempt(attempt);
+};
+
+// Per-question breakdown for a finished attempt. Answers and explanations are revealed only when
+// the answer key may be shown (not for an assignment that is still taking attempts)
+const buildBreakdown = async (attempt, user) => {
+  const questions = await Question.find({ _id: { $in: attempt.items.map(item => item.question) } })
+    .select('-userAnswers');
+  const byId = new Map(questions.map(q => [q._id.toString(), q]));
+  const answerKeyVisible = await AssignmentService.answerKeyVisible(attempt, user, questions);
+
+  // Reveal the answer key of the version each question had when it was served
+  const shown = await Promise.all(attempt.items.map((item) => {
+    const question = byId.get(item.question.toString());
+    return question ? question.atVersion(item.questionVersion) : null;
+  }));
+
+  const breakdown = attempt.items.map((item, index) => {
+    const question = shown[index];
+    return {
+      order: item.order,
+      questionId: item.question,
+      question: question?.question || null,
+      type: question?.type || null,
+      answer: item.answer,
+      selections: item.selections,
+      correctAnswer: question && answerKeyVisible ? question.correctAnswerText() : null,
+      explanation: (answerKeyVisible && question?.explanation) || null,
+      timestamp: question?.timestamp ?? null,
+      page: question?.page ?? null,
+      isCorrect: item.isCorrect,
+      score: item.score,
+      pendingGrading: item.pendingGrading,
+      timedOut: item.timedOut,
+      hintsUsed: item.hintsUsed || 0,
+      explanationRevealed: Boolean(item.explanationRevealed),
+      answered: Boolean(item.answeredAt),
+      timeSpent: item.timeSpent,
+      pointsEarned: item.pointsEarned,
+      pointsPossible: item.pointsPossible,
+    };
+  });
+  return { breakdown, answerKeyVisible };
+};
+
+const attemptOverview = (attempt) => ({
+  _id: attempt._id,
+  assignment: attempt.assignment,
+  video: attempt.video,
+  summary: attempt.summary,
+  document: attempt.document,
+  image: attempt.image,
+  status: attempt.status,
+  currentIndex: attempt.currentIndex,
+  totalQuestions: attempt.items.length,
+  startedAt: attempt.startedAt,
+  completedAt: attempt.completedAt,
+  score: attempt.status === 'completed' ? attempt.score : undefined,
+  mode: attempt.mode,
+  adaptive: attempt.mode === 'adaptive' ? {
+    ability: attempt.adaptive.ability,
+    standardError: attempt.adaptive.standardError,
+    mastery: AdaptiveService.masteryEstimate(attempt),
+    masteryLevel: attempt.adaptive.masteryLevel,
+    minQuestions: attempt.adaptive.minQuestions,
+    maxQuestions: attempt.adaptive.maxQuestions,
+    generatedCount: attempt.adaptive.generatedCount,
+    outcome: attempt.adaptive.outcome,
+  } : undefined,
+});
+
+// Start a new quiz attempt for a video, summary, document or image
+router.post('/', authMiddleware.authenticateToken, startValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { videoId, summaryId, documentId, imageId, difficulty, limit, mode = 'fixed' } = req.body;
+    const filter = Question.learnerVisible({ user: req.user._id });
+    if (videoId) filter.video = videoId;
+    if (summaryId) filter.summary = summaryId;
+    if (documentId) filter.document = documentId;
+    if (imageId) filter.image = imageId;
+
+    // Adaptive attempts start empty and choose each question as the learner goes
+    if (mode === 'adaptive') {
+      const attempt = new QuizAttempt({
+        user: req.user._id,
+        video: videoId || null,
+        summary: summaryId || null,
+        document: documentId || null,
+        image: imageId || null,
+        mode,
+        adaptive: {
+          masteryLevel: req.body.masteryLevel,
+          confidence: req.body.confidence,
+          minQuestions: req.body.minQuestions,
+          maxQuestions: req.body.maxQuestions,
+        },
+        items: [],
+      });
+      const poolSize = await Question.countDocuments(AdaptiveService.candidateFilter(attempt));
+      if (!poolSize) {
+        return res.status(404).json({
+          success: false,
+          message: 'No approved questions available for an adaptive quiz',
+        });
+      }
+      await attempt.save();
+      return res.status(201).json({
+        success: true,
+        message: 'Adaptive quiz attempt started',
+        data: { ...attemptOverview(attempt), poolSize },
+      });
+    }
+
+    if (difficulty) filter.difficulty = difficulty;
+
+    let questionQuery = Question.find(filter)
+      .sort({ page: 1, timestamp: 1, createdAt: 1 })
+      .select('points timeLimit');
+    if (limit) questionQuery = questionQuery.limit(limit);
+    const questions = await questionQuery;
+
+    if (!questions.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'No questions available for this quiz',
+      });
+    }
+
+    const attempt = new QuizAttempt({
+      user: req.user._id,
+      video: videoId || null,
+      summary: summaryId || null,
+      document: documentId || null,
+      image: imageId || null,
+      items: questions.map((q, index) => ({
+        question: q._id,
+        order: index + 1,
+        pointsPossible: q.points ?? 1,
+        timeLimit: q.timeLimit || null,
+      })),
+    });
+    await attempt.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Quiz attempt started',
+      data: attemptOverview(attempt),
+    });
+  } catch (error) {
+    console.error('Error in POST /quizzes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting quiz attempt',
+      error: error.message,
+    });
+  }
+});
+
+// List the authenticated user's attempts, one entry per sitting
+router.get('/', authMiddleware.authenticateToken, [
+  query('videoId').optional().isMongoId().withMessage('Invalid video ID'),
+  query('summaryId').optional().isMongoId().withMessage('Invalid summary ID'),
+  query('documentId').optional().isMongoId().withMessage('Invalid document ID'),
+  query('imageId').optional().isMongoId().withMessage('Invalid image ID'),
+  query('status').optional().isIn(['in_progress', 'completed']).withMessage('Invalid status'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const filter = { user: req.user._id };
+    if (req.query.videoId) filter.video = req.query.videoId;
+    if (req.query.summaryId) filter.summary = req.query.summaryId;
+    if (req.query.documentId) filter.document = req.query.documentId;
+    if (req.query.imageId) filter.image = req.query.imageId;
+    if (req.query.status) filter.status = req.query.status;
+
+    const attempts = await QuizAttempt.find(filter).sort({ createdAt: -1 });
+    res.json({
+      success: true,
+      data: attempts.map(attemptOverview),
+    });
+  } catch (error) {
+    console.error('Error in GET /quizzes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving quiz attempts',
+      error: error.message,
+    });
+  }
+});
+
+// Get the state of an attempt
+router.get('/:id', authMiddleware.authenticateToken, attemptIdValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const attempt = await QuizAttempt.findOne({ _id: req.params.id, user: req.user._id });
+    if (!attempt) {
+      return res.status(404).json({ success: false, message: 'Quiz attempt not found' });
+    }
+
+    if (attempt.status === 'in_progress') {
+      await expireOverdueItems(attempt, req.user._id);
+      await attempt.save();
+    }
+
+    res.json({
+      success: true,
+      data: attemptOverview(attempt),
+    });
+  } catch (error) {
+    console.error('Error in GET /quizzes/:id:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving quiz attempt',
+      error: error.message,
+    });
+  }
+});
+
+// Serve the current question; its time limit starts the first time it is served
+router.get('/:id/question', authMiddleware.authenticateToken, attemptIdValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const attempt = await QuizAttempt.findOne({ _id: req.params.id, user: req.user._id });
+    if (!attempt) {
+      return res.status(404).json({ success: false, message: 'Quiz attempt not found' });
+    }
+    if (attempt.status !== 'in_progress') {
+      return res.status(409).json({ success: false, message: 'Quiz attempt is already completed' });
+    }
+    if (await closeIfPastDue(attempt)) return pastDueResponse(res, attempt);
+
+    await expireOverdueItems(attempt, req.user._id);
+
+    let item = await currentOrNextItem(attempt);
+    let question = null;
+    while (item && !question) {
+      question = await Question.findById(item.question);
+      if (!question) {
+        // Question was removed after the attempt started; it no longer counts towards the score
+        item.pointsPossible = 0;
+        attempt.currentIndex += 1;
+        item = await currentOrNextItem(attempt);
+      }
+    }
+
+    if (!item) {
+      if (attempt.status === 'in_progress') finalizeAttempt(attempt, 'pool_exhausted');
+      await attempt.save();
+      return res.json({
+        success: true,
+        message: 'No questions remaining',
+        data: {
+          done: true,
+          attempt: attemptOverview(attempt),
+          // Adaptive pool ran dry: more questions at this level are being written for later attempts
+          generatingQuestions: Boolean(attempt.$locals.generatingQuestions),
+        },
+      });
+    }
+
+    if (!item.servedAt) {
+      item.servedAt = new Date();
+      item.questionVersion = question.version;
+    }
+    await attempt.save();
+    // Re-fetching a served question shows the same wording even if it was edited meanwhile
+    const shown = await question.atVersion(item.questionVersion);
+
+    res.json({
+      success: true,
+      data: {
+        done: false,
+        index: attempt.currentIndex,
+        total: attempt.items.length,
+        servedAt: item.servedAt,
+        expiresAt: item.timeLimit
+          ? new Date(item.servedAt.getTime() + item.timeLimit * 1000)
+          : null,
+        question: shown.toLearnerJSON(),
+        // Served off-level because none was left at the learner's level; more are being written
+        generatingQuestions: Boolean(attempt.$locals.generatingQuestions),
+      },
+    });
+  } catch (error) {
+    console.error('Error in GET /quizzes/:id/question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving quiz question',
+      error: error.message,
+    });
+  }
+});
+
+// Reveal the next hint for the current question (or its explanation); its answer is discounted
+router.post('/:id/hint', authMiddleware.authenticateToken, attemptIdValidation, [
+  body('explanation').optional().isBoolean().toBoolean().withMessage('explanation must be a boolean'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const attempt = await QuizAttempt.findOne({ _id: req.params.id, user: req.user._id });
+    if (!attempt) {
+      return res.status(404).json({ success: false, message: 'Quiz attempt not found' });
+    }
+    if (attempt.status !== 'in_progress') {
+      return res.status(409).json({ success: false, message: 'Quiz attempt is already completed' });
+    }
+
+    const item = attempt.currentItem();
+    if (!item?.servedAt) {
+      return res.status(409).json({ success: false, message: 'Fetch the current question before asking for a hint' });
+    }
+
+    const question = await Question.findById(item.question);
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    const { explanation } = req.body;
+    const seen = await question.atVersion(item.questionVersion);
+    const revealed = await HintService.reveal(question, req.user._id, { explanation, seen });
+
+    res.json({
+      success: true,
+      message: explanation ? 'Explanation revealed' : 'Hint revealed',
+      data: HintService.view(revealed, seen),
+    });
+  } catch (error) {
+    console.error('Error in POST /quizzes/:id/hint:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error revealing hint',
+      error: error.message,
+    });
+  }
+});
+
+// Answer the current question
+router.post('/:id/answer', authMiddleware.authenticateToken, attemptIdValidation, answerValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const attempt = await QuizAttempt.findOne({ _id: req.params.id, user: req.user._id });
+    if (!attempt) {
+      return res.status(404).json({ success: false, message: 'Quiz attempt not found' });
+    }
+    if (attempt.status !== 'in_progress') {
+      return res.status(409).json({ success: false, message: 'Quiz attempt is already completed' });
+    }
+    if (await closeIfPastDue(attempt)) return pastDueResponse(res, attempt);
+
+    const item = attempt.currentItem();
+    if (!item) {
+      return res.status(409).json({ success: false, message: 'No questions remaining' });
+    }
+    if (!item.servedAt) {
+      return res.status(409).json({ success: false, message: 'Fetch the current question before answering' });
+    }
+    if (req.body.questionId && req.body.questionId !== item.question.toString()) {
+      return res.status(409).json({ success: false, message: 'Answers must be submitted for the current question' });
+    }
+
+    const question = await Question.findById(item.question);
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    const now = new Date();
+    const timedOut = attempt.isItemOverdue(item, now);
+    const timeSpent = Math.round((now - item.servedAt) / 1000);
+    const { answer } = req.body;
+
+    await question.recordAnswer(req.user._id, answer, timeSpent, { timedOut, questionVersion: item.questionVersion });
+    const recorded = question.userAnswers[question.userAnswers.length - 1];
+
+    item.answer = recorded.answer;
+    item.selections = recorded.selections;
+    item.answerEntry = recorded._id;
+    item.pendingGrading = recorded.gradingStatus === 'pending';
+    if (item.pendingGrading) addEssayGradingJob(question._id, recorded._id);
+    await ReviewService.recordLatestAnswer(req.user._id, question);
+    item.answeredAt = now;
+    item.timeSpent = timeSpent;
+    item.timedOut = timedOut;
+    item.hintsUsed = recorded.hintsUsed || 0;
+    item.explanationRevealed = Boolean(recorded.explanationRevealed);
+    item.isCorrect = recorded.isCorrect;
+    item.score = recorded.score ?? (recorded.isCorrect ? 1 : 0);
+    item.pointsEarned = Number((item.score * item.pointsPossible).toFixed(2));
+    attempt.currentIndex += 1;
+    if (attempt.mode === 'adaptive') {
+      const outcome = AdaptiveService.afterAnswer(attempt);
+      if (outcome) finalizeAttempt(attempt, outcome);
+    } else if (!attempt.currentItem()) {
+      finalizeAttempt(attempt);
+    }
+    await attempt.save();
+
+    res.json({
+      success: true,
+      message: timedOut ? 'Time limit exceeded; answer recorded as incorrect' : 'Answer recorded successfully',
+      data: {
+        isCorrect: item.isCorrect,
+        score: item.score,
+        reason: recorded.gradingReason,
+        pendingGrading: item.pendingGrading,
+        timedOut,
+        pointsEarned: item.pointsEarned,
+        done: attempt.status === 'completed',
+        attempt: attemptOverview(attempt),
+      },
+    });
+  } catch (error) {
+    console.error('Error in POST /quizzes/:id/answer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording quiz answer',
+      error: error.message,
+    });
+  }
+});
+
+// Finish an attempt early; unanswered questions score zero
+router.post('/:id/submit', authMiddleware.authenticateToken, attemptIdValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const attempt = await QuizAttempt.findOne({ _id: req.params.id, user: req.user._id });
+    if (!attempt) {
+      return res.status(404).json({ success: false, message: 'Quiz attempt not found' });
+    }
+
+    if (attempt.status === 'in_progress') {
+      await expireOverdueItems(attempt, req.user._id);
+      if (attempt.status === 'in_progress') finalizeAttempt(attempt);
+      await attempt.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Quiz attempt submitted',
+      data: {
+        attempt: attemptOverview(attempt),
+        ...await buildBreakdown(attempt, req.user),
+      },
+    });
+  } catch (error) {
+    console.error('Error in POST /quizzes/:id/submit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting quiz attempt',
+      error: error.message,
+    });
+  }
+});
+
+// Final score with per-question breakdown
+router.get('/:id/results', authMiddleware.authenticateToken, attemptIdValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const attempt = await QuizAttempt.findOne({ _id: req.params.id, user: req.user._id });
+    if (!attempt) {
+      return res.status(404).json({ success: false, message: 'Quiz attempt not found' });
+    }
+    if (attempt.status !== 'completed') {
+      return res.status(409).json({ success: false, message: 'Quiz attempt is still in progress' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        attempt: attemptOverview(attempt),
+        ...await buildBreakdown(attempt, req.user),
+      },
+    });
+  } catch (error) {
+    console.error('Error in GET /quizzes/:id/results:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving quiz results',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,4 +1,5 @@
 import express from 'express';
+import http from 'http';
 import cors from 'cors';
 import helmet from 'helmet';
 import multer from 'multer';
@@ -31,7 +32,14 @@ import mediaRoutes from './routes/media.routes.js';
 
 import authRoutes from './routes/auth.routes.js';
 import questionRoutes from './routes/question.routes.js';
+import exchangeRoutes from './routes/exchange.routes.js';
+import quizRoutes from './routes/quiz.routes.js';
 import summaryRoutes from './routes/summary.routes.js';
+import analyticsRoutes from './routes/analytics.routes.js';
+import classRoutes from './routes/class.routes.js';
+import assignmentRoutes from './routes/assignment.routes.js';
+import { scheduleCalibration } from './Jobs/irtCalibration.js';
+import { initLiveQuiz } from './sockets/liveQuiz.socket.js';
 
 console.log('Starting server...');
 // Create Express app
@@ -91,8 +99,13 @@ app.get('/api', (req, res) => {
 app.use('/api/ai', aiRoutes);
 app.use('/api/upload', mediaRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/questions', exchangeRoutes);
 app.use('/api/questions', questionRoutes);
+app.use('/api/quizzes', quizRoutes);
 app.use('/api/summary', summaryRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/classes', classRoutes);
+app.use('/api/assignments', assignmentRoutes);
 
 // FIXED: Replace problematic '*' route with specific catch-all routes
 // This is more compatible with Express 5 and path-to-regexp 8.x
@@ -184,10 +197,15 @@ app.use((err, req, res, next) => {
 
 // Start server
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
+// socket.io shares the HTTP server with Express for live quiz rooms
+const server = http.createServer(app);
+initLiveQuiz(server);
+server.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
   console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
+  console.log(`🎮 Live quiz sockets: ws://localhost:${PORT}/live`);
+  scheduleCalibration();
 });
 
 export default app;
\ No newline at end of file
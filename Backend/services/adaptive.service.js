@@ -0,0 +1,273 @@
+// Backend/services/adaptive.service.js
+// Adaptive quiz engine: estimates the learner's ability after every answer (2PL IRT, MAP estimate)
+// and serves the question that is most informative at that ability, nudged by response time and
+// towards the learner's weakest category. Stops once mastery is decided at the requested confidence.
+// When the pool runs dry at the learner's level, questions at that level are generated in the
+// background. Generated questions go through review before learners see them, so they stock the
+// pool for later attempts: the attempt that ran dry carries on with the nearest approved question,
+// and ends early (outcome 'pool_exhausted') if none is left.
+import Question from '../models/Question.js';
+import Video from '../models/Video.js';
+import Document from '../models/Document.js';
+import Image from '../models/Image.js';
+import models from '../models/Index.js';
+import IrtService from './irt.service.js';
+import DedupeService from './dedupe.service.js';
+
+const { Summary } = models;
+
+const CATEGORIES = ['comprehension', 'analysis', 'application', 'synthesis', 'evaluation'];
+// Essays are graded asynchronously, so they cannot steer the next pick
+const ADAPTIVE_TYPES = ['multiple_choice', 'true_false', 'short_answer', 'fill_blank'];
+
+class AdaptiveService {
+  constructor() {
+    this.offLevelTolerance = 0.75; // ability-scale distance at which the pool counts as dry for this level
+    this.generateBatch = 3;
+    this.maxGenerated = 12; // per attempt, to bound AI usage
+    this.defaultExpectedTime = 30; // seconds, when a question has no timing history
+  }
+
+  // Inverse standard normal CDF (Acklam's rational approximation), for two-sided confidence bounds
+  zScore(confidence) {
+    const p = 1 - (1 - confidence) / 2;
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const high = 0.97575;
+    if (p > high) {
+      const q = Math.sqrt(-2 * Math.log(1 - p));
+      return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+      / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  // Mastery is expressed as the chance of answering an average (b = 0) question correctly
+  masteryTheta(level) {
+    return Math.log(level / (1 - level));
+  }
+
+  answeredItems(attempt) {
+    return attempt.items.filter(item => item.answeredAt && item.itemDifficulty !== null && item.itemDifficulty !== undefined);
+  }
+
+  // MAP ability estimate with a standard normal prior; returns { ability, standardError }
+  estimateAbility(items) {
+    let theta = 0;
+    let information = 1;
+    for (let i = 0; i < 25; i++) {
+      let gradient = -theta;
+      information = 1;
+      for (const item of items) {
+        const p = IrtService.probability(theta, item.itemDiscrimination, item.itemDifficulty);
+        gradient += item.itemDiscrimination * ((item.isCorrect ? 1 : 0) - p);
+        information += item.itemDiscrimination ** 2 * p * (1 - p);
+      }
+      const step = gradient / information;
+      theta = Math.min(Math.max(theta + step, -4), 4);
+      if (Math.abs(step) < 1e-4) break;
+    }
+    return { ability: Number(theta.toFixed(3)), standardError: Number((1 / Math.sqrt(information)).toFixed(3)) };
+  }
+
+  // Fast correct answers push the next question harder; slow correct answers ease off
+  pacingAdjustment(item) {
+    if (!item || !item.isCorrect || item.timedOut || !item.expectedTime) return 0;
+    const ratio = item.timeSpent / item.expectedTime;
+    if (ratio < 0.5) return 0.25;
+    if (ratio > 1.5) return -0.25;
+    return 0;
+  }
+
+  // Category with the lowest running accuracy; unseen categories first so each gets probed
+  targetCategory(attempt, available) {
+    const stats = new Map(available.map(category => [category, { asked: 0, correct: 0 }]));
+    for (const item of attempt.items) {
+      if (!item.answeredAt || !stats.has(item.category)) continue;
+      const entry = stats.get(item.category);
+      entry.asked += 1;
+      entry.correct += item.isCorrect ? 1 : 0;
+    }
+    return [...stats.entries()]
+      .sort(([, a], [, b]) => (a.asked === 0) !== (b.asked === 0)
+        ? (a.asked === 0 ? -1 : 1)
+        : (a.correct + 1) / (a.asked + 2) - (b.correct + 1) / (b.asked + 2))
+      .map(([category]) => category)[0] || null;
+  }
+
+  expectedTime(question) {
+    if (question.statistics?.totalAttempts >= 5 && question.statistics.averageTime > 0) return question.statistics.averageTime;
+    if (question.timeLimit) return question.timeLimit / 2;
+    return this.defaultExpectedTime;
+  }
+
+  candidateFilter(attempt) {
+    const filter = Question.learnerVisible({
+      user: attempt.user,
+      type: { $in: ADAPTIVE_TYPES },
+      _id: { $nin: attempt.items.map(item => item.question) },
+    });
+    if (attempt.video) filter.video = attempt.video;
+    if (attempt.summary) filter.summary = attempt.summary;
+    if (attempt.document) filter.document = attempt.document;
+    if (attempt.image) filter.image = attempt.image;
+    return filter;
+  }
+
+  // Highest Fisher information at the target ability, preferring the target category
+  bestCandidate(candidates, target, category) {
+    let best = null;
+    for (const question of candidates) {
+      const difficulty = IrtService.difficultyOf(question);
+      const discrimination = IrtService.discriminationOf(question);
+      const p = IrtService.probability(target, discrimination, difficulty);
+      const information = discrimination ** 2 * p * (1 - p);
+      const score = information * (question.category === category ? 1.5 : 1);
+      if (!best || score > best.score) best = { question, difficulty, discrimination, score };
+    }
+    return best;
+  }
+
+  // Source text for on-demand generation: the video transcript, summary content, document text or image OCR text
+  async generationSource(attempt) {
+    if (attempt.video) {
+      const video = await Video.findById(attempt.video).select('transcript.text').lean();
+      return video?.transcript?.text || '';
+    }
+    if (attempt.summary) {
+      const summary = await Summary.findById(attempt.summary).select('content').lean();
+      return summary?.content || '';
+    }
+    if (attempt.document) {
+      const document = await Document.findById(attempt.document).select('textContent.text').lean();
+      return document?.textContent?.text || '';
+    }
+    if (attempt.image) {
+      const image = await Image.findById(attempt.image).select('ocr.text').lean();
+      return image?.ocr?.text || '';
+    }
+    return '';
+  }
+
+  // Generate and save questions at a level for the attempt's material; resolves to the saved ones.
+  // The caller records them in attempt.adaptive.generatedCount.
+  async generateQuestions(attempt, difficultyLabel) {
+    if ((attempt.adaptive.generatedCount || 0) >= this.maxGenerated) return [];
+    const text = await this.generationSource(attempt);
+    if (!text) return [];
+
+    // Loaded lazily so adaptive quizzes over an existing pool never require a Gemini key
+    const { default: AIService } = await import('./ai.service.js');
+    const generated = await AIService.generateQuestions(
+      text.substring(0, 20000),
+      this.generateBatch,
+      difficultyLabel,
+      ['multiple_choice', 'short_answer', 'true_false'],
+    );
+
+    const saved = [];
+    for (const fields of generated) {
+      if (!ADAPTIVE_TYPES.includes(fields.type)) continue;
+      try {
+        const question = new Question({
+          ...fields,
+          category: CATEGORIES.includes(fields.category) ? fields.category : 'comprehension',
+          difficulty: ['easy', 'medium', 'hard'].includes(fields.difficulty) ? fields.difficulty : difficultyLabel,
+          user: attempt.user,
+          video: attempt.video,
+          summary: attempt.summary,
+          document: attempt.document,
+          image: attempt.image,
+        });
+        // Regenerating from the same source tends to repeat questions already in the pool
+        const [duplicate] = await DedupeService.findSimilar(question, { threshold: DedupeService.duplicateThreshold });
+        if (duplicate) continue;
+        await question.save();
+        saved.push(question);
+      } catch (error) {
+        console.error('Skipping invalid generated question:', error.message);
+      }
+    }
+    return saved;
+  }
+
+  /**
+   * Append the next item to an adaptive attempt.
+   * Resolves to the new item, or null when no approved question is left. Sets
+   * attempt.$locals.generatingQuestions when a top-up was queued, so the client can be told.
+   */
+  async nextItem(attempt) {
+    const last = attempt.items[attempt.items.length - 1];
+    const target = (attempt.adaptive.ability ?? 0) + this.pacingAdjustment(last);
+
+    const candidates = await Question.find(this.candidateFilter(attempt))
+      .select('type difficulty category calibration statistics timeLimit points');
+    const category = this.targetCategory(attempt, [...new Set(candidates.map(q => q.category))]);
+    const best = this.bestCandidate(candidates, target, category);
+
+    // Nothing close to the learner's level left: queue generation at that level and carry on with
+    // the nearest approved item. Generated questions go to review, so this attempt couldn't use them.
+    const offLevel = !best || Math.abs(best.difficulty - target) > this.offLevelTolerance;
+    if (offLevel && (attempt.adaptive.generatedCount || 0) < this.maxGenerated) {
+      // Loaded lazily, like AIService, so attempts over a well-stocked pool never touch the queue
+      const { addAdaptiveTopUpJob } = await import('../Jobs/adaptiveTopUp.js');
+      addAdaptiveTopUpJob(attempt._id, IrtService.labelFor(target));
+      attempt.$locals.generatingQuestions = true;
+    }
+    if (!best) return null;
+
+    attempt.items.push({
+      question: best.question._id,
+      order: attempt.items.length + 1,
+      pointsPossible: best.question.points ?? 1,
+      timeLimit: best.question.timeLimit || null,
+      category: best.question.category,
+      targetDifficulty: Number(target.toFixed(3)),
+      itemDifficulty: best.difficulty,
+      itemDiscrimination: best.discrimination,
+      expectedTime: this.expectedTime(best.question),
+    });
+    return attempt.items[attempt.items.length - 1];
+  }
+
+  /**
+   * Re-estimate ability after an answer (or timeout) and decide whether to stop.
+   * Resolves to the stop reason ('mastered', 'not_mastered', 'max_questions') or null to continue.
+   */
+  afterAnswer(attempt) {
+    const answered = this.answeredItems(attempt);
+    const { ability, standardError } = this.estimateAbility(answered);
+    attempt.adaptive.ability = ability;
+    attempt.adaptive.standardError = standardError;
+
+    const { minQuestions, maxQuestions, masteryLevel, confidence } = attempt.adaptive;
+    if (answered.length >= minQuestions) {
+      const margin = this.zScore(confidence) * standardError;
+      const threshold = this.masteryTheta(masteryLevel);
+      if (ability - margin > threshold) return 'mastered';
+      if (ability + margin < threshold) return 'not_mastered';
+    }
+    if (answered.length >= maxQuestions) return 'max_questions';
+    return null;
+  }
+
+  // Learner-facing summary of the mastery estimate, as probabilities on an average question
+  masteryEstimate(attempt) {
+    const { ability, standardError, confidence } = attempt.adaptive;
+    if (ability === null || ability === undefined) return null;
+    const margin = this.zScore(confidence) * standardError;
+    const toProbability = theta => Number(IrtService.probability(theta, 1, 0).toFixed(3));
+    return {
+      estimate: toProbability(ability),
+      lower: toProbability(ability - margin),
+      upper: toProbability(ability + margin),
+      confidence,
+    };
+  }
+}
+
+export default new AdaptiveService();
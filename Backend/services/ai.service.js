@@ -86,13 +86,37 @@ class AIService {
     }
   }
 
-  async generateQuestions(transcript, count = 5, difficulty = 'medium', types = ['multiple_choice', 'short_answer']) {
+  // categories optionally maps Bloom level -> number of questions wanted at that level;
+  // citation 'page' makes questions cite the [Page N] marker of document text instead of a timestamp,
+  // and 'none' is for OCR text from images, which has neither; range ({ start, end } in seconds)
+  // marks the transcript as one section of the video, and questions citing a timestamp outside it are dropped
+  async generateQuestions(transcript, count = 5, difficulty = 'medium', types = ['multiple_choice', 'short_answer'], { categories, citation = 'timestamp', range = null } = {}) {
     try {
-      const prompt = `Based on this video transcript, generate ${count} ${difficulty} difficulty questions. 
+      const requested = categories
+        ? Object.entries(categories).filter(([, n]) => n > 0)
+        : null;
+      const total = requested ? requested.reduce((sum, [, n]) => sum + n, 0) : count;
+      const source = { timestamp: 'video transcript', page: 'document text', none: 'text recognized from an image' }[citation];
+      const citationField = { timestamp: '"timestamp": 120,', page: '"page": 3,', none: '' }[citation];
+      const structuredTypes = [
+        types.includes('matching') && `For matching questions, omit "options" and provide 3-6 "pairs" of a term or concept and its match (a definition, example or role), e.g. "pairs": [{"prompt": "Mitochondria", "match": "Produces most of the cell's ATP"}].`,
+        types.includes('ordering') && `For ordering questions, omit "options" and provide 3-6 "sequence" items (steps, stages or events) listed in their correct order, e.g. "sequence": ["First step", "Second step", "Third step"].`,
+      ].filter(Boolean).join('\n      ');
+      const prompt = `Based on this ${source}, generate ${total} ${difficulty} difficulty questions. 
       Include these types: ${types.join(', ')}.
       
       For multiple choice questions, provide 4 options with one correct answer.
       For short answer questions, provide the expected answer and explanation.
+      ${structuredTypes}
+      Label each question with the Bloom's taxonomy level it actually tests, as "category":
+      - comprehension: recall or explain what the ${source} states
+      - application: use an idea from the ${source} in a new situation
+      - analysis: break down, compare or find causes and relationships
+      - synthesis: combine ideas into a new plan, design or proposal
+      - evaluation: judge, critique or justify a position using criteria
+      ${requested
+    ? `Generate exactly this many questions per level: ${requested.map(([level, n]) => `${level}: ${n}`).join(', ')}.`
+    : 'Use whichever levels suit the content; do not default every question to comprehension.'}
       
       Format the response as a JSON array with this structure:
       [
@@ -108,26 +132,44 @@ class AIService {
           ],
           "correctAnswer": "Option 2",
           "explanation": "Explanation of why this is correct",
-          "timestamp": 120,
-          "category": "comprehension"
+          ${citationField}
+          "category": "comprehension | application | analysis | synthesis | evaluation",
+          "confidence": 0.9
         }
       ]
       
+      Set "confidence" (0-1) to how sure you are that the question is unambiguous and its answer is fully supported by the ${source}.
+      ${range ? `The transcript is the part of the video from ${range.start} to ${range.end} seconds; [Ns] markers give the time in seconds. Set "timestamp" to the second the answer is discussed, between ${range.start} and ${range.end}.\n` : ''}${citation === 'page' ? 'The text is divided by [Page N] markers. Set "page" to the number of the page the answer comes from.\n' : ''}${citation === 'none' ? 'The text comes from OCR and may contain recognition errors; do not ask about garbled words.\n' : ''}
       You are an expert educator creating assessment questions. Generate high-quality questions that test understanding of the content.
       
-      Transcript: ${transcript}`;
+      ${{ timestamp: 'Transcript', page: 'Document', none: 'Text' }[citation]}: ${transcript}`;
 
       const { response, model } = await this.tryModel('generateQuestions', prompt);
       const content = response.text();
       const cleanContent = content.replace(/```json|```/g, '').trim();
       const questions = JSON.parse(cleanContent);
+      const inRange = q => !range || (Number.isFinite(q.timestamp) && q.timestamp >= range.start && q.timestamp <= range.end);
 
-      return questions.map(q => ({
+      const sanitized = questions.map(q => ({
         ...q,
+        category: typeof q.category === 'string' ? q.category.trim().toLowerCase() : q.category,
+        ...(q.type === 'matching' && {
+          pairs: (Array.isArray(q.pairs) ? q.pairs : []).filter(pair => pair?.prompt && pair?.match),
+        }),
+        ...(q.type === 'ordering' && {
+          sequence: (Array.isArray(q.sequence) ? q.sequence : []).filter(item => typeof item === 'string' && item.trim()),
+        }),
         aiGenerated: true,
         aiModel: model,
-        confidence: Math.random() * 0.3 + 0.7,
+        // Self-rated; an unrated question counts as unsure and is routed to review
+        confidence: Math.min(Math.max(Number(q.confidence) || 0, 0), 1),
+        ...(range && { timestamp: Number(q.timestamp ?? NaN) }),
       }));
+      const kept = sanitized.filter(inRange);
+      if (kept.length < sanitized.length) {
+        console.warn(`Dropped ${sanitized.length - kept.length} generated question(s) citing a timestamp outside ${range.start}-${range.end}s`);
+      }
+      return kept;
     } catch (error) {
       console.error('Question generation error:', {
         message: error.message,
@@ -139,6 +181,173 @@ class AIService {
     }
   }
 
+  async judgeAnswerEquivalence(questionText, acceptedAnswers, answer) {
+    try {
+      const prompt = `Decide whether a student's answer means the same thing as any of the accepted answers to a question.
+      Ignore spelling, grammar and wording differences; judge meaning only.
+      
+      Return a JSON object with this structure:
+      {
+        "equivalent": true,
+        "confidence": 0.9,
+        "reasoning": "One short sentence"
+      }
+      
+      Question: ${questionText}
+      Accepted answers: ${JSON.stringify(acceptedAnswers)}
+      Student answer: ${JSON.stringify(answer)}`;
+
+      const { response } = await this.tryModel('judgeAnswerEquivalence', prompt);
+      const content = response.text();
+      const cleanContent = content.replace(/```json|```/g, '').trim();
+      const judgement = JSON.parse(cleanContent);
+
+      return {
+        equivalent: Boolean(judgement.equivalent),
+        confidence: Math.min(Math.max(Number(judgement.confidence) || 0, 0), 1),
+        reasoning: judgement.reasoning || '',
+      };
+    } catch (error) {
+      console.error('Answer equivalence error:', {
+        message: error.message,
+        status: error.status,
+        statusText: error.statusText,
+        errorDetails: error.errorDetails || 'No additional details',
+      });
+      return {
+        equivalent: false,
+        confidence: 0,
+        reasoning: 'Equivalence check failed',
+      };
+    }
+  }
+
+  async generateHints({ question, answer, context, count = 3 }) {
+    try {
+      const prompt = `Write ${count} progressive hints for a quiz question, for a learner who is stuck.
+      Hint 1 points to the part of the source material and the idea to think about.
+      Each later hint narrows it down further; the last one nearly gives the answer away.
+      No hint may state the answer itself or any of its key words.
+      
+      Return a JSON array of ${count} strings, from the most general hint to the most specific.
+      
+      Question: ${question}
+      Answer (never reveal): ${answer}
+      Source material: ${context}`;
+
+      const { response } = await this.tryModel('generateHints', prompt);
+      const content = response.text();
+      const cleanContent = content.replace(/```json|```/g, '').trim();
+      const hints = JSON.parse(cleanContent);
+
+      return Array.isArray(hints)
+        ? hints.filter(hint => typeof hint === 'string' && hint.trim()).map(hint => hint.trim()).slice(0, count)
+        : [];
+    } catch (error) {
+      console.error('Hint generation error:', {
+        message: error.message,
+        status: error.status,
+        statusText: error.statusText,
+        errorDetails: error.errorDetails || 'No additional details',
+      });
+      return [];
+    }
+  }
+
+  async gradeEssay({ question, answer, rubric, context, modelAnswer }) {
+    try {
+      const prompt = `Grade a student's essay answer about the source material below using the rubric.
+      Score each criterion from 0 to its maxPoints, judging only against the source material${modelAnswer ? ' and the model answer' : ''}.
+      
+      Return a JSON object with this structure:
+      {
+        "criteria": [
+          {"criterion": "Criterion name exactly as given", "score": 2, "comment": "Why this score"}
+        ],
+        "feedback": "Two or three sentences of feedback addressed to the student"
+      }
+      
+      You are an experienced, fair examiner. Do not reward length or confident tone on their own.
+      
+      Question: ${question}
+      Rubric: ${JSON.stringify(rubric)}
+      ${modelAnswer ? `Model answer: ${modelAnswer}\n` : ''}
+      Source material: ${context}
+      
+      Student answer: ${JSON.stringify(answer)}`;
+
+      const { response, model } = await this.tryModel('gradeEssay', prompt);
+      const content = response.text();
+      const cleanContent = content.replace(/```json|```/g, '').trim();
+      const result = JSON.parse(cleanContent);
+
+      return {
+        criteria: Array.isArray(result.criteria) ? result.criteria : [],
+        feedback: result.feedback || '',
+        model,
+      };
+    } catch (error) {
+      console.error('Essay grading error:', {
+        message: error.message,
+        status: error.status,
+        statusText: error.statusText,
+        errorDetails: error.errorDetails || 'No additional details',
+      });
+      return {
+        criteria: [],
+        feedback: '',
+        model: 'none',
+        error: error.message,
+      };
+    }
+  }
+
+  async generateDistractor({ question, correctAnswers, keepOptions, weakDistractor, transcript }) {
+    try {
+      const prompt = `Write one new incorrect option (distractor) for a multiple-choice question about a video.
+      It replaces a weak distractor that learners rarely pick or that misleads strong learners.
+      A good distractor is clearly wrong to someone who understood the video, but plausible to someone who did not:
+      base it on a likely misconception, keep it similar in length and style to the other options, and never make it partially correct.
+      
+      Return a JSON object with this structure:
+      {
+        "text": "The new distractor",
+        "rationale": "One sentence on the misconception it targets"
+      }
+      
+      Question: ${question}
+      Correct answer(s): ${JSON.stringify(correctAnswers)}
+      Options being kept: ${JSON.stringify(keepOptions)}
+      Distractor being replaced: ${JSON.stringify(weakDistractor)}
+      ${transcript ? `Transcript: ${transcript}` : ''}`;
+
+      const { response, model } = await this.tryModel('generateDistractor', prompt);
+      const content = response.text();
+      const cleanContent = content.replace(/```json|```/g, '').trim();
+      const result = JSON.parse(cleanContent);
+      if (!result.text || typeof result.text !== 'string') throw new Error('Response is missing the distractor text');
+
+      return {
+        text: result.text.trim(),
+        rationale: result.rationale || '',
+        model,
+      };
+    } catch (error) {
+      console.error('Distractor generation error:', {
+        message: error.message,
+        status: error.status,
+        statusText: error.statusText,
+        errorDetails: error.errorDetails || 'No additional details',
+      });
+      return {
+        text: null,
+        rationale: '',
+        model: 'none',
+        error: error.message,
+      };
+    }
+  }
+
   async extractTopics(transcript) {
     try {
       const prompt = `Analyze this video transcript and extract the main topics, themes, and subjects discussed. 
@@ -0,0 +1,95 @@
+// Backend/services/aiken.service.js
+// Moodle Aiken text format: single-answer multiple choice only
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+class AikenService {
+  // Aiken can only express questions with exactly one correct option
+  supports(question) {
+    return (question.type === 'multiple_choice' || question.type === 'true_false')
+      && question.options?.length >= 2
+      && question.options.length <= LETTERS.length
+      && question.options.filter(opt => opt.isCorrect).length === 1;
+  }
+
+  singleLine(text) {
+    return String(text ?? '').replace(/\s*\r?\n\s*/g, ' ').trim();
+  }
+
+  // Returns { text, skipped } where skipped lists questions Aiken cannot represent
+  serialize(questions) {
+    const blocks = [];
+    const skipped = [];
+    for (const question of questions) {
+      if (!this.supports(question)) {
+        skipped.push({ id: question._id, type: question.type, reason: 'Aiken only supports single-answer multiple choice' });
+        continue;
+      }
+      const options = question.options.map((opt, index) => `${LETTERS[index]}. ${this.singleLine(opt.text)}`);
+      const answer = LETTERS[question.options.findIndex(opt => opt.isCorrect)];
+      blocks.push([this.singleLine(question.question), ...options, `ANSWER: ${answer}`].join('\n'));
+    }
+    return { text: blocks.length ? `${blocks.join('\n\n')}\n` : '', skipped };
+  }
+
+  // Returns { questions, errors } with plain question objects ready for the Question model
+  parse(text) {
+    const questions = [];
+    const errors = [];
+    let current = null;
+    let skipping = false;
+
+    // Drop the rest of a malformed question up to the next blank line
+    const fail = (message) => {
+      errors.push({ file: `line ${current.line}`, error: message });
+      current = null;
+      skipping = true;
+    };
+
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    lines.forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line) {
+        skipping = false;
+        return;
+      }
+      if (skipping) return;
+
+      if (!current) {
+        current = { line: index + 1, stem: line, options: [] };
+        return;
+      }
+
+      const option = line.match(/^([A-Z])[.)]\s+(.*)$/);
+      const answer = line.match(/^ANSWER:\s*([A-Z])\s*$/i);
+      if (answer) {
+        const correctIndex = LETTERS.indexOf(answer[1].toUpperCase());
+        if (current.options.length < 2) return fail('Aiken questions need at least two options');
+        if (correctIndex < 0 || correctIndex >= current.options.length) return fail(`ANSWER ${answer[1]} does not match an option`);
+
+        const options = current.options.map((opt, i) => ({ text: opt, isCorrect: i === correctIndex }));
+        const isTrueFalse = options.length === 2
+          && options.map(opt => opt.text.toLowerCase()).sort().join('|') === 'false|true';
+        questions.push({
+          question: current.stem,
+          type: isTrueFalse ? 'true_false' : 'multiple_choice',
+          options,
+          source: `line ${current.line}`,
+        });
+        current = null;
+      } else if (option && LETTERS[current.options.length] === option[1]) {
+        current.options.push(option[2].trim());
+      } else if (!current.options.length) {
+        // Question stems may wrap over several lines before the first option
+        current.stem = `${current.stem} ${line}`;
+      } else {
+        fail(`Unexpected line: ${line}`);
+      }
+    });
+
+    if (current) errors.push({ file: `line ${current.line}`, error: 'Question is missing an ANSWER line' });
+    return { questions, errors };
+  }
+}
+
+export default new AikenService();
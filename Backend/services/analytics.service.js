@@ -0,0 +1,177 @@
+// Backend/services/analytics.service.js
+// Learning analytics over Question.userAnswers: accuracy by video, Bloom category, difficulty
+// and topic (tags), time-on-task trends and weakest areas, for one learner or a group
+import Question from '../models/Question.js';
+import Video from '../models/Video.js';
+
+const TREND_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+};
+
+class AnalyticsService {
+  constructor() {
+    this.minAttempts = 5; // areas with fewer answers are too noisy to call weak
+    this.weakestLimit = 5;
+    this.hintedLimit = 10;
+  }
+
+  // Accumulators shared by every breakdown
+  metrics() {
+    return {
+      attempts: { $sum: 1 },
+      correct: { $sum: { $cond: ['$isCorrect', 1, 0] } },
+      scoreSum: { $sum: '$score' },
+      timedOut: { $sum: { $cond: ['$timedOut', 1, 0] } },
+      hinted: { $sum: { $cond: [{ $gt: ['$hintsUsed', 0] }, 1, 0] } },
+      hintsUsed: { $sum: '$hintsUsed' },
+      explanationReveals: { $sum: { $cond: ['$explanationRevealed', 1, 0] } },
+      totalTime: { $sum: '$timeSpent' },
+      questions: { $addToSet: '$question' },
+      learners: { $addToSet: '$user' },
+    };
+  }
+
+  breakdown(key) {
+    return [
+      { $group: { _id: key, ...this.metrics() } },
+      { $sort: { attempts: -1 } },
+    ];
+  }
+
+  // Round and rename an aggregation row into the response shape
+  format(row) {
+    const accuracy = row.attempts ? row.scoreSum / row.attempts : 0;
+    return {
+      attempts: row.attempts,
+      correct: row.correct,
+      accuracy: Number(accuracy.toFixed(3)),
+      // Laplace-smoothed, so one lucky answer doesn't outrank a well-measured area
+      smoothedAccuracy: Number(((row.scoreSum + 1) / (row.attempts + 2)).toFixed(3)),
+      timedOut: row.timedOut,
+      hintedAttempts: row.hinted,
+      hintRate: row.attempts ? Number((row.hinted / row.attempts).toFixed(3)) : 0,
+      averageHints: row.attempts ? Number((row.hintsUsed / row.attempts).toFixed(2)) : 0,
+      explanationReveals: row.explanationReveals,
+      totalTime: row.totalTime,
+      averageTime: row.attempts ? Number((row.totalTime / row.attempts).toFixed(1)) : 0,
+      questions: row.questions.length,
+      learners: row.learners.length,
+    };
+  }
+
+  /**
+   * Aggregate graded answers.
+   * questionFilter narrows the questions (e.g. an instructor's own), userIds/excludeUserIds the
+   * learners, from/to the answer dates; interval is the trend bucket ('day', 'week' or 'month').
+   */
+  async report({ questionFilter = {}, userIds, excludeUserIds, from, to, interval = 'week' }) {
+    const answerMatch = {
+      'userAnswers.user': { $ne: null },
+      'userAnswers.gradingStatus': { $nin: ['pending', 'failed'] },
+    };
+    if (userIds) answerMatch['userAnswers.user'].$in = userIds;
+    if (excludeUserIds) answerMatch['userAnswers.user'].$nin = excludeUserIds;
+    if (from || to) {
+      answerMatch['userAnswers.attemptedAt'] = {};
+      if (from) answerMatch['userAnswers.attemptedAt'].$gte = from;
+      if (to) answerMatch['userAnswers.attemptedAt'].$lte = to;
+    }
+
+    const [facets] = await Question.aggregate([
+      { $match: { ...questionFilter, ...(userIds ? { 'userAnswers.user': { $in: userIds } } : { 'userAnswers.0': { $exists: true } }) } },
+      { $unwind: '$userAnswers' },
+      { $match: answerMatch },
+      {
+        $project: {
+          question: '$_id',
+          questionText: '$question',
+          video: 1,
+          category: 1,
+          difficulty: 1,
+          tags: 1,
+          user: '$userAnswers.user',
+          isCorrect: '$userAnswers.isCorrect',
+          score: { $ifNull: ['$userAnswers.score', { $cond: ['$userAnswers.isCorrect', 1, 0] }] },
+          timedOut: '$userAnswers.timedOut',
+          hintsUsed: { $ifNull: ['$userAnswers.hintsUsed', 0] },
+          explanationRevealed: '$userAnswers.explanationRevealed',
+          timeSpent: { $ifNull: ['$userAnswers.timeSpent', 0] },
+          attemptedAt: '$userAnswers.attemptedAt',
+        },
+      },
+      {
+        $facet: {
+          overall: [{ $group: { _id: null, ...this.metrics(), firstAt: { $min: '$attemptedAt' }, lastAt: { $max: '$attemptedAt' } } }],
+          byVideo: this.breakdown('$video'),
+          byCategory: this.breakdown('$category'),
+          byDifficulty: this.breakdown('$difficulty'),
+          byTopic: [{ $unwind: '$tags' }, ...this.breakdown({ $toLower: '$tags' })],
+          byLearner: this.breakdown('$user'),
+          // Questions learners most often needed hints for
+          byHintedQuestion: [
+            { $group: { _id: '$question', text: { $first: '$questionText' }, ...this.metrics() } },
+            { $match: { hinted: { $gt: 0 } } },
+            { $addFields: { hintRate: { $divide: ['$hinted', '$attempts'] } } },
+            { $sort: { hintRate: -1, attempts: -1 } },
+            { $limit: this.hintedLimit },
+          ],
+          trend: [
+            { $group: { _id: { $dateToString: { format: TREND_FORMATS[interval], date: '$attemptedAt' } }, ...this.metrics() } },
+            { $sort: { _id: 1 } },
+          ],
+        },
+      },
+    ]);
+
+    const overall = facets.overall[0];
+    const videoIds = facets.byVideo.map(row => row._id).filter(Boolean);
+    const videos = videoIds.length
+      ? await Video.find({ _id: { $in: videoIds } }).select('title').lean()
+      : [];
+    const titles = new Map(videos.map(video => [video._id.toString(), video.title]));
+
+    const byVideo = facets.byVideo.map(row => ({
+      video: row._id,
+      title: row._id ? titles.get(row._id.toString()) || null : null,
+      ...this.format(row),
+    }));
+    const byCategory = facets.byCategory.map(row => ({ category: row._id, ...this.format(row) }));
+    const byDifficulty = facets.byDifficulty.map(row => ({ difficulty: row._id, ...this.format(row) }));
+    const byTopic = facets.byTopic.map(row => ({ topic: row._id, ...this.format(row) }));
+
+    return {
+      overall: overall
+        ? { ...this.format(overall), firstAnswerAt: overall.firstAt, lastAnswerAt: overall.lastAt }
+        : null,
+      byVideo,
+      byCategory,
+      byDifficulty,
+      byTopic,
+      trend: facets.trend.map(row => ({ period: row._id, ...this.format(row) })),
+      weakestAreas: this.weakestAreas({ byVideo, byCategory, byDifficulty, byTopic }),
+      learners: facets.byLearner.map(row => ({ user: row._id, ...this.format(row) })),
+      needsHints: facets.byHintedQuestion.map(row => ({ question: row._id, text: row.text, ...this.format(row) })),
+    };
+  }
+
+  // Lowest smoothed accuracy across every dimension, ignoring areas without enough answers
+  weakestAreas({ byVideo, byCategory, byDifficulty, byTopic }) {
+    const areas = [
+      ...byVideo.filter(row => row.video).map(row => ({ dimension: 'video', key: row.video, label: row.title, ...row })),
+      ...byCategory.map(row => ({ dimension: 'category', key: row.category, label: row.category, ...row })),
+      ...byDifficulty.map(row => ({ dimension: 'difficulty', key: row.difficulty, label: row.difficulty, ...row })),
+      ...byTopic.map(row => ({ dimension: 'topic', key: row.topic, label: row.topic, ...row })),
+    ];
+    return areas
+      .filter(area => area.attempts >= this.minAttempts)
+      .sort((a, b) => a.smoothedAccuracy - b.smoothedAccuracy)
+      .slice(0, this.weakestLimit)
+      .map(({ dimension, key, label, attempts, accuracy, smoothedAccuracy, averageTime }) => ({
+        dimension, key, label, attempts, accuracy, smoothedAccuracy, averageTime,
+      }));
+  }
+}
+
+export default new AnalyticsService();
@@ -0,0 +1,327 @@
+// Backend/services/anki.service.js
+// Anki .apkg builder: a zip holding a legacy (schema 11) collection.anki2 SQLite file plus media
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import JSZip from 'jszip';
+
+const FIELD_SEPARATOR = '\x1f';
+
+const SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+  ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null,
+  models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null,
+  usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null,
+  flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null,
+  mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null,
+  ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null,
+  odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+  ivl integer not null, lastIvl integer not null, factor real not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const CARD_CSS = `.card { font-family: arial; font-size: 20px; text-align: left; color: black; background-color: white; }
+.options { margin: 0.5em 0; padding-left: 1.2em; }
+.explanation { margin-top: 0.8em; font-size: 16px; color: #444; }
+.source { margin-top: 1em; font-size: 14px; }
+.source img { display: block; max-width: 100%; margin-bottom: 0.4em; }`;
+
+class AnkiService {
+  constructor() {
+    this.sqlPromise = null;
+  }
+
+  // sql.js compiles its wasm module once per process
+  loadSql() {
+    if (!this.sqlPromise) this.sqlPromise = initSqlJs();
+    return this.sqlPromise;
+  }
+
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/\n/g, '<br>');
+  }
+
+  formatTimestamp(seconds) {
+    const total = Math.floor(seconds || 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = (total % 60).toString().padStart(2, '0');
+    return hours ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  }
+
+  // Media-fragment link (#t=) into the stream route so players seek straight to the moment
+  deepLink(streamUrl, seconds) {
+    return `${streamUrl}#t=${Math.max(0, Math.floor(seconds || 0))}`;
+  }
+
+  // Anki stores the first 8 hex digits of the sort field's SHA-1 as an integer checksum
+  checksum(text) {
+    const stripped = String(text).replace(/<[^>]+>/g, '');
+    return parseInt(crypto.createHash('sha1').update(stripped).digest('hex').slice(0, 8), 16);
+  }
+
+  // Stable GUIDs let learners re-import an updated deck without duplicating notes
+  guid(key) {
+    return crypto.createHash('sha1').update(String(key)).digest('base64').replace(/[+/=]/g, '').slice(0, 10);
+  }
+
+  // Anki ids are millisecond timestamps; derive distinct ones from a hash so they stay stable too
+  stableId(key) {
+    const hash = parseInt(crypto.createHash('md5').update(String(key)).digest('hex').slice(0, 10), 16);
+    return 1500000000000 + (hash % 100000000000);
+  }
+
+  questionFront(question) {
+    let html = `<div class="question">${this.escapeHtml(question.question)}</div>`;
+    if (question.type === 'multiple_choice' && question.options?.length) {
+      html += `<ol class="options" type="A">${question.options.map(opt => `<li>${this.escapeHtml(opt.text)}</li>`).join('')}</ol>`;
+    }
+    if (question.type === 'matching' && question.pairs?.length) {
+      html += `<ul class="options">${question.pairs.map(pair => `<li>${this.escapeHtml(pair.prompt)}</li>`).join('')}</ul>`;
+    }
+    // Alphabetical, so the card front does not give the order away
+    if (question.type === 'ordering' && question.sequence?.length) {
+      const items = [...question.sequence].sort((a, b) => a.localeCompare(b));
+      html += `<ul class="options">${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>`;
+    }
+    return html;
+  }
+
+  questionAnswer(question) {
+    if (question.type === 'multiple_choice' || question.type === 'true_false') {
+      const correct = (question.options || []).filter(opt => opt.isCorrect).map(opt => opt.text);
+      return correct.join(', ');
+    }
+    if (question.type === 'essay') return question.correctAnswer || 'Open answer';
+    if (question.type === 'matching') return (question.pairs || []).map(pair => `${pair.prompt} → ${pair.match}`).join('; ');
+    if (question.type === 'ordering') return (question.sequence || []).join(' → ');
+    return [question.correctAnswer, ...(question.acceptedAnswers || [])].filter(Boolean).join(' / ');
+  }
+
+  // Card back: answer, explanation, and a link back to the moment in the video
+  sourceHtml(streamUrl, seconds, thumbnailName) {
+    const link = this.deepLink(streamUrl, seconds);
+    const image = thumbnailName ? `<img src="${this.escapeHtml(thumbnailName)}">` : '';
+    return `${image}<a href="${this.escapeHtml(link)}">Watch at ${this.formatTimestamp(seconds)}</a>`;
+  }
+
+  buildNotes({ video, questions, keyPoints, streamUrl, thumbnailName }) {
+    const notes = [];
+
+    for (const question of questions) {
+      const answer = this.questionAnswer(question);
+      const explanation = question.explanation
+        ? `<div class="explanation">${this.escapeHtml(question.explanation)}</div>`
+        : '';
+      notes.push({
+        key: `question:${question._id}`,
+        front: this.questionFront(question),
+        back: `<div class="answer">${this.escapeHtml(answer)}</div>${explanation}`,
+        timestamp: this.formatTimestamp(question.timestamp),
+        source: this.sourceHtml(streamUrl, question.timestamp, thumbnailName),
+        seconds: question.timestamp || 0,
+        tags: ['question', question.type, question.difficulty, question.category, ...(question.tags || [])],
+      });
+    }
+
+    keyPoints.forEach((keyPoint) => {
+      notes.push({
+        key: `keypoint:${video._id}:${keyPoint.timestamp}:${keyPoint.point}`,
+        front: `<div class="question">What key point does "${this.escapeHtml(video.title)}" make at ${this.formatTimestamp(keyPoint.timestamp)}?</div>`,
+        back: `<div class="answer">${this.escapeHtml(keyPoint.point)}</div>`,
+        timestamp: this.formatTimestamp(keyPoint.timestamp),
+        source: this.sourceHtml(streamUrl, keyPoint.timestamp, thumbnailName),
+        seconds: keyPoint.timestamp || 0,
+        tags: ['key_point'],
+      });
+    });
+
+    // Study in the order the video covers the material
+    return notes.sort((a, b) => a.seconds - b.seconds);
+  }
+
+  collectionConfig(deckId, modelId, deckName, now) {
+    const nowSeconds = Math.floor(now / 1000);
+    const model = {
+      id: modelId,
+      name: 'Video Quiz Card',
+      type: 0,
+      mod: nowSeconds,
+      usn: -1,
+      sortf: 0,
+      did: deckId,
+      tmpls: [{
+        name: 'Card 1',
+        ord: 0,
+        qfmt: '{{Front}}',
+        afmt: '{{FrontSide}}<hr id="answer">{{Back}}<div class="source">{{Source}}</div>',
+        did: null,
+        bqfmt: '',
+        bafmt: '',
+      }],
+      flds: ['Front', 'Back', 'Timestamp', 'Source'].map((name, ord) => ({
+        name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [],
+      })),
+      css: CARD_CSS,
+      latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+      latexPost: '\\end{document}',
+      tags: [],
+      vers: [],
+      req: [[0, 'any', [0]]],
+    };
+
+    const deck = (id, name) => ({
+      id,
+      name,
+      mod: nowSeconds,
+      usn: -1,
+      desc: '',
+      dyn: 0,
+      conf: 1,
+      collapsed: false,
+      extendNew: 10,
+      extendRev: 50,
+      newToday: [0, 0],
+      revToday: [0, 0],
+      lrnToday: [0, 0],
+      timeToday: [0, 0],
+    });
+
+    const dconf = {
+      1: {
+        id: 1,
+        name: 'Default',
+        mod: 0,
+        usn: 0,
+        maxTaken: 60,
+        autoplay: true,
+        timer: 0,
+        replayq: true,
+        dyn: false,
+        new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+        rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, maxIvl: 36500, ivlFct: 1, bury: true, minSpace: 1 },
+        lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+      },
+    };
+
+    const conf = {
+      nextPos: 1,
+      estTimes: true,
+      activeDecks: [1],
+      sortType: 'noteFld',
+      timeLim: 0,
+      sortBackwards: false,
+      addToCur: true,
+      curDeck: 1,
+      newBury: true,
+      newSpread: 0,
+      dueCounts: true,
+      curModel: String(modelId),
+      collapseTime: 1200,
+    };
+
+    return {
+      conf: JSON.stringify(conf),
+      models: JSON.stringify({ [modelId]: model }),
+      decks: JSON.stringify({ 1: deck(1, 'Default'), [deckId]: deck(deckId, deckName) }),
+      dconf: JSON.stringify(dconf),
+    };
+  }
+
+  /**
+   * Build an .apkg deck for one video from its questions and summary key points.
+   * Returns a Buffer ready to send as a download.
+   */
+  async buildDeck({ video, questions = [], keyPoints = [], streamUrl }) {
+    const SQL = await this.loadSql();
+    const db = new SQL.Database();
+    const now = Date.now();
+    const nowSeconds = Math.floor(now / 1000);
+
+    try {
+      const deckName = `Video Quiz::${video.title || video._id}`.replace(/"/g, '');
+      const deckId = this.stableId(`deck:${video._id}`);
+      const modelId = this.stableId('model:video-quiz-card');
+
+      // The video thumbnail, when stored locally, travels with the deck as media
+      const thumbnailPath = video.thumbnail && !/^https?:/i.test(video.thumbnail) ? path.normalize(video.thumbnail) : null;
+      const thumbnailName = thumbnailPath && fs.existsSync(thumbnailPath)
+        ? `video-${video._id}${path.extname(thumbnailPath) || '.jpg'}`
+        : null;
+
+      db.run(SCHEMA);
+      const config = this.collectionConfig(deckId, modelId, deckName, now);
+      db.run(
+        'INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)',
+        [nowSeconds, now, now, config.conf, config.models, config.decks, config.dconf, '{}'],
+      );
+
+      const noteStatement = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+      const cardStatement = db.prepare('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')');
+      const notes = this.buildNotes({ video, questions, keyPoints, streamUrl, thumbnailName });
+      const usedIds = new Set();
+      const uniqueId = (key) => {
+        let id = this.stableId(key);
+        while (usedIds.has(id)) id += 1;
+        usedIds.add(id);
+        return id;
+      };
+
+      notes.forEach((note, index) => {
+        const noteId = uniqueId(`note:${note.key}`);
+        const cardId = uniqueId(`card:${note.key}`);
+        const tags = [...new Set(note.tags.filter(Boolean).map(tag => String(tag).replace(/\s+/g, '_')))];
+        const fields = [note.front, note.back, note.timestamp, note.source];
+        const sortField = note.front.replace(/<[^>]+>/g, '');
+
+        noteStatement.run([
+          noteId,
+          this.guid(note.key),
+          modelId,
+          nowSeconds,
+          tags.length ? ` ${tags.join(' ')} ` : '',
+          fields.join(FIELD_SEPARATOR),
+          sortField,
+          this.checksum(sortField),
+        ]);
+        // New cards are due in position order, i.e. the order of the video
+        cardStatement.run([cardId, noteId, deckId, nowSeconds, index + 1]);
+      });
+      noteStatement.free();
+      cardStatement.free();
+
+      const zip = new JSZip();
+      zip.file('collection.anki2', Buffer.from(db.export()));
+
+      // Media files are stored under numeric names with a JSON index mapping them back
+      const media = {};
+      if (thumbnailName) {
+        zip.file('0', fs.readFileSync(thumbnailPath));
+        media[0] = thumbnailName;
+      }
+      zip.file('media', JSON.stringify(media));
+
+      return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    } finally {
+      db.close();
+    }
+  }
+}
+
+export default new AnkiService();
@@ -0,0 +1,187 @@
+// Backend/services/assignment.service.js
+// Class assignments: picking a teacher's questions for an assignment, starting students'
+// attempts within its dates and attempt limit, and the class gradebook
+import Question from '../models/Question.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import Assignment from '../models/Assignment.js';
+import Submission from '../models/Submission.js';
+import Class from '../models/Class.js';
+import User from '../models/User.js';
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class AssignmentService {
+  constructor() {
+    this.maxQuestions = 100;
+  }
+
+  /**
+   * The teacher's learner-visible questions for the assignment's material, in quiz order.
+   * questionIds narrows them to a hand-picked set.
+   */
+  async selectQuestions(teacherId, { videoId, summaryId, documentId, imageId, questionIds, difficulty, limit }) {
+    const filter = Question.learnerVisible({ user: teacherId });
+    if (videoId) filter.video = videoId;
+    if (summaryId) filter.summary = summaryId;
+    if (documentId) filter.document = documentId;
+    if (imageId) filter.image = imageId;
+    if (questionIds?.length) filter._id = { $in: questionIds };
+    if (difficulty) filter.difficulty = difficulty;
+
+    const questions = await Question.find(filter)
+      .sort({ page: 1, timestamp: 1, createdAt: 1 })
+      .limit(Math.min(limit || this.maxQuestions, this.maxQuestions))
+      .select('_id');
+    return questions.map(question => question._id);
+  }
+
+  /**
+   * Start (or resume) a student's attempt at an assignment.
+   * Resolves to { attempt, resumed }; throws with a statusCode when the student may not start one.
+   */
+  async startAttempt(assignment, studentId, now = new Date()) {
+    const availability = assignment.availability(now);
+    if (availability === 'scheduled') throw httpError(409, 'This assignment is not open yet');
+    if (availability === 'closed') throw httpError(409, 'This assignment is past its due date');
+
+    const attempts = await QuizAttempt.find({ assignment: assignment._id, user: studentId }).select('status');
+    const inProgress = attempts.find(attempt => attempt.status === 'in_progress');
+    if (inProgress) return { attempt: await QuizAttempt.findById(inProgress._id), resumed: true };
+    if (attempts.length >= assignment.attemptLimit) {
+      throw httpError(409, `Attempt limit reached (${assignment.attemptLimit})`);
+    }
+
+    // Questions retired or removed since the assignment was set are left out
+    const questions = await Question.find(Question.learnerVisible({ _id: { $in: assignment.questions } }))
+      .select('points timeLimit');
+    const byId = new Map(questions.map(q => [q._id.toString(), q]));
+    const ordered = assignment.questions.map(id => byId.get(id.toString())).filter(Boolean);
+    if (!ordered.length) throw httpError(409, 'This assignment has no questions available');
+
+    const attempt = new QuizAttempt({
+      user: studentId,
+      assignment: assignment._id,
+      attemptNumber: attempts.length + 1,
+      video: assignment.video,
+      summary: assignment.summary,
+      document: assignment.document,
+      image: assignment.image,
+      items: ordered.map((q, index) => ({
+        question: q._id,
+        order: index + 1,
+        pointsPossible: q.points ?? 1,
+        timeLimit: q.timeLimit || null,
+      })),
+    });
+    try {
+      await attempt.save();
+    } catch (error) {
+      // A concurrent request took this attempt number first
+      if (error.code === 11000) throw httpError(409, 'Another attempt at this assignment was just started');
+      throw error;
+    }
+    return { attempt, resumed: false };
+  }
+
+  /**
+   * Whether `user` may see the answer key (correct answers and explanations) of a quiz attempt.
+   * The author of every question always may. Otherwise the attempt must be completed, and for an
+   * assignment the key stays hidden until the assignment closes, so a first attempt can't be used
+   * to ace the next one or be passed to classmates; the class teacher and admins see it anyway.
+   * Results screens and printed answer keys both go through this.
+   */
+  async answerKeyVisible(attempt, user, questions, now = new Date()) {
+    if (questions.length && questions.every(question => question.user?.equals(user._id))) return true;
+    if (attempt.status !== 'completed') return false;
+    if (!attempt.assignment) return true;
+
+    const assignment = await Assignment.findById(attempt.assignment);
+    if (!assignment) return true;
+    const classDoc = await Class.findById(assignment.class);
+    if (classDoc?.isManagedBy(user)) return true;
+    return assignment.availability(now) === 'closed';
+  }
+
+  /**
+   * Where a student stands on an assignment:
+   * scheduled, not_started, in_progress, submitted, late (submitted after the due date) or missing.
+   */
+  studentStatus(assignment, submission, now = new Date()) {
+    if (submission?.status === 'submitted') return submission.late ? 'late' : 'submitted';
+    if (submission?.attempts?.length) return 'in_progress';
+    const availability = assignment.availability(now);
+    if (availability === 'scheduled') return 'scheduled';
+    return availability === 'open' ? 'not_started' : 'missing';
+  }
+
+  // A student's view of one assignment: their status, attempts left and grade
+  studentView(assignment, submission, now = new Date()) {
+    const attemptsUsed = submission?.attempts?.length || 0;
+    return {
+      status: this.studentStatus(assignment, submission, now),
+      attemptsUsed,
+      attemptsRemaining: Math.max(assignment.attemptLimit - attemptsUsed, 0),
+      bestScore: submission?.bestScore ?? null,
+      pendingGrading: Boolean(submission?.pendingGrading),
+      submittedAt: submission?.submittedAt || null,
+    };
+  }
+
+  /**
+   * Every student's grade on every assignment of a class. Missing work counts as zero in a
+   * student's average once it is past due; work not yet due is left out of it.
+   */
+  async gradebook(classDoc, now = new Date()) {
+    const [assignments, submissions, students] = await Promise.all([
+      Assignment.find({ class: classDoc._id }).sort({ dueAt: 1, createdAt: 1 }),
+      Submission.find({ class: classDoc._id }).lean(),
+      User.find({ _id: { $in: classDoc.students } }).select('username email').sort({ username: 1 }).lean(),
+    ]);
+    const submissionOf = new Map(submissions.map(s => [`${s.assignment}:${s.student}`, s]));
+
+    const rows = students.map((student) => {
+      const grades = assignments.map((assignment) => {
+        const submission = submissionOf.get(`${assignment._id}:${student._id}`);
+        return {
+          assignment: assignment._id,
+          status: this.studentStatus(assignment, submission, now),
+          score: submission?.bestScore ?? null,
+          attempts: submission?.attempts?.length || 0,
+          pendingGrading: Boolean(submission?.pendingGrading),
+          submittedAt: submission?.submittedAt || null,
+        };
+      });
+      const counted = grades.filter(grade => grade.score !== null || grade.status === 'missing');
+      const average = counted.length
+        ? Number((counted.reduce((sum, grade) => sum + (grade.score || 0), 0) / counted.length).toFixed(1))
+        : null;
+      return {
+        student: { _id: student._id, username: student.username, email: student.email },
+        average,
+        missing: grades.filter(grade => grade.status === 'missing').length,
+        grades,
+      };
+    });
+
+    const columns = assignments.map((assignment, index) => {
+      const scores = rows.map(row => row.grades[index].score).filter(score => score !== null);
+      return {
+        _id: assignment._id,
+        title: assignment.title,
+        openAt: assignment.openAt,
+        dueAt: assignment.dueAt,
+        availability: assignment.availability(now),
+        submitted: scores.length,
+        averageScore: scores.length ? Number((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(1)) : null,
+      };
+    });
+
+    return { assignments: columns, students: rows };
+  }
+}
+
+export default new AssignmentService();
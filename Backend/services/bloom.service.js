@@ -0,0 +1,102 @@
+// Backend/services/bloom.service.js
+// Question sets balanced across Bloom's taxonomy levels: turns a target distribution into
+// per-level counts, regenerates to fill levels the model under-delivered, and reports the
+// distribution actually achieved
+const BLOOM_LEVELS = ['comprehension', 'application', 'analysis', 'synthesis', 'evaluation'];
+
+class BloomService {
+  constructor() {
+    this.levels = BLOOM_LEVELS;
+    this.maxRounds = 3; // first request plus up to two top-ups for missing levels
+  }
+
+  /**
+   * Normalize a distribution such as { comprehension: 40, application: 30, analysis: 30 }
+   * (percentages or fractions) to fractions summing to 1. Throws a 400 error when invalid.
+   */
+  normalize(distribution) {
+    const entries = Object.entries(distribution || {});
+    const invalid = entries.find(([level, weight]) => !BLOOM_LEVELS.includes(level) || !(Number(weight) >= 0));
+    if (invalid || !entries.length) {
+      const error = new Error(`Distribution must map ${BLOOM_LEVELS.join(', ')} to non-negative weights`);
+      error.statusCode = 400;
+      throw error;
+    }
+    const total = entries.reduce((sum, [, weight]) => sum + Number(weight), 0);
+    if (!total) {
+      const error = new Error('Distribution weights must not all be zero');
+      error.statusCode = 400;
+      throw error;
+    }
+    return Object.fromEntries(entries.map(([level, weight]) => [level, Number(weight) / total]));
+  }
+
+  // Whole-question counts per level (largest remainder), summing exactly to count
+  allocate(fractions, count) {
+    const rows = Object.entries(fractions).map(([level, fraction]) => {
+      const exact = fraction * count;
+      return { level, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
+    let left = count - rows.reduce((sum, row) => sum + row.count, 0);
+    for (const row of [...rows].sort((a, b) => b.remainder - a.remainder)) {
+      if (left <= 0) break;
+      row.count += 1;
+      left -= 1;
+    }
+    return Object.fromEntries(rows.filter(row => row.count > 0).map(row => [row.level, row.count]));
+  }
+
+  // Counts and fractions of the levels present in a question set
+  distributionOf(questions) {
+    const counts = Object.fromEntries(BLOOM_LEVELS.map(level => [level, 0]));
+    for (const question of questions) counts[question.category] += 1;
+    const total = questions.length;
+    return Object.fromEntries(BLOOM_LEVELS
+      .filter(level => counts[level] > 0)
+      .map(level => [level, { count: counts[level], fraction: Number((counts[level] / total).toFixed(3)) }]));
+  }
+
+  /**
+   * Generate questions matching the target distribution.
+   * generate(categories) is called with the level counts still missing and resolves to raw
+   * generated questions; only questions labeled with a still-missing level are kept, so the
+   * set never exceeds its target for any level. accept(question) may reject a question for other
+   * reasons (failed validation, duplicate), leaving its slot open for the next round. Resolves to
+   * { questions, target, actual, missing, balanced, rounds, discarded }.
+   */
+  async generateBalanced({ distribution, count, generate, accept = () => true }) {
+    const target = this.allocate(this.normalize(distribution), count);
+    const missing = { ...target };
+    const questions = [];
+    let discarded = 0;
+    let rounds = 0;
+
+    while (rounds < this.maxRounds && Object.values(missing).some(n => n > 0)) {
+      rounds += 1;
+      const request = Object.fromEntries(Object.entries(missing).filter(([, n]) => n > 0));
+      const generated = await generate(request);
+      for (const question of generated) {
+        if (!BLOOM_LEVELS.includes(question.category) || !(missing[question.category] > 0) || !(await accept(question))) {
+          discarded += 1;
+          continue;
+        }
+        missing[question.category] -= 1;
+        questions.push(question);
+      }
+      if (!generated.length) break; // the model is unavailable; retrying won't help
+    }
+
+    const shortfall = Object.fromEntries(Object.entries(missing).filter(([, n]) => n > 0));
+    return {
+      questions,
+      target,
+      actual: this.distributionOf(questions),
+      missing: shortfall,
+      balanced: !Object.keys(shortfall).length,
+      rounds,
+      discarded,
+    };
+  }
+}
+
+export default new BloomService();
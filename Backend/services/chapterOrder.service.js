@@ -0,0 +1,71 @@
+// Backend/services/chapterOrder.service.js
+// Deterministic ordering questions from a video's auto-generated chapters; the order the
+// chapters appear in the transcript is the answer key, so no LLM calls are needed
+class ChapterOrderService {
+  constructor() {
+    this.minItems = 3;
+    this.maxItems = 6;
+  }
+
+  formatTimestamp(seconds) {
+    const total = Math.floor(seconds || 0);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  // Chapters in playback order with a usable title; repeated titles would make the order ambiguous
+  usableChapters(transcript) {
+    const seen = new Set();
+    return [...(transcript?.chapters || [])]
+      .map(chapter => ({ start: chapter.start || 0, title: (chapter.headline || chapter.gist || '').trim() }))
+      .filter(chapter => chapter.title)
+      .sort((a, b) => a.start - b.start)
+      .filter((chapter) => {
+        const key = chapter.title.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  difficultyFor(length) {
+    if (length <= 3) return 'easy';
+    return length <= 5 ? 'medium' : 'hard';
+  }
+
+  /**
+   * Generate ordering questions, each covering a run of consecutive chapters.
+   * Runs are spread evenly over the video so several questions don't all test its opening.
+   */
+  generate(transcript, { count = 3, length = 4 } = {}) {
+    const chapters = this.usableChapters(transcript);
+    if (chapters.length < this.minItems) return [];
+
+    const size = Math.min(Math.max(length, this.minItems), this.maxItems, chapters.length);
+    const lastStart = chapters.length - size;
+    const starts = [...new Set(Array.from({ length: count }, (_, index) => (
+      count === 1 ? 0 : Math.round((index * lastStart) / (count - 1))
+    )))];
+
+    return starts.map((start) => {
+      const run = chapters.slice(start, start + size);
+      const end = chapters[start + size]?.start;
+      // The time range keeps questions over overlapping runs from reading as duplicates of each other
+      const range = end ? `between ${this.formatTimestamp(run[0].start)} and ${this.formatTimestamp(end)}` : `from ${this.formatTimestamp(run[0].start)} to the end`;
+      return {
+        question: `Put these topics, covered ${range}, in the order the video presents them.`,
+        type: 'ordering',
+        difficulty: this.difficultyFor(size),
+        sequence: run.map(chapter => chapter.title),
+        explanation: `The video covers them in this order: ${run.map(chapter => `${chapter.title} (${this.formatTimestamp(chapter.start)})`).join('; ')}`,
+        timestamp: Number(run[0].start.toFixed(2)),
+        category: 'comprehension',
+        tags: ['chapters'],
+        aiGenerated: false,
+        aiModel: 'chapter-order',
+        confidence: 0.9,
+      };
+    });
+  }
+}
+
+export default new ChapterOrderService();
@@ -0,0 +1,148 @@
+// Backend/services/cloze.service.js
+// Deterministic fill_blank generation from word-level transcript timing; no LLM calls
+
+const BLANK = '_____';
+
+class ClozeService {
+  constructor() {
+    this.maxSentenceWords = 40;
+    this.minSentenceWords = 6;
+    this.pauseBreak = 1.5; // seconds of silence that end a sentence without punctuation
+  }
+
+  normalizeWord(word) {
+    return String(word || '').toLowerCase().replace(/[^\p{L}\p{N}'-]/gu, '');
+  }
+
+  // Group word-level timestamps into sentences that keep their own start/end times
+  buildSentences(timestamped = []) {
+    const sentences = [];
+    let current = [];
+
+    const flush = () => {
+      if (current.length) {
+        sentences.push({
+          words: current,
+          text: current.map(w => w.text).join(' '),
+          start: current[0].start,
+          end: current[current.length - 1].end,
+        });
+      }
+      current = [];
+    };
+
+    timestamped.forEach((word, index) => {
+      if (!word?.text) return;
+      const previous = current[current.length - 1];
+      if (previous && word.start - previous.end > this.pauseBreak) flush();
+      current.push(word);
+
+      const endsSentence = /[.!?]["')\]]?$/.test(word.text);
+      if (endsSentence || current.length >= this.maxSentenceWords || index === timestamped.length - 1) flush();
+    });
+    flush();
+
+    return sentences;
+  }
+
+  // Index of the first contiguous occurrence of the phrase in the sentence words, or -1
+  findPhrase(sentence, phraseTokens) {
+    const tokens = sentence.words.map(w => this.normalizeWord(w.text));
+    for (let i = 0; i + phraseTokens.length <= tokens.length; i++) {
+      if (phraseTokens.every((token, offset) => tokens[i + offset] === token)) return i;
+    }
+    return -1;
+  }
+
+  blankSentence(sentence, index, length) {
+    const words = sentence.words.map(w => w.text);
+    const last = words[index + length - 1];
+    const trailing = last.match(/[^\p{L}\p{N}]+$/u)?.[0] || '';
+    const leading = words[index].match(/^[^\p{L}\p{N}]+/u)?.[0] || '';
+    const original = words.slice(index, index + length).join(' ')
+      .replace(/^[^\p{L}\p{N}]+/u, '')
+      .replace(/[^\p{L}\p{N}]+$/u, '');
+
+    words.splice(index, length, `${leading}${BLANK}${trailing}`);
+    return { text: words.join(' '), answer: original };
+  }
+
+  formatTimestamp(seconds) {
+    const total = Math.floor(seconds);
+    const minutes = Math.floor(total / 60);
+    return `${minutes}:${(total % 60).toString().padStart(2, '0')}`;
+  }
+
+  // Key phrases ranked by importance; falls back to detected entities when there are no highlights
+  rankedPhrases(transcript) {
+    const highlights = (transcript.highlights || [])
+      .filter(h => h?.text)
+      .sort((a, b) => (b.rank || 0) - (a.rank || 0))
+      .map(h => ({ text: h.text, rank: h.rank || 0, timestamps: h.timestamps || [] }));
+    if (highlights.length) return highlights;
+
+    const seen = new Set();
+    return (transcript.entities || [])
+      .filter(e => e?.text && !seen.has(e.text.toLowerCase()) && seen.add(e.text.toLowerCase()))
+      .map(e => ({ text: e.text, rank: 0, timestamps: [{ start: e.start, end: e.end }] }));
+  }
+
+  difficultyFor(position, total) {
+    if (position < total / 3) return 'easy';
+    if (position < (2 * total) / 3) return 'medium';
+    return 'hard';
+  }
+
+  /**
+   * Generate fill_blank questions from a video transcript.
+   * Each blank carries the start time of its sentence so learners can jump back to it.
+   */
+  generate(transcript, { count = 10 } = {}) {
+    if (!transcript?.timestamped?.length) return [];
+
+    const sentences = this.buildSentences(transcript.timestamped)
+      .filter(s => s.words.length >= this.minSentenceWords && s.text.length <= 450);
+    const phrases = this.rankedPhrases(transcript);
+    const usedSentences = new Set();
+    const questions = [];
+
+    for (const phrase of phrases) {
+      if (questions.length >= count) break;
+      const phraseTokens = phrase.text.split(/\s+/).map(w => this.normalizeWord(w)).filter(Boolean);
+      if (!phraseTokens.length) continue;
+
+      // Prefer the sentence where the phrase was actually spoken, then any sentence containing it
+      const spokenIn = sentences.filter(s => phrase.timestamps.some(ts => ts.start >= s.start && ts.start <= s.end));
+      const candidates = [...spokenIn, ...sentences.filter(s => !spokenIn.includes(s))];
+
+      for (const sentence of candidates) {
+        if (usedSentences.has(sentence)) continue;
+        const index = this.findPhrase(sentence, phraseTokens);
+        // Blanking most of a sentence leaves nothing to recall it from
+        if (index === -1 || phraseTokens.length > sentence.words.length / 2) continue;
+
+        const { text, answer } = this.blankSentence(sentence, index, phraseTokens.length);
+        usedSentences.add(sentence);
+        questions.push({
+          question: `Fill in the blank: ${text}`,
+          type: 'fill_blank',
+          difficulty: this.difficultyFor(phrases.indexOf(phrase), phrases.length),
+          correctAnswer: answer,
+          acceptedAnswers: answer.toLowerCase() !== phrase.text.toLowerCase() ? [phrase.text] : [],
+          explanation: `At ${this.formatTimestamp(sentence.start)} the video says: "${sentence.text}"`,
+          timestamp: Number(sentence.start.toFixed(2)),
+          category: 'comprehension',
+          tags: ['cloze'],
+          aiGenerated: false,
+          aiModel: 'cloze-generator',
+          confidence: 0.9,
+        });
+        break;
+      }
+    }
+
+    return questions.sort((a, b) => a.timestamp - b.timestamp);
+  }
+}
+
+export default new ClozeService();
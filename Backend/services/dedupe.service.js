@@ -0,0 +1,219 @@
+// Backend/services/dedupe.service.js
+// Near-duplicate detection for questions: word shingles of the stem plus the answer set,
+// indexed with MinHash/LSH bands stored on each question so candidates come from one query
+import Question from '../models/Question.js';
+import ReviewSchedule from '../models/ReviewSchedule.js';
+import GradingService from './grading.service.js';
+
+// Question words carry no topic, so paraphrases like "What is X?" / "Which X?" still match
+const QUESTION_WORDS = new Set([
+  'what', 'which', 'who', 'whom', 'whose', 'when', 'where', 'why', 'how', 'do', 'does', 'did',
+  'can', 'could', 'would', 'should', 'will', 'according', 'video', 'following', 'true', 'false',
+]);
+
+// 32-bit FNV-1a
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash >>> 0;
+};
+
+class DedupeService {
+  constructor() {
+    this.numHashes = 64;
+    this.bandSize = 2; // 32 bands of 2 rows: pairs down to ~0.3 shingle Jaccard almost always share a band
+    this.warnThreshold = 0.6;
+    this.duplicateThreshold = 0.85;
+  }
+
+  textTokens(text) {
+    return GradingService.tokenize(text).filter(token => !QUESTION_WORDS.has(token));
+  }
+
+  // Unigrams plus adjacent-word bigrams of the question stem
+  textShingles(text) {
+    const tokens = this.textTokens(text);
+    const shingles = new Set(tokens);
+    for (let i = 0; i + 1 < tokens.length; i++) shingles.add(`${tokens[i]} ${tokens[i + 1]}`);
+    return shingles;
+  }
+
+  // What the question accepts as answers: option texts, or the free-text answers
+  answerSet(question) {
+    const values = question.options?.length ? question.options.map(opt => opt.text)
+      : question.pairs?.length ? question.pairs.map(pair => `${pair.prompt} ${pair.match}`)
+        : question.sequence?.length ? question.sequence
+          : [question.correctAnswer, ...(question.acceptedAnswers || [])];
+    return new Set(values.filter(Boolean).map(value => GradingService.normalize(value)).filter(Boolean));
+  }
+
+  jaccard(a, b) {
+    if (!a.size && !b.size) return 1;
+    let shared = 0;
+    for (const value of a) if (b.has(value)) shared += 1;
+    return shared / (a.size + b.size - shared);
+  }
+
+  // Share of the shorter stem's words found in the other, so an added qualifier doesn't hide a paraphrase
+  overlap(a, b) {
+    if (!a.size || !b.size) return 0;
+    let shared = 0;
+    for (const value of a) if (b.has(value)) shared += 1;
+    return shared / Math.min(a.size, b.size);
+  }
+
+  textSimilarity(a, b) {
+    const shingles = this.jaccard(this.textShingles(a), this.textShingles(b));
+    return (shingles + this.overlap(new Set(this.textTokens(a)), new Set(this.textTokens(b)))) / 2;
+  }
+
+  // 0-1 similarity; the stem dominates, the answer set separates same-stem questions about different things
+  similarity(a, b) {
+    const text = this.textSimilarity(a.question, b.question);
+    const answersA = this.answerSet(a);
+    const answersB = this.answerSet(b);
+    if (!answersA.size || !answersB.size) return Number(text.toFixed(3));
+    return Number((0.75 * text + 0.25 * this.jaccard(answersA, answersB)).toFixed(3));
+  }
+
+  // MinHash signature and LSH band keys, stored on the question for candidate lookup
+  fingerprint(question) {
+    const shingles = [...this.textShingles(question.question), ...[...this.answerSet(question)].map(answer => `ans:${answer}`)];
+    const signature = Array.from({ length: this.numHashes }, (_, seed) => (shingles.length
+      ? Math.min(...shingles.map(shingle => fnv1a(`${seed}:${shingle}`)))
+      : 0));
+    const bands = [];
+    for (let start = 0; start < signature.length; start += this.bandSize) {
+      bands.push(`${start / this.bandSize}:${fnv1a(signature.slice(start, start + this.bandSize).join('.')).toString(36)}`);
+    }
+    return { signature, bands };
+  }
+
+  level(similarity) {
+    return similarity >= this.duplicateThreshold ? 'duplicate' : 'similar';
+  }
+
+  /**
+   * Active questions of the same owner that look like near-duplicates of `question`
+   * (which need not be saved). Resolves to [{ question, similarity, level }], most similar first.
+   */
+  async findSimilar(question, { user, excludeIds = [], threshold = this.warnThreshold, filter = {} } = {}) {
+    const { bands } = this.fingerprint(question);
+    const exclude = [question._id, ...excludeIds].filter(Boolean);
+    const candidates = await Question.find({
+      ...filter,
+      user: user || question.user,
+      isActive: true,
+      _id: { $nin: exclude },
+      'similarity.bands': { $in: bands },
+    }).select('question type options pairs sequence correctAnswer acceptedAnswers video summary statistics createdAt');
+
+    return candidates
+      .map(candidate => ({ question: candidate, similarity: this.similarity(question, candidate) }))
+      .filter(match => match.similarity >= threshold)
+      .map(match => ({ ...match, level: this.level(match.similarity) }))
+      .sort((a, b) => b.similarity - a.similarity);
+  }
+
+  // Compute fingerprints for questions saved before the similarity index existed
+  async backfill(filter) {
+    const missing = await Question.find({ ...filter, 'similarity.bands.0': { $exists: false } })
+      .select('question type options pairs sequence correctAnswer acceptedAnswers')
+      .lean();
+    if (!missing.length) return 0;
+    await Question.bulkWrite(missing.map(question => ({
+      updateOne: { filter: { _id: question._id }, update: { $set: { similarity: this.fingerprint(question) } } },
+    })), { ordered: false });
+    return missing.length;
+  }
+
+  // Group questions into clusters of mutual near-duplicates (single linkage)
+  cluster(questions, threshold = this.warnThreshold) {
+    const parent = questions.map((_, index) => index);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const best = new Map();
+
+    for (let i = 0; i < questions.length; i++) {
+      for (let j = i + 1; j < questions.length; j++) {
+        const similarity = this.similarity(questions[i], questions[j]);
+        if (similarity < threshold) continue;
+        const [rootI, rootJ] = [find(i), find(j)];
+        if (rootI !== rootJ) parent[rootJ] = rootI;
+        const root = find(i);
+        best.set(root, Math.max(best.get(root) || 0, best.get(rootJ) || 0, similarity));
+      }
+    }
+
+    const groups = new Map();
+    questions.forEach((question, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(question);
+    });
+    return [...groups.entries()]
+      .filter(([, members]) => members.length > 1)
+      .map(([root, members]) => ({ similarity: best.get(root) || threshold, questions: members }))
+      .sort((a, b) => b.similarity - a.similarity);
+  }
+
+  /**
+   * Fold duplicates into a target question: statistics are added to the target, tags and
+   * (for the same free-text type) accepted answers are combined as a new version of the target,
+   * review schedules move to the target, and each duplicate is retired with mergedInto set.
+   * Answer history stays on the retired duplicates, tied to the versions learners saw.
+   */
+  async merge(target, duplicates, { editedBy = null } = {}) {
+    const freeText = ['short_answer', 'fill_blank'].includes(target.type);
+    const tags = new Set(target.tags || []);
+    const acceptedAnswers = [...(target.acceptedAnswers || [])];
+    const known = new Set([target.correctAnswer, ...acceptedAnswers].filter(Boolean).map(answer => GradingService.normalize(answer)));
+    let totalTime = target.statistics.averageTime * target.statistics.totalAttempts;
+
+    for (const duplicate of duplicates) {
+      target.statistics.totalAttempts += duplicate.statistics.totalAttempts;
+      target.statistics.correctAttempts += duplicate.statistics.correctAttempts;
+      totalTime += duplicate.statistics.averageTime * duplicate.statistics.totalAttempts;
+
+      (duplicate.tags || []).forEach(tag => tags.add(tag));
+      if (freeText && duplicate.type === target.type) {
+        for (const answer of [duplicate.correctAnswer, ...(duplicate.acceptedAnswers || [])]) {
+          const normalized = answer && GradingService.normalize(answer);
+          if (!normalized || known.has(normalized)) continue;
+          known.add(normalized);
+          acceptedAnswers.push(answer);
+        }
+      }
+
+      duplicate.isActive = false;
+      duplicate.mergedInto = target._id;
+    }
+    target.statistics.averageTime = target.statistics.totalAttempts ? totalTime / target.statistics.totalAttempts : 0;
+
+    // Learners who already review the target keep that schedule; others inherit the duplicate's
+    const duplicateIds = duplicates.map(duplicate => duplicate._id);
+    const schedules = await ReviewSchedule.find({ question: { $in: duplicateIds } }).sort({ lastReviewedAt: -1 });
+    const scheduled = new Set((await ReviewSchedule.find({ question: target._id }).select('user')).map(s => s.user.toString()));
+    for (const schedule of schedules) {
+      if (scheduled.has(schedule.user.toString())) {
+        await schedule.deleteOne();
+      } else {
+        schedule.question = target._id;
+        await schedule.save();
+        scheduled.add(schedule.user.toString());
+      }
+    }
+
+    const changedFields = await target.revise({ tags: [...tags], acceptedAnswers }, {
+      editedBy,
+      changeNote: `Merged ${duplicates.length} duplicate question(s)`,
+    });
+    if (!changedFields.length) await target.save();
+    for (const duplicate of duplicates) await duplicate.save();
+    return target;
+  }
+}
+
+export default new DedupeService();
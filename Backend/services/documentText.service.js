@@ -0,0 +1,152 @@
+// Backend/services/documentText.service.js
+// Text extraction for uploaded documents, split into pages so generated questions can cite them.
+// PDFs use pdf-parse, DOCX uses Word's own page markers (falling back to mammoth), and other
+// formats go through textract.
+import fs from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+import mammoth from 'mammoth';
+import textract from 'textract';
+// The package entry point runs a debug self-test when imported as ESM, so load the library directly
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const decodeXml = text => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+  .replace(/&amp;/g, '&');
+
+class DocumentTextService {
+  constructor() {
+    this.wordsPerPage = 500; // for estimating pages when the format has none
+  }
+
+  clean(text) {
+    return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  // Split text without page information into estimated pages of roughly equal word counts
+  estimatePages(text) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const pages = [];
+    for (let start = 0; start < words.length; start += this.wordsPerPage) {
+      pages.push(words.slice(start, start + this.wordsPerPage).join(' '));
+    }
+    return pages.length ? pages : [''];
+  }
+
+  // Same line joining as pdf-parse's default renderer, one call per page
+  async renderPdfPage(pageData) {
+    const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let lastY;
+    let text = '';
+    for (const item of content.items) {
+      text += lastY === item.transform[5] || lastY === undefined ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+    return text;
+  }
+
+  async extractPdf(filePath) {
+    const pages = [];
+    const result = await pdfParse(await fs.promises.readFile(filePath), {
+      pagerender: async (pageData) => {
+        const text = await this.renderPdfPage(pageData);
+        pages[pageData.pageIndex] = text;
+        return text;
+      },
+    });
+    return {
+      pages: Array.from({ length: result.numpages }, (_, index) => pages[index] || ''),
+      pagesEstimated: false,
+      method: 'pdf-parse',
+    };
+  }
+
+  /**
+   * Word stores where pages broke when the file was last saved (w:lastRenderedPageBreak) plus
+   * manual breaks; use those when present, otherwise estimate pages from mammoth's plain text.
+   */
+  async extractDocx(filePath) {
+    const zip = await JSZip.loadAsync(await fs.promises.readFile(filePath));
+    const xml = await zip.file('word/document.xml')?.async('string');
+    if (xml && /<w:lastRenderedPageBreak\/>|<w:br [^>]*w:type="page"/.test(xml)) {
+      const text = decodeXml(xml
+        .replace(/<w:lastRenderedPageBreak\/>|<w:br [^>]*w:type="page"[^>]*\/>/g, '\f')
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<\/w:p>/g, '\n')
+        .replace(/<w:t(?: [^>]*)?>([^<]*)<\/w:t>/g, '$1')
+        .replace(/<[^>]+>/g, ''));
+      // A break at the very start of a page would otherwise leave an empty page
+      const pages = text.split('\f').map(page => this.clean(page));
+      while (pages.length > 1 && !pages[0]) pages.shift();
+      return { pages, pagesEstimated: false, method: 'docx' };
+    }
+
+    const { value } = await mammoth.extractRawText({ path: filePath });
+    return { pages: this.estimatePages(this.clean(value)), pagesEstimated: true, method: 'mammoth' };
+  }
+
+  async extractOther(filePath, mimetype) {
+    const text = await new Promise((resolve, reject) => {
+      textract.fromFileWithMimeAndPath(mimetype, filePath, { preserveLineBreaks: true }, (error, result) => {
+        if (error) reject(error);
+        else resolve(result || '');
+      });
+    });
+    // Some converters (e.g. antiword for .doc) emit form feeds at page breaks
+    if (text.includes('\f')) {
+      return { pages: text.split('\f').map(page => this.clean(page)), pagesEstimated: false, method: 'textract' };
+    }
+    return { pages: this.estimatePages(this.clean(text)), pagesEstimated: true, method: 'textract' };
+  }
+
+  /**
+   * Extract a document's text.
+   * Resolves to { text, pages: [{ number, text }], pageCount, pagesEstimated, method }.
+   */
+  async extract(filePath, mimetype) {
+    const extension = path.extname(filePath).toLowerCase();
+    let result;
+    if (mimetype === 'application/pdf' || extension === '.pdf') {
+      result = await this.extractPdf(filePath);
+    } else if (mimetype === DOCX_MIME || extension === '.docx') {
+      result = await this.extractDocx(filePath);
+    } else if (mimetype === 'text/plain' || extension === '.txt') {
+      const text = this.clean(await fs.promises.readFile(filePath, 'utf8'));
+      result = { pages: this.estimatePages(text), pagesEstimated: true, method: 'text' };
+    } else {
+      result = await this.extractOther(filePath, mimetype);
+    }
+
+    const pages = result.pages.map((text, index) => ({ number: index + 1, text: this.clean(text) }));
+    return {
+      text: pages.map(page => page.text).filter(Boolean).join('\n\n'),
+      pages,
+      pageCount: pages.length,
+      pagesEstimated: result.pagesEstimated,
+      method: result.method,
+    };
+  }
+
+  // Text with page markers, for prompts that must cite the page a question comes from
+  pagedText(pages, maxChars = 20000) {
+    let text = '';
+    for (const page of pages) {
+      if (!page.text) continue;
+      const chunk = `[Page ${page.number}]\n${page.text}\n\n`;
+      if (text.length + chunk.length > maxChars) {
+        text += chunk.substring(0, maxChars - text.length);
+        break;
+      }
+      text += chunk;
+    }
+    return text.trim();
+  }
+}
+
+export default new DocumentTextService();
@@ -0,0 +1,271 @@
+// Backend/services/gift.service.js
+// Moodle GIFT text format: serializer and parser mapped to the Question schema
+
+const BLANK_PATTERN = /_{3,}/;
+const CATEGORIES = ['comprehension', 'analysis', 'application', 'synthesis', 'evaluation'];
+
+class GiftService {
+  escape(text) {
+    return String(text ?? '').replace(/([~=#{}:\\])/g, '\\$1').replace(/\r?\n/g, '\\n');
+  }
+
+  unescape(text) {
+    return String(text ?? '').replace(/\\n/g, '\n').replace(/\\([~=#{}:\\])/g, '$1').trim();
+  }
+
+  parseNumber(text) {
+    const cleaned = String(text ?? '').trim();
+    return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(cleaned) ? Number(cleaned) : null;
+  }
+
+  // ---------- Serialize ----------
+
+  answerBlock(question) {
+    const feedback = question.explanation ? ` ####${this.escape(question.explanation)}` : '';
+
+    switch (question.type) {
+      case 'true_false': {
+        const trueOption = question.options.find(opt => /^(true|t)$/i.test(opt.text));
+        const isTrue = trueOption ? trueOption.isCorrect : question.options[0]?.isCorrect;
+        return `{${isTrue ? 'TRUE' : 'FALSE'}${feedback}}`;
+      }
+      case 'multiple_choice': {
+        const correctCount = question.options.filter(opt => opt.isCorrect).length;
+        const wrongCount = question.options.length - correctCount;
+        const lines = question.options.map((opt) => {
+          if (correctCount === 1) return `\t${opt.isCorrect ? '=' : '~'}${this.escape(opt.text)}`;
+          // Several correct options: split credit across them and penalise wrong picks
+          const weight = opt.isCorrect
+            ? Number((100 / correctCount).toFixed(5))
+            : -Number((100 / Math.max(wrongCount, 1)).toFixed(5));
+          return `\t~%${weight}%${this.escape(opt.text)}`;
+        });
+        return `{\n${lines.join('\n')}\n${feedback ? `\t${feedback.trim()}\n` : ''}}`;
+      }
+      case 'matching': {
+        const lines = (question.pairs || []).map(pair => `\t=${this.escape(pair.prompt)} -> ${this.escape(pair.match)}`);
+        return `{\n${lines.join('\n')}\n${feedback ? `\t${feedback.trim()}\n` : ''}}`;
+      }
+      case 'essay':
+        return `{${feedback}}`;
+      default: {
+        // short_answer / fill_blank
+        const numeric = this.parseNumber(question.correctAnswer);
+        if (numeric !== null && !question.acceptedAnswers?.length) {
+          const tolerance = question.grading?.numericTolerance || 0;
+          return `{#${numeric}${tolerance ? `:${tolerance}` : ''}${feedback}}`;
+        }
+        const answers = [question.correctAnswer, ...(question.acceptedAnswers || [])].filter(Boolean);
+        return `{${answers.map(answer => `=${this.escape(answer)}`).join(' ')}${feedback}}`;
+      }
+    }
+  }
+
+  serializeQuestion(question) {
+    const answers = this.answerBlock(question);
+    if (question.type === 'fill_blank' && BLANK_PATTERN.test(question.question)) {
+      const [before, ...after] = question.question.split(BLANK_PATTERN);
+      return `${this.escape(before).trimEnd()} ${answers} ${this.escape(after.join('_____')).trimStart()}`.trim();
+    }
+    return `${this.escape(question.question)} ${answers}`;
+  }
+
+  serialize(questions) {
+    const lines = [];
+    let currentCategory = null;
+    for (const question of questions) {
+      const category = question.category || 'comprehension';
+      if (category !== currentCategory) {
+        lines.push(`$CATEGORY: ${category}`, '');
+        currentCategory = category;
+      }
+      // GIFT has no ordering type; leave a note so the gap is visible in the file
+      if (question.type === 'ordering') {
+        lines.push(`// ordering question skipped (not supported by GIFT): ${question.question.replace(/\s+/g, ' ')}`, '');
+        continue;
+      }
+      lines.push(`// ${question.type}, ${question.difficulty || 'medium'}, ${question.points ?? 1} point(s)`);
+      lines.push(this.serializeQuestion(question), '');
+    }
+    return lines.join('\n');
+  }
+
+  // ---------- Parse ----------
+
+  // Index of the first unescaped occurrence of a character, or -1
+  indexOfUnescaped(text, char, from = 0) {
+    for (let i = from; i < text.length; i++) {
+      if (text[i] === '\\') { i++; continue; }
+      if (text[i] === char) return i;
+    }
+    return -1;
+  }
+
+  // Split on unescaped answer markers (= or ~), keeping the marker with each part
+  splitAnswers(body) {
+    const parts = [];
+    let current = '';
+    for (let i = 0; i < body.length; i++) {
+      if (body[i] === '\\') { current += body[i] + (body[i + 1] ?? ''); i++; continue; }
+      if (body[i] === '=' || body[i] === '~') {
+        if (current.trim()) parts.push(current.trim());
+        current = body[i];
+        continue;
+      }
+      current += body[i];
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  }
+
+  // Remove per-answer (#) and general (####) feedback; returns [text, generalFeedback]
+  splitFeedback(body) {
+    const general = body.indexOf('####');
+    let generalFeedback = null;
+    let rest = body;
+    if (general !== -1 && body[general - 1] !== '\\') {
+      generalFeedback = this.unescape(body.slice(general + 4));
+      rest = body.slice(0, general);
+    }
+    return [rest, generalFeedback];
+  }
+
+  stripAnswerFeedback(text) {
+    const index = this.indexOfUnescaped(text, '#');
+    return index === -1 ? text : text.slice(0, index);
+  }
+
+  parseAnswerBody(rawBody) {
+    const [body, explanation] = this.splitFeedback(rawBody);
+    const trimmed = body.trim();
+    const result = explanation ? { explanation } : {};
+
+    if (!trimmed) return { ...result, type: 'essay' };
+
+    const tf = this.stripAnswerFeedback(trimmed).trim().toUpperCase();
+    if (['T', 'TRUE', 'F', 'FALSE'].includes(tf)) {
+      const isTrue = tf.startsWith('T');
+      return {
+        ...result,
+        type: 'true_false',
+        options: [{ text: 'True', isCorrect: isTrue }, { text: 'False', isCorrect: !isTrue }],
+      };
+    }
+
+    if (trimmed.startsWith('#')) {
+      const numeric = this.stripAnswerFeedback(trimmed.slice(1).replace(/^=/, '')).trim();
+      const range = numeric.match(/^([-+\d.]+)\.\.([-+\d.]+)$/);
+      if (range) {
+        const [min, max] = [Number(range[1]), Number(range[2])];
+        return { ...result, type: 'short_answer', correctAnswer: String((min + max) / 2), grading: { numericTolerance: (max - min) / 2 } };
+      }
+      const [value, tolerance] = numeric.split(':');
+      if (this.parseNumber(value) === null) throw new Error(`Invalid numeric answer: ${numeric}`);
+      return { ...result, type: 'short_answer', correctAnswer: value.trim(), grading: { numericTolerance: Number(tolerance) || 0 } };
+    }
+
+    const answers = this.splitAnswers(trimmed).map((part) => {
+      const marker = part[0];
+      let text = this.stripAnswerFeedback(part.slice(1)).trim();
+      let weight = marker === '=' ? 100 : 0;
+      const weighted = text.match(/^%(-?\d+(?:\.\d+)?)%/);
+      if (weighted) {
+        weight = Number(weighted[1]);
+        text = text.slice(weighted[0].length);
+      }
+      return { marker, text: this.unescape(text), weight };
+    }).filter(answer => answer.text);
+
+    if (answers.some(answer => answer.text.includes('->'))) {
+      const pairs = answers.map((answer) => {
+        const [prompt, ...match] = answer.text.split('->');
+        return { prompt: prompt.trim(), match: match.join('->').trim() };
+      });
+      if (answers.some(answer => answer.marker !== '=') || pairs.some(pair => !pair.prompt || !pair.match)) {
+        throw new Error('Every matching answer must be "=prompt -> match"');
+      }
+      return { ...result, type: 'matching', pairs };
+    }
+
+    if (answers.some(answer => answer.marker === '~')) {
+      return {
+        ...result,
+        type: 'multiple_choice',
+        options: answers.map(answer => ({ text: answer.text, isCorrect: answer.weight > 0 })),
+      };
+    }
+
+    const [correctAnswer, ...acceptedAnswers] = answers.map(answer => answer.text);
+    return { ...result, type: 'short_answer', correctAnswer, acceptedAnswers };
+  }
+
+  normalizeCategory(value) {
+    const last = value.split('/').filter(Boolean).pop()?.trim().toLowerCase() || '';
+    return CATEGORIES.includes(last) ? last : null;
+  }
+
+  parseQuestion(block, category) {
+    let text = block.replace(/^::(.*?)::/s, '').trim();
+    text = text.replace(/^\[(html|moodle|plain|markdown)\]/i, '').trim();
+
+    const open = this.indexOfUnescaped(text, '{');
+    const close = open === -1 ? -1 : this.indexOfUnescaped(text, '}', open);
+    if (open === -1 || close === -1) throw new Error('Missing answer block');
+
+    const before = this.unescape(text.slice(0, open));
+    const after = this.unescape(text.slice(close + 1));
+    const parsed = this.parseAnswerBody(text.slice(open + 1, close));
+
+    // Text after the answer block makes it a "missing word" question
+    if (after && parsed.type === 'short_answer') {
+      parsed.type = 'fill_blank';
+      parsed.question = `${before} _____ ${after}`.replace(/\s+/g, ' ').trim();
+    } else {
+      parsed.question = [before, after].filter(Boolean).join(' ').trim();
+    }
+    if (!parsed.question) throw new Error('Missing question text');
+
+    return { ...parsed, category: category || 'comprehension' };
+  }
+
+  // Returns { questions, errors } with plain question objects ready for the Question model
+  parse(text) {
+    const questions = [];
+    const errors = [];
+    let category = null;
+
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const blocks = [];
+    let current = [];
+    let startLine = 1;
+    lines.forEach((line, index) => {
+      if (/^\s*\/\//.test(line)) return;
+      if (!line.trim()) {
+        if (current.length) blocks.push({ text: current.join('\n'), line: startLine });
+        current = [];
+        return;
+      }
+      if (!current.length) startLine = index + 1;
+      current.push(line);
+    });
+    if (current.length) blocks.push({ text: current.join('\n'), line: startLine });
+
+    for (const block of blocks) {
+      const categoryMatch = block.text.match(/^\$CATEGORY:\s*(.+)$/m);
+      if (categoryMatch) {
+        category = this.normalizeCategory(categoryMatch[1]);
+        const rest = block.text.replace(/^\$CATEGORY:.*$/m, '').trim();
+        if (!rest) continue;
+        block.text = rest;
+      }
+      try {
+        questions.push({ ...this.parseQuestion(block.text, category), source: `line ${block.line}` });
+      } catch (error) {
+        errors.push({ file: `line ${block.line}`, error: error.message });
+      }
+    }
+    return { questions, errors };
+  }
+}
+
+export default new GiftService();
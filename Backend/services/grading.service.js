@@ -0,0 +1,380 @@
+// Backend/services/grading.service.js
+// Tolerant grading for free-text answers (short_answer, fill_blank) and option answers, with
+// partial credit for multi-select ("select all that apply"), matching and ordering questions
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'of', 'to', 'in', 'on', 'at', 'for', 'by', 'with', 'and', 'or',
+  'is', 'are', 'was', 'were', 'be', 'it', 'its', 'this', 'that', 'as', 'from',
+]);
+
+// Words that flip an answer's meaning; contractions ending in n't are caught separately
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'cannot', 'without',
+]);
+
+const DEFAULT_GRADING = {
+  passThreshold: 0.8,
+  numericTolerance: 0,
+  maxTypos: null, // null = scale with answer length
+  useStemming: true,
+  aiEquivalence: false,
+  multiSelectScoring: 'all_or_nothing',
+  hintPenalty: 0.2,
+};
+
+const MULTI_SELECT_SCORING = ['all_or_nothing', 'per_option', 'penalty'];
+
+class GradingService {
+  constructor() {
+    this.multiSelectScoring = MULTI_SELECT_SCORING;
+  }
+
+  normalize(text) {
+    return String(text ?? '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\p{L}\p{N}\s.-]/gu, ' ')
+      .replace(/(?<!\d)[.-]|[.-](?!\d)/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Light Porter-style suffix stripping; applied to both sides, so consistency matters more than linguistics
+  stem(word) {
+    if (word.length <= 3 || /^\d/.test(word)) return word;
+    let w = word;
+    const hasVowel = (s) => /[aeiouy]/.test(s);
+
+    if (w.endsWith('sses')) w = w.slice(0, -2);
+    else if (w.endsWith('ies')) w = `${w.slice(0, -3)}y`;
+    else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us') && !w.endsWith('is')) w = w.slice(0, -1);
+
+    for (const suffix of ['ingly', 'edly', 'ing', 'ed']) {
+      if (w.endsWith(suffix) && hasVowel(w.slice(0, -suffix.length)) && w.length - suffix.length >= 3) {
+        w = w.slice(0, -suffix.length);
+        if (/([^aeiouslz])\1$/.test(w)) w = w.slice(0, -1);
+        break;
+      }
+    }
+
+    const derivational = [
+      ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'], ['iveness', 'ive'],
+      ['ousness', 'ous'], ['tional', 'tion'], ['ation', 'ate'], ['ment', ''], ['ness', ''],
+      ['ably', 'able'], ['ally', 'al'], ['ly', ''],
+    ];
+    for (const [suffix, replacement] of derivational) {
+      if (w.endsWith(suffix) && w.length - suffix.length >= 4) {
+        w = w.slice(0, -suffix.length) + replacement;
+        break;
+      }
+    }
+
+    return w.replace(/e$/, '').replace(/y$/, 'i');
+  }
+
+  tokenize(text, useStemming = true) {
+    return this.normalize(text)
+      .split(' ')
+      .filter(token => token && !STOPWORDS.has(token))
+      .map(token => (useStemming ? this.stem(token) : token));
+  }
+
+  negationCount(text) {
+    const words = String(text ?? '').toLowerCase().replace(/\u2019/g, "'").match(/[\p{L}']+/gu) || [];
+    return words.filter(word => NEGATIONS.has(word) || word.endsWith("n't")).length;
+  }
+
+  levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  typoAllowance(text, maxTypos) {
+    if (maxTypos !== null && maxTypos !== undefined) return maxTypos;
+    if (text.length <= 4) return 0;
+    if (text.length <= 8) return 1;
+    return 2;
+  }
+
+  parseNumber(text) {
+    const cleaned = String(text ?? '').trim().replace(/,/g, '');
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?%?$/i.test(cleaned)) return null;
+    return parseFloat(cleaned);
+  }
+
+  // The one number in an answer that may carry words or units around it ("in 1945", "42 km");
+  // null when it has no number or more than one
+  extractNumber(text) {
+    const whole = this.parseNumber(text);
+    if (whole !== null) return { value: whole, count: 1 };
+    const found = String(text ?? '').match(/[-+]?(?:\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?|\.\d+)(?:e[-+]?\d+)?%?/gi) || [];
+    return { value: found.length === 1 ? this.parseNumber(found[0]) : null, count: found.length };
+  }
+
+  // Compare one answer against one accepted answer
+  compare(answer, expected, settings) {
+    const numericExpected = this.parseNumber(expected);
+    if (numericExpected !== null) {
+      const { value: numericAnswer, count } = this.extractNumber(answer);
+      if (count > 1) return { score: 0, reason: 'Answer contains more than one number' };
+      if (numericAnswer === null) {
+        return { score: 0, reason: 'Expected a numeric answer' };
+      }
+      const difference = Math.abs(numericAnswer - numericExpected);
+      return difference <= settings.numericTolerance
+        ? { score: 1, reason: difference === 0 ? 'Exact numeric match' : `Within numeric tolerance of ±${settings.numericTolerance}` }
+        : { score: 0, reason: `Numeric value outside tolerance of ±${settings.numericTolerance}` };
+    }
+
+    const normalizedAnswer = this.normalize(answer);
+    const normalizedExpected = this.normalize(expected);
+    if (!normalizedAnswer) return { score: 0, reason: 'Empty answer' };
+    if (normalizedAnswer === normalizedExpected) return { score: 1, reason: 'Exact match' };
+    // "not photosynthesis" shares every term with "photosynthesis process" but means the opposite
+    if (this.negationCount(answer) > this.negationCount(expected)) {
+      return { score: 0, reason: 'Answer negates the expected answer' };
+    }
+
+    const distance = this.levenshtein(normalizedAnswer, normalizedExpected);
+    if (distance <= this.typoAllowance(normalizedExpected, settings.maxTypos)) {
+      return { score: 0.95, reason: `Minor spelling difference (${distance} character${distance === 1 ? '' : 's'})` };
+    }
+
+    const expectedTokens = this.tokenize(expected, settings.useStemming);
+    const answerTokens = this.tokenize(answer, settings.useStemming);
+    if (!expectedTokens.length || !answerTokens.length) {
+      return { score: 0, reason: 'Answer does not match' };
+    }
+
+    const tokenMatches = (a, b) => a === b || this.levenshtein(a, b) <= this.typoAllowance(b, settings.maxTypos);
+    const matchedExpected = expectedTokens.filter(e => answerTokens.some(a => tokenMatches(a, e))).length;
+    const matchedAnswer = answerTokens.filter(a => expectedTokens.some(e => tokenMatches(a, e))).length;
+    if (!matchedExpected) return { score: 0, reason: 'Answer does not match' };
+
+    // "Paris or London" names the right answer and a wrong one; hedging like that fails, since
+    // the extra words would otherwise barely dent the score
+    const alternatives = String(answer).split(/\s+or\s+|[/,;]/i)
+      .map(part => this.tokenize(part, settings.useStemming))
+      .filter(tokens => tokens.length);
+    if (alternatives.length > 1 && alternatives.some(tokens => !tokens.some(a => expectedTokens.some(e => tokenMatches(a, e))))) {
+      return { score: 0, reason: 'Answer offers alternatives to the expected answer' };
+    }
+
+    // F2 score: missing expected terms cost more than extra words around them
+    const recall = matchedExpected / expectedTokens.length;
+    const precision = matchedAnswer / answerTokens.length;
+    const score = Number(((5 * precision * recall) / (4 * precision + recall)).toFixed(2));
+
+    const reason = recall === 1
+      ? `Contains all expected terms${precision < 1 ? ' with extra words' : ''}`
+      : `Matched ${matchedExpected} of ${expectedTokens.length} expected terms`;
+    return { score, reason };
+  }
+
+  // Grade a free-text answer against a question's correctAnswer and acceptedAnswers
+  async gradeFreeText(question, answer) {
+    const settings = { ...DEFAULT_GRADING, ...(question.grading?.toObject?.() || question.grading || {}) };
+    const candidates = [question.correctAnswer, ...(question.acceptedAnswers || [])].filter(Boolean);
+
+    if (!candidates.length) {
+      return { score: 0, isCorrect: false, reason: 'Question has no accepted answer' };
+    }
+
+    let best = null;
+    for (const expected of candidates) {
+      const result = this.compare(answer, expected, settings);
+      if (!best || result.score > best.score) best = result;
+      if (best.score === 1) break;
+    }
+
+    if (best.score < settings.passThreshold && settings.aiEquivalence && this.normalize(answer)) {
+      // Loaded lazily so grading without AI never requires a Gemini key
+      const { default: AIService } = await import('./ai.service.js');
+      const judgement = await AIService.judgeAnswerEquivalence(question.question, candidates, answer);
+      if (judgement.equivalent && judgement.confidence > best.score) {
+        best = { score: Number(judgement.confidence.toFixed(2)), reason: `AI judged equivalent: ${judgement.reasoning}` };
+      }
+    }
+
+    return {
+      score: best.score,
+      isCorrect: best.score >= settings.passThreshold,
+      reason: best.reason,
+    };
+  }
+
+  // Answers are an option text, or an array of texts for multi-select, matching and ordering questions
+  isAnswerValue(value) {
+    if (Array.isArray(value)) return value.every(item => typeof item === 'string');
+    return typeof value === 'string' && value.trim().length > 0;
+  }
+
+  // Selected option texts from an answer, trimmed and without repeats
+  selections(answer) {
+    const values = Array.isArray(answer) ? answer : [answer];
+    return [...new Set(values.filter(value => typeof value === 'string').map(value => value.trim()).filter(Boolean))];
+  }
+
+  // Positional list answer: the match picked for each prompt, or the items in the order given
+  listAnswer(answer) {
+    const values = Array.isArray(answer) ? answer : [answer];
+    return values.map(value => (typeof value === 'string' ? value.trim() : ''));
+  }
+
+  // The list form stored alongside an answer, or undefined for single-value answers
+  answerList(question, answer) {
+    if (answer === undefined || answer === null) return undefined;
+    if (question.type === 'matching' || question.type === 'ordering') return this.listAnswer(answer);
+    if (this.isMultiSelect(question)) return this.selections(answer);
+    return undefined;
+  }
+
+  // More than one correct option makes a question multi-select even if the author didn't say so
+  isMultiSelect(question) {
+    if (question.type !== 'multiple_choice') return false;
+    return Boolean(question.multiSelect) || (question.options || []).filter(opt => opt.isCorrect).length > 1;
+  }
+
+  gradeOption(question, answer) {
+    const selected = this.selections(answer);
+    if (selected.length > 1) return { score: 0, isCorrect: false, reason: 'Select exactly one option' };
+    const option = question.options.find(opt => opt.text === selected[0]);
+    if (!option) return { score: 0, isCorrect: false, reason: 'Answer is not one of the options' };
+    return option.isCorrect
+      ? { score: 1, isCorrect: true, reason: 'Selected the correct option' }
+      : { score: 0, isCorrect: false, reason: 'Selected an incorrect option' };
+  }
+
+  /**
+   * Grade a multi-select answer with the question's multiSelectScoring:
+   * - all_or_nothing: 1 only for exactly the correct set
+   * - per_option: share of options judged right (picked if correct, left alone if not)
+   * - penalty: each correct pick earns 1/k and each wrong pick costs 1/k (k = correct options), floored at 0
+   * Partial scores count as correct from the pass threshold up.
+   */
+  gradeSelection(question, answer) {
+    const settings = { ...DEFAULT_GRADING, ...(question.grading?.toObject?.() || question.grading || {}) };
+    const selected = this.selections(answer);
+    const options = question.options || [];
+    const unknown = selected.filter(text => !options.some(opt => opt.text === text));
+    if (unknown.length) {
+      return { score: 0, isCorrect: false, reason: `Not one of the options: ${unknown.join(', ')}` };
+    }
+
+    const picked = options.filter(opt => selected.includes(opt.text));
+    const correctCount = options.filter(opt => opt.isCorrect).length;
+    const hits = picked.filter(opt => opt.isCorrect).length;
+    const wrongPicks = picked.length - hits;
+    const detail = `${hits} of ${correctCount} correct option${correctCount === 1 ? '' : 's'} selected`
+      + (wrongPicks ? `, ${wrongPicks} incorrect` : '');
+
+    if (hits === correctCount && !wrongPicks) {
+      return { score: 1, isCorrect: true, reason: 'Selected all correct options' };
+    }
+
+    let score = 0;
+    if (settings.multiSelectScoring === 'per_option') {
+      const judgedRight = options.filter(opt => opt.isCorrect === selected.includes(opt.text)).length;
+      score = options.length ? judgedRight / options.length : 0;
+    } else if (settings.multiSelectScoring === 'penalty') {
+      score = correctCount ? Math.max(0, (hits - wrongPicks) / correctCount) : 0;
+    }
+    score = Number(score.toFixed(2));
+    return { score, isCorrect: score >= settings.passThreshold, reason: detail };
+  }
+
+  // Matching: answer[i] is the match picked for the i-th prompt; each correct pair earns an equal share
+  gradeMatching(question, answer) {
+    const settings = { ...DEFAULT_GRADING, ...(question.grading?.toObject?.() || question.grading || {}) };
+    const pairs = question.pairs || [];
+    if (!pairs.length) return { score: 0, isCorrect: false, reason: 'Question has no pairs' };
+    const chosen = this.listAnswer(answer);
+    const correct = pairs.filter((pair, index) => chosen[index] === pair.match).length;
+    const score = Number((correct / pairs.length).toFixed(2));
+    return {
+      score,
+      isCorrect: score >= settings.passThreshold,
+      reason: correct === pairs.length ? 'All pairs matched correctly' : `Matched ${correct} of ${pairs.length} pairs correctly`,
+    };
+  }
+
+  /**
+   * Ordering: the answer must list every item once. Credit is the share of item pairs placed in the
+   * right relative order, so one misplaced item costs less than a reversed sequence.
+   */
+  gradeOrdering(question, answer) {
+    const settings = { ...DEFAULT_GRADING, ...(question.grading?.toObject?.() || question.grading || {}) };
+    const sequence = question.sequence || [];
+    const given = this.listAnswer(answer);
+    const positions = new Map(sequence.map((item, index) => [item, index]));
+    if (given.length !== sequence.length || new Set(given).size !== given.length || given.some(item => !positions.has(item))) {
+      return { score: 0, isCorrect: false, reason: 'Answer must list every item exactly once' };
+    }
+
+    const ranks = given.map(item => positions.get(item));
+    const total = (ranks.length * (ranks.length - 1)) / 2;
+    let inOrder = 0;
+    for (let i = 0; i < ranks.length; i++) {
+      for (let j = i + 1; j < ranks.length; j++) {
+        if (ranks[i] < ranks[j]) inOrder += 1;
+      }
+    }
+    const score = total ? Number((inOrder / total).toFixed(2)) : 1;
+    return {
+      score,
+      isCorrect: score >= settings.passThreshold,
+      reason: inOrder === total ? 'All items in the correct order' : `${inOrder} of ${total} item pairs in the correct relative order`,
+    };
+  }
+
+  /**
+   * Discount a graded result for help used before answering: each hint costs hintPenalty of the
+   * score, and revealing the explanation (which gives the answer away) leaves no credit.
+   */
+  applyHelp(result, { hintsUsed = 0, explanationRevealed = false } = {}, grading = {}) {
+    const settings = { ...DEFAULT_GRADING, ...(grading?.toObject?.() || grading || {}) };
+    if (explanationRevealed) {
+      return { score: 0, isCorrect: false, reason: `${result.reason}; no credit after revealing the explanation` };
+    }
+    if (!hintsUsed) return result;
+    const factor = Math.max(0, 1 - hintsUsed * settings.hintPenalty);
+    return {
+      ...result,
+      score: Number((result.score * factor).toFixed(2)),
+      reason: `${result.reason}; ${hintsUsed} hint${hintsUsed === 1 ? '' : 's'} used (-${Math.round((1 - factor) * 100)}%)`,
+    };
+  }
+
+  async grade(question, answer) {
+    if (answer === undefined || answer === null) {
+      return { score: 0, isCorrect: false, reason: 'No answer given' };
+    }
+    if (question.type === 'matching') return this.gradeMatching(question, answer);
+    if (question.type === 'ordering') return this.gradeOrdering(question, answer);
+    if (this.isMultiSelect(question)) {
+      return this.gradeSelection(question, answer);
+    }
+    if (question.type === 'multiple_choice' || question.type === 'true_false') {
+      return this.gradeOption(question, answer);
+    }
+    return this.gradeFreeText(question, answer);
+  }
+}
+
+export default new GradingService();
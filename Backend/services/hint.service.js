@@ -0,0 +1,120 @@
+// Backend/services/hint.service.js
+// Progressive hints for stuck learners, generated from the source material around a question
+// (the transcript near its timestamp, its document page, or its image's OCR text)
+import Question from '../models/Question.js';
+import Video from '../models/Video.js';
+import Document from '../models/Document.js';
+import Image from '../models/Image.js';
+import models from '../models/Index.js';
+import AIService from './ai.service.js';
+import GradingService from './grading.service.js';
+import { transcriptWindow } from '../utils/helpers.js';
+
+const { Summary } = models;
+
+class HintService {
+  constructor() {
+    this.contextWindow = 60; // seconds of transcript either side of the question's timestamp
+    this.maxContextChars = 4000;
+  }
+
+  // The question's source material; the essay grader asks for a wider window than hints need
+  async sourceText(question, { window = this.contextWindow, maxChars = this.maxContextChars } = {}) {
+    if (question.video) {
+      const video = await Video.findById(question.video).select('transcript.text transcript.timestamped').lean();
+      return transcriptWindow(video?.transcript, question.timestamp, { window, maxChars });
+    }
+    if (question.document) {
+      const document = await Document.findById(question.document).select('textContent').lean();
+      const page = question.page && document?.textContent?.pages?.find(p => p.number === question.page);
+      return (page?.text || document?.textContent?.text || '').substring(0, maxChars);
+    }
+    if (question.image) {
+      const image = await Image.findById(question.image).select('ocr.text').lean();
+      return (image?.ocr?.text || '').substring(0, maxChars);
+    }
+    if (question.summary) {
+      const summary = await Summary.findById(question.summary).select('content').lean();
+      return (summary?.content || '').substring(0, maxChars);
+    }
+    return '';
+  }
+
+  // A hint that contains the answer is no hint; short answers ("a", "4") can't be checked this way
+  leaksAnswer(hint, answer) {
+    const normalizedAnswer = GradingService.normalize(answer);
+    return normalizedAnswer.length >= 4 && GradingService.normalize(hint).includes(normalizedAnswer);
+  }
+
+  /**
+   * The question's hints, generating and storing them on first use.
+   * Stored directly rather than through revise(): hints are not versioned content.
+   */
+  async ensureHints(question) {
+    if (question.hints?.length) return question.hints;
+
+    const context = await this.sourceText(question);
+    if (!context) return [];
+    const answer = question.correctAnswerText();
+    const hints = (await AIService.generateHints({
+      question: question.question,
+      answer,
+      context,
+      count: Question.MAX_HINTS,
+    })).filter(hint => !this.leaksAnswer(hint, answer));
+
+    if (hints.length) {
+      await Question.updateOne({ _id: question._id }, { $set: { hints } });
+      question.hints = hints;
+    }
+    return hints;
+  }
+
+  /**
+   * Give a learner their next hint, or the explanation when asked for it, and record the help
+   * so their next answer is discounted. Throws with statusCode 404 when there is nothing to reveal.
+   * `seen` is the version the learner is answering, used for the explanation text.
+   */
+  async reveal(question, userId, { explanation = false, seen = question } = {}) {
+    if (explanation) {
+      if (!seen.explanation) {
+        const error = new Error('This question has no explanation');
+        error.statusCode = 404;
+        throw error;
+      }
+      const usage = await question.recordHelp(userId, { explanation: true });
+      return { explanation: seen.explanation, ...usage };
+    }
+
+    const hints = await this.ensureHints(question);
+    const current = await Question.findById(question._id).select('hintUsage').lean();
+    const used = current?.hintUsage?.find(entry => entry.user?.equals(userId))?.hintsUsed || 0;
+    if (used >= hints.length) {
+      const error = new Error(hints.length ? 'No more hints for this question' : 'No hints are available for this question');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const usage = await question.recordHelp(userId);
+    return {
+      hint: hints[usage.hintsUsed - 1],
+      level: usage.hintsUsed,
+      remaining: hints.length - usage.hintsUsed,
+      ...usage,
+    };
+  }
+
+  // Response shape shared by the question and quiz hint endpoints
+  view(revealed, question) {
+    return {
+      ...revealed,
+      hintPenalty: question.grading?.hintPenalty ?? 0.2,
+      // What the next answer can still earn, as a share of full marks
+      maxScore: revealed.explanationRevealed
+        ? 0
+        : Number(Math.max(0, 1 - revealed.hintsUsed * (question.grading?.hintPenalty ?? 0.2)).toFixed(2)),
+    };
+  }
+}
+
+export default new HintService();
@@ -0,0 +1,213 @@
+// Backend/services/irt.service.js
+// Two-parameter logistic (2PL) item response theory: P(correct) = 1 / (1 + e^(-a(θ - b)))
+// Abilities (θ) and item parameters (a = discrimination, b = difficulty) are fitted jointly
+// by alternating Newton steps with weak normal priors, which keeps estimates finite when an
+// item is answered all-correct or all-wrong.
+
+const ABILITY_PRIOR_SD = 1;
+const DIFFICULTY_PRIOR_SD = 2;
+const DISCRIMINATION_PRIOR_MEAN = 1;
+const DISCRIMINATION_PRIOR_SD = 0.5;
+
+// Difficulty (b) cut-offs between the easy/medium/hard labels, on the ability scale
+const LABEL_CUTOFFS = { easy: -0.5, hard: 0.5 };
+const LABEL_DIFFICULTY = { easy: -1, medium: 0, hard: 1 };
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+class IrtService {
+  constructor() {
+    this.minResponses = 10; // respondents an item needs before its parameters are trusted
+    this.maxIterations = 100;
+    this.tolerance = 1e-3;
+  }
+
+  probability(theta, discrimination, difficulty) {
+    return 1 / (1 + Math.exp(-discrimination * (theta - difficulty)));
+  }
+
+  labelFor(difficulty) {
+    if (difficulty < LABEL_CUTOFFS.easy) return 'easy';
+    if (difficulty > LABEL_CUTOFFS.hard) return 'hard';
+    return 'medium';
+  }
+
+  // Difficulty on the ability scale for a question: calibrated when available, else from its label
+  difficultyOf(question) {
+    if (question.calibration?.status === 'calibrated') return question.calibration.difficulty;
+    return LABEL_DIFFICULTY[question.difficulty] ?? 0;
+  }
+
+  discriminationOf(question) {
+    if (question.calibration?.status === 'calibrated') return question.calibration.discrimination;
+    return DISCRIMINATION_PRIOR_MEAN;
+  }
+
+  /**
+   * One scored response per learner per question: the first graded attempt, so later
+   * spaced-repetition reviews of the same item don't make it look easier than it is.
+   * Returns [{ user, question, correct }] with correct as 0 or 1.
+   */
+  collectResponses(questions) {
+    const responses = [];
+    for (const question of questions) {
+      const seen = new Set();
+      const answers = [...(question.userAnswers || [])]
+        .filter(entry => entry.user && entry.gradingStatus !== 'pending' && entry.gradingStatus !== 'failed')
+        .sort((a, b) => new Date(a.attemptedAt) - new Date(b.attemptedAt));
+      for (const entry of answers) {
+        const user = entry.user.toString();
+        if (seen.has(user)) continue;
+        seen.add(user);
+        responses.push({ user, question: question._id.toString(), correct: entry.isCorrect ? 1 : 0 });
+      }
+    }
+    return responses;
+  }
+
+  /**
+   * Fit the 2PL model. Items with fewer than minResponses respondents are left out of the fit.
+   * Returns { items: Map(questionId -> { difficulty, discrimination, standardError, responses, pValue, calibrated }),
+   *           abilities: Map(userId -> θ), iterations, converged }
+   */
+  fit(responses) {
+    const byItem = new Map();
+    for (const response of responses) {
+      if (!byItem.has(response.question)) byItem.set(response.question, []);
+      byItem.get(response.question).push(response);
+    }
+
+    const items = new Map();
+    for (const [questionId, itemResponses] of byItem) {
+      const correct = itemResponses.reduce((sum, r) => sum + r.correct, 0);
+      const pValue = correct / itemResponses.length;
+      // Start from the logit of the smoothed proportion correct
+      const smoothed = (correct + 0.5) / (itemResponses.length + 1);
+      items.set(questionId, {
+        difficulty: clamp(-Math.log(smoothed / (1 - smoothed)), -4, 4),
+        discrimination: DISCRIMINATION_PRIOR_MEAN,
+        standardError: null,
+        responses: itemResponses.length,
+        pValue: Number(pValue.toFixed(3)),
+        calibrated: itemResponses.length >= this.minResponses,
+      });
+    }
+
+    const fitted = responses.filter(r => items.get(r.question).calibrated);
+    const byUser = new Map();
+    for (const response of fitted) {
+      if (!byUser.has(response.user)) byUser.set(response.user, []);
+      byUser.get(response.user).push(response);
+    }
+    const abilities = new Map([...byUser.keys()].map(user => [user, 0]));
+
+    let iterations = 0;
+    let converged = !fitted.length;
+    while (!converged && iterations < this.maxIterations) {
+      iterations += 1;
+      let maxChange = 0;
+
+      // Ability step for each learner
+      const previous = new Map(abilities);
+      for (const [user, userResponses] of byUser) {
+        const theta = abilities.get(user);
+        let gradient = -theta / ABILITY_PRIOR_SD ** 2;
+        let hessian = -1 / ABILITY_PRIOR_SD ** 2;
+        for (const response of userResponses) {
+          const item = items.get(response.question);
+          const p = this.probability(theta, item.discrimination, item.difficulty);
+          gradient += item.discrimination * (response.correct - p);
+          hessian -= item.discrimination ** 2 * p * (1 - p);
+        }
+        abilities.set(user, clamp(theta - gradient / hessian, -4, 4));
+      }
+
+      // Anchor the ability scale at mean 0, sd 1 so item parameters stay comparable between runs
+      const values = [...abilities.values()];
+      const meanAbility = values.reduce((sum, theta) => sum + theta, 0) / (values.length || 1);
+      const sdAbility = Math.sqrt(values.reduce((sum, theta) => sum + (theta - meanAbility) ** 2, 0) / (values.length || 1));
+      const scale = sdAbility > 0.05 ? sdAbility : 1;
+      for (const [user, theta] of abilities) {
+        const next = (theta - meanAbility) / scale;
+        maxChange = Math.max(maxChange, Math.abs(next - previous.get(user)));
+        abilities.set(user, next);
+      }
+
+      // Difficulty then discrimination step for each calibrated item
+      for (const [questionId, itemResponses] of byItem) {
+        const item = items.get(questionId);
+        if (!item.calibrated) continue;
+
+        let gradient = -item.difficulty / DIFFICULTY_PRIOR_SD ** 2;
+        let hessian = -1 / DIFFICULTY_PRIOR_SD ** 2;
+        for (const response of itemResponses) {
+          const p = this.probability(abilities.get(response.user), item.discrimination, item.difficulty);
+          gradient -= item.discrimination * (response.correct - p);
+          hessian -= item.discrimination ** 2 * p * (1 - p);
+        }
+        const difficulty = clamp(item.difficulty - gradient / hessian, -4, 4);
+
+        gradient = -(item.discrimination - DISCRIMINATION_PRIOR_MEAN) / DISCRIMINATION_PRIOR_SD ** 2;
+        hessian = -1 / DISCRIMINATION_PRIOR_SD ** 2;
+        for (const response of itemResponses) {
+          const distance = abilities.get(response.user) - difficulty;
+          const p = this.probability(abilities.get(response.user), item.discrimination, difficulty);
+          gradient += distance * (response.correct - p);
+          hessian -= distance ** 2 * p * (1 - p);
+        }
+        const discrimination = clamp(item.discrimination - gradient / hessian, 0.2, 4);
+
+        maxChange = Math.max(maxChange, Math.abs(difficulty - item.difficulty), Math.abs(discrimination - item.discrimination));
+        item.difficulty = difficulty;
+        item.discrimination = discrimination;
+      }
+
+      converged = maxChange < this.tolerance;
+    }
+
+    // Standard error of b from the observed information at the final estimates
+    for (const [questionId, itemResponses] of byItem) {
+      const item = items.get(questionId);
+      if (!item.calibrated) continue;
+      const information = itemResponses.reduce((sum, response) => {
+        const p = this.probability(abilities.get(response.user), item.discrimination, item.difficulty);
+        return sum + item.discrimination ** 2 * p * (1 - p);
+      }, 1 / DIFFICULTY_PRIOR_SD ** 2);
+      item.standardError = Number((1 / Math.sqrt(information)).toFixed(3));
+      item.difficulty = Number(item.difficulty.toFixed(3));
+      item.discrimination = Number(item.discrimination.toFixed(3));
+    }
+
+    return { items, abilities, iterations, converged };
+  }
+
+  // Calibration fields for a question from its fit result
+  calibrationFor(question, item, calibratedAt = new Date()) {
+    if (!item) {
+      return { status: 'uncalibrated', responses: 0, labelMismatch: false, calibratedAt };
+    }
+    if (!item.calibrated) {
+      return {
+        status: 'insufficient_data',
+        responses: item.responses,
+        pValue: item.pValue,
+        labelMismatch: false,
+        calibratedAt,
+      };
+    }
+    const empiricalLabel = this.labelFor(item.difficulty);
+    return {
+      status: 'calibrated',
+      difficulty: item.difficulty,
+      discrimination: item.discrimination,
+      standardError: item.standardError,
+      responses: item.responses,
+      pValue: item.pValue,
+      empiricalLabel,
+      labelMismatch: empiricalLabel !== question.difficulty,
+      calibratedAt,
+    };
+  }
+}
+
+export default new IrtService();
@@ -0,0 +1,111 @@
+// Backend/services/itemAnalysis.service.js
+// Classical item analysis for option-based questions: how often each option is chosen,
+// overall and by the strongest and weakest learners
+import Question from '../models/Question.js';
+
+class ItemAnalysisService {
+  constructor() {
+    this.minResponses = 10; // below this, flags are withheld as too noisy
+    this.groupFraction = 0.27; // size of the upper and lower groups (Kelley's 27%)
+    this.rareThreshold = 0.05; // distractors chosen less often than this do no work
+    this.discriminationMargin = 0.1;
+  }
+
+  // First graded answer of each learner on the given version, so repeat reviews don't skew the counts
+  firstAnswers(question, version) {
+    const seen = new Set();
+    return [...question.userAnswers]
+      .filter(entry => entry.user && entry.questionVersion === version && !entry.timedOut
+        && entry.gradingStatus !== 'pending' && entry.gradingStatus !== 'failed')
+      .sort((a, b) => a.attemptedAt - b.attemptedAt)
+      .filter((entry) => {
+        const user = entry.user.toString();
+        if (seen.has(user)) return false;
+        seen.add(user);
+        return true;
+      });
+  }
+
+  // Average score of each learner on every other question, used to rank them independently of this item
+  async learnerAbilities(userIds, excludeQuestionId) {
+    if (!userIds.length) return new Map();
+    const rows = await Question.aggregate([
+      { $match: { _id: { $ne: excludeQuestionId }, 'userAnswers.user': { $in: userIds } } },
+      { $unwind: '$userAnswers' },
+      { $match: { 'userAnswers.user': { $in: userIds }, 'userAnswers.gradingStatus': { $nin: ['pending', 'failed'] } } },
+      {
+        $group: {
+          _id: '$userAnswers.user',
+          answered: { $sum: 1 },
+          score: { $avg: { $ifNull: ['$userAnswers.score', { $cond: ['$userAnswers.isCorrect', 1, 0] }] } },
+        },
+      },
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row.score]));
+  }
+
+  rate(count, total) {
+    return total ? Number((count / total).toFixed(3)) : null;
+  }
+
+  /**
+   * Option-by-option report for a multiple_choice or true_false question.
+   * abilities maps learner id -> score on other questions (see learnerAbilities).
+   */
+  analyze(question, answers, abilities) {
+    const respondents = answers.length;
+    const ranked = answers
+      .filter(entry => abilities.has(entry.user.toString()))
+      .sort((a, b) => abilities.get(b.user.toString()) - abilities.get(a.user.toString()));
+    const groupSize = Math.floor(ranked.length * this.groupFraction);
+    const hasGroups = ranked.length >= this.minResponses && groupSize > 0;
+    const upper = hasGroups ? ranked.slice(0, groupSize) : [];
+    const lower = hasGroups ? ranked.slice(-groupSize) : [];
+    const enoughData = respondents >= this.minResponses;
+
+    const chose = (entries, text) => entries.filter(entry => entry.answer === text).length;
+
+    const options = question.options.map((option) => {
+      const count = chose(answers, option.text);
+      const upperRate = hasGroups ? this.rate(chose(upper, option.text), upper.length) : null;
+      const lowerRate = hasGroups ? this.rate(chose(lower, option.text), lower.length) : null;
+      const discrimination = hasGroups ? Number((upperRate - lowerRate).toFixed(3)) : null;
+
+      const flags = [];
+      if (enoughData && !option.isCorrect && count / respondents < this.rareThreshold) flags.push('rarely_chosen');
+      if (hasGroups && !option.isCorrect && discrimination > this.discriminationMargin) flags.push('attracts_top_performers');
+      if (hasGroups && option.isCorrect && discrimination < 0) flags.push('avoided_by_top_performers');
+
+      return {
+        _id: option._id,
+        text: option.text,
+        isCorrect: option.isCorrect,
+        count,
+        rate: this.rate(count, respondents),
+        upperRate,
+        lowerRate,
+        discrimination,
+        flags,
+      };
+    });
+
+    const optionTexts = new Set(question.options.map(option => option.text));
+    const correct = entries => entries.filter(entry => entry.isCorrect).length;
+    const discriminationIndex = hasGroups
+      ? Number((this.rate(correct(upper), upper.length) - this.rate(correct(lower), lower.length)).toFixed(3))
+      : null;
+
+    return {
+      respondents,
+      pValue: this.rate(correct(answers), respondents),
+      discriminationIndex,
+      groupSize: hasGroups ? groupSize : 0,
+      unmatchedAnswers: answers.filter(entry => !optionTexts.has(entry.answer)).length,
+      enoughData,
+      options,
+      weakDistractors: options.filter(option => !option.isCorrect && option.flags.length).map(option => option._id),
+    };
+  }
+}
+
+export default new ItemAnalysisService();
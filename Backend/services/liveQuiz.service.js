@@ -0,0 +1,237 @@
+// Backend/services/liveQuiz.service.js
+// In-memory state for live multiplayer quiz rooms. Rooms live in this process only, so a
+// deployment with several API instances needs sticky sessions for the /live namespace.
+import crypto from 'crypto';
+import Question from '../models/Question.js';
+import GradingService from './grading.service.js';
+import ReviewService from './review.service.js';
+
+const LIVE_TYPES = ['multiple_choice', 'true_false', 'short_answer', 'fill_blank'];
+
+class LiveQuizService {
+  constructor() {
+    this.rooms = new Map(); // pin -> room
+    this.defaultTimeLimit = 20; // seconds per question when the question has none
+    this.maxPoints = 1000; // for an instant, fully correct answer
+    this.maxPlayers = 100;
+    this.lobbyTtl = 30 * 60 * 1000; // ms a room may wait in the lobby before it is closed
+  }
+
+  generatePin() {
+    let pin;
+    do {
+      pin = String(crypto.randomInt(100000, 1000000));
+    } while (this.rooms.has(pin));
+    return pin;
+  }
+
+  getRoom(pin) {
+    return this.rooms.get(String(pin)) || null;
+  }
+
+  /**
+   * Create a room from the host's questions for a video. Essays are left out because they
+   * cannot be graded while the round is running.
+   */
+  async createRoom(host, { videoId, questionIds, limit, timeLimit }) {
+    const filter = Question.learnerVisible({ user: host._id, video: videoId, type: { $in: LIVE_TYPES } });
+    if (questionIds?.length) filter._id = { $in: questionIds };
+
+    let query = Question.find(filter).sort({ timestamp: 1, createdAt: 1 }).select('_id');
+    if (limit) query = query.limit(limit);
+    const questions = await query;
+    if (!questions.length) throw new Error('No live-playable questions found for this video');
+
+    const room = {
+      pin: this.generatePin(),
+      host: host._id.toString(),
+      video: videoId,
+      questionIds: questions.map(q => q._id),
+      timeLimit: timeLimit || null,
+      status: 'lobby', // lobby -> question -> results -> ... -> finished
+      roundIndex: -1,
+      round: null,
+      players: new Map(), // userId -> { userId, nickname, score, streak, connected, socketId }
+      createdAt: new Date(),
+    };
+    this.rooms.set(room.pin, room);
+    return room;
+  }
+
+  addPlayer(room, user, { nickname, socketId }) {
+    const userId = user._id.toString();
+    const existing = room.players.get(userId);
+    if (existing) {
+      // Rejoining after a dropped connection keeps the score
+      existing.connected = true;
+      existing.socketId = socketId;
+      return existing;
+    }
+    if (room.status !== 'lobby') throw new Error('This game has already started');
+    if (room.players.size >= this.maxPlayers) throw new Error('Room is full');
+
+    const name = String(nickname || user.username || 'Player').trim().substring(0, 30) || 'Player';
+    const taken = [...room.players.values()].some(p => p.nickname.toLowerCase() === name.toLowerCase());
+    const player = {
+      userId,
+      nickname: taken ? `${name} ${room.players.size + 1}` : name,
+      score: 0,
+      streak: 0,
+      connected: true,
+      socketId,
+    };
+    room.players.set(userId, player);
+    return player;
+  }
+
+  playerList(room) {
+    return [...room.players.values()].map(({ userId, nickname, connected }) => ({ userId, nickname, connected }));
+  }
+
+  leaderboard(room) {
+    return [...room.players.values()]
+      .sort((a, b) => b.score - a.score || a.nickname.localeCompare(b.nickname))
+      .map((player, index) => ({
+        rank: index + 1,
+        userId: player.userId,
+        nickname: player.nickname,
+        score: player.score,
+        streak: player.streak,
+      }));
+  }
+
+  hasNextRound(room) {
+    return room.roundIndex + 1 < room.questionIds.length;
+  }
+
+  /**
+   * Open the next round, skipping questions retired, removed or sent back to review since the
+   * room was created. Resolves to the question as players should see it, or null when none of
+   * the remaining questions can be played.
+   */
+  async startRound(room) {
+    const remaining = room.questionIds.slice(room.roundIndex + 1);
+    const playable = new Set((await Question.find(Question.learnerVisible({ _id: { $in: remaining } })).distinct('_id'))
+      .map(id => id.toString()));
+    const skipped = remaining.findIndex(id => playable.has(id.toString()));
+    const question = skipped === -1 ? null : await Question.findById(remaining[skipped]).select('-userAnswers');
+    if (!question) {
+      room.roundIndex = room.questionIds.length - 1;
+      return null;
+    }
+    room.roundIndex += skipped + 1;
+
+    const timeLimit = room.timeLimit || question.timeLimit || this.defaultTimeLimit;
+    const startedAt = new Date();
+    room.status = 'question';
+    room.round = {
+      questionId: question._id,
+      questionVersion: question.version,
+      timeLimit,
+      startedAt,
+      endsAt: new Date(startedAt.getTime() + timeLimit * 1000),
+      answers: new Map(), // userId -> { answer, elapsed }
+    };
+    return { question: question.toLearnerJSON(), timeLimit, endsAt: room.round.endsAt };
+  }
+
+  // Accept a player's answer for the open round; returns an error message or null
+  submitAnswer(room, userId, answer, now = new Date()) {
+    if (room.status !== 'question' || !room.round) return 'No question is open';
+    if (!room.players.has(userId)) return 'You are not in this game';
+    if (room.round.answers.has(userId)) return 'You have already answered';
+    if (now > room.round.endsAt) return 'Time is up';
+    if (!GradingService.isAnswerValue(answer)) return 'Answer is required';
+
+    // Multi-select answers arrive as an array of option texts
+    const value = Array.isArray(answer) ? GradingService.selections(answer) : answer.trim();
+    room.round.answers.set(userId, { answer: value, elapsed: (now - room.round.startedAt) / 1000 });
+    return null;
+  }
+
+  allAnswered(room) {
+    const connected = [...room.players.values()].filter(p => p.connected);
+    return connected.length > 0 && connected.every(p => room.round.answers.has(p.userId));
+  }
+
+  // Faster answers keep more of the points; a correct answer at the buzzer still earns half
+  roundPoints(score, elapsed, timeLimit, weight = 1) {
+    if (!score) return 0;
+    const speed = 1 - Math.min(Math.max(elapsed / timeLimit, 0), 1) / 2;
+    return Math.round(this.maxPoints * weight * score * speed);
+  }
+
+  /**
+   * Close the open round: grade and persist every player's answer as a normal Question.userAnswers
+   * entry (players who didn't answer are recorded as timed out), then update scores.
+   */
+  async endRound(room) {
+    const round = room.round;
+    if (!round || room.status !== 'question') return null;
+    room.status = 'results';
+
+    const question = await Question.findById(round.questionId);
+    const results = [];
+    for (const player of room.players.values()) {
+      const submitted = round.answers.get(player.userId);
+      const timedOut = !submitted;
+      const timeSpent = Math.round(submitted ? submitted.elapsed : round.timeLimit);
+
+      let entry = null;
+      if (question) {
+        await question.recordAnswer(player.userId, submitted?.answer ?? null, timeSpent, {
+          timedOut,
+          questionVersion: round.questionVersion,
+        });
+        entry = question.userAnswers[question.userAnswers.length - 1];
+        await ReviewService.recordLatestAnswer(player.userId, question);
+      }
+
+      const score = entry?.score ?? 0;
+      const points = this.roundPoints(score, submitted?.elapsed ?? round.timeLimit, round.timeLimit, question?.points ?? 1);
+      player.score += points;
+      player.streak = entry?.isCorrect ? player.streak + 1 : 0;
+      results.push({
+        userId: player.userId,
+        nickname: player.nickname,
+        answer: submitted?.answer ?? null,
+        isCorrect: Boolean(entry?.isCorrect),
+        score,
+        points,
+        timedOut,
+        timeSpent,
+      });
+    }
+
+    const shown = question ? await question.atVersion(round.questionVersion) : null;
+    return {
+      questionId: round.questionId,
+      correctAnswer: shown ? shown.correctAnswerText() : null,
+      explanation: shown?.explanation || null,
+      timestamp: shown?.timestamp ?? null,
+      results,
+      leaderboard: this.leaderboard(room),
+    };
+  }
+
+  finish(room) {
+    room.status = 'finished';
+    room.round = null;
+    return this.leaderboard(room);
+  }
+
+  removeRoom(pin) {
+    this.rooms.delete(String(pin));
+  }
+
+  // Remove rooms whose game never started within lobbyTtl; returns the removed rooms so their
+  // players can be told
+  expireIdleLobbies(now = new Date()) {
+    const expired = [...this.rooms.values()]
+      .filter(room => room.status === 'lobby' && now - room.createdAt > this.lobbyTtl);
+    expired.forEach(room => this.removeRoom(room.pin));
+    return expired;
+  }
+}
+
+export default new LiveQuizService();
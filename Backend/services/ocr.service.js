@@ -0,0 +1,64 @@
+// Backend/services/ocr.service.js
+// OCR for uploaded images (slides, whiteboard photos) with tesseract.js. Keeps line and word
+// bounding boxes so clients can highlight where a question's source text sits on the image.
+import { createWorker } from 'tesseract.js';
+
+class OcrService {
+  constructor() {
+    this.defaultLanguage = process.env.OCR_LANGUAGES || 'eng';
+    this.minWordConfidence = 30; // tesseract's 0-100 scale; lower is usually noise from photo texture
+  }
+
+  bbox({ x0, y0, x1, y1 }) {
+    return { x0, y0, x1, y1 };
+  }
+
+  // Flatten tesseract's block > paragraph > line > word tree into lines with their words
+  lines(blocks) {
+    const lines = [];
+    for (const block of blocks || []) {
+      for (const paragraph of block.paragraphs || []) {
+        for (const line of paragraph.lines || []) {
+          const words = (line.words || [])
+            .filter(word => word.text.trim() && word.confidence >= this.minWordConfidence)
+            .map(word => ({
+              text: word.text,
+              confidence: Number(word.confidence.toFixed(1)),
+              bbox: this.bbox(word.bbox),
+            }));
+          if (!words.length) continue;
+          lines.push({
+            text: words.map(word => word.text).join(' '),
+            confidence: Number(line.confidence.toFixed(1)),
+            bbox: this.bbox(line.bbox),
+            words,
+          });
+        }
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Recognize the text in an image file.
+   * Resolves to { text, confidence (0-100), language, lines: [{ text, confidence, bbox, words }] }.
+   */
+  async recognize(filePath, { language = this.defaultLanguage } = {}) {
+    const options = process.env.TESSERACT_LANG_PATH ? { langPath: process.env.TESSERACT_LANG_PATH } : {};
+    const worker = await createWorker(language, undefined, options);
+    try {
+      const { data } = await worker.recognize(filePath, {}, { text: true, blocks: true });
+      const lines = this.lines(data.blocks);
+      return {
+        text: lines.map(line => line.text).join('\n'),
+        confidence: Number((data.confidence || 0).toFixed(1)),
+        language,
+        lines,
+      };
+    } finally {
+      await worker.terminate();
+    }
+  }
+}
+
+export default new OcrService();
@@ -0,0 +1,518 @@
+// Backend/services/qti.service.js
+// IMS QTI 2.1 content-package export and import for question banks
+import JSZip from 'jszip';
+import { XMLParser } from 'fast-xml-parser';
+
+const QTI_NS = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_XSD = 'http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd';
+const CP_NS = 'http://www.imsglobal.org/xsd/imscp_v1p1';
+const MD_NS = 'http://ltsc.ieee.org/xsd/LOM';
+const BLANK_PATTERN = /_{3,}/;
+// Decompressed size limits; a small upload can expand into gigabytes (a zip bomb)
+const MAX_ENTRY_BYTES = 5 * 1024 * 1024;
+const MAX_PACKAGE_BYTES = 50 * 1024 * 1024;
+
+const DIFFICULTY_TO_LOM = { easy: 'easy', medium: 'medium', hard: 'difficult' };
+const LOM_TO_DIFFICULTY = {
+  'very easy': 'easy', easy: 'easy', medium: 'medium', difficult: 'hard', 'very difficult': 'hard',
+};
+const CATEGORIES = ['comprehension', 'analysis', 'application', 'synthesis', 'evaluation'];
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+class QtiService {
+  constructor() {
+    // preserveOrder keeps mixed text/interaction content in itemBody intact
+    this.parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '',
+      removeNSPrefix: true,
+      preserveOrder: true,
+      trimValues: false,
+      parseTagValue: false,
+    });
+  }
+
+  itemIdentifier(question) {
+    return `item-${question._id}`;
+  }
+
+  // ---------- Export ----------
+
+  responseDeclaration(question) {
+    if (question.type === 'multiple_choice' || question.type === 'true_false') {
+      const correct = question.options
+        .map((opt, index) => (opt.isCorrect ? `choice-${index + 1}` : null))
+        .filter(Boolean);
+      const cardinality = correct.length > 1 ? 'multiple' : 'single';
+      return `  <responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="identifier">
+    <correctResponse>
+${correct.map(id => `      <value>${id}</value>`).join('\n')}
+    </correctResponse>
+  </responseDeclaration>`;
+    }
+
+    // Matching: prompt-i -> match-i pairs, each worth an equal share of the points
+    if (question.type === 'matching') {
+      const pairs = question.pairs || [];
+      const share = Number(((question.points ?? 1) / Math.max(pairs.length, 1)).toFixed(4));
+      return `  <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">
+    <correctResponse>
+${pairs.map((pair, index) => `      <value>prompt-${index + 1} match-${index + 1}</value>`).join('\n')}
+    </correctResponse>
+    <mapping defaultValue="0" lowerBound="0">
+${pairs.map((pair, index) => `      <mapEntry mapKey="prompt-${index + 1} match-${index + 1}" mappedValue="${share}"/>`).join('\n')}
+    </mapping>
+  </responseDeclaration>`;
+    }
+
+    if (question.type === 'ordering') {
+      return `  <responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">
+    <correctResponse>
+${(question.sequence || []).map((item, index) => `      <value>item-${index + 1}</value>`).join('\n')}
+    </correctResponse>
+  </responseDeclaration>`;
+    }
+
+    if (question.type === 'essay') {
+      const modelAnswer = question.correctAnswer
+        ? `\n    <correctResponse>\n      <value>${escapeXml(question.correctAnswer)}</value>\n    </correctResponse>\n  `
+        : '';
+      return `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">${modelAnswer}</responseDeclaration>`;
+    }
+
+    // short_answer / fill_blank: correctAnswer plus acceptedAnswers as a response mapping
+    const accepted = [question.correctAnswer, ...(question.acceptedAnswers || [])].filter(Boolean);
+    return `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse>
+      <value>${escapeXml(question.correctAnswer)}</value>
+    </correctResponse>
+    <mapping defaultValue="0">
+${accepted.map(answer => `      <mapEntry mapKey="${escapeXml(answer)}" mappedValue="${question.points ?? 1}" caseSensitive="false"/>`).join('\n')}
+    </mapping>
+  </responseDeclaration>`;
+  }
+
+  itemBody(question) {
+    const prompt = escapeXml(question.question);
+
+    if (question.type === 'multiple_choice' || question.type === 'true_false') {
+      const correctCount = question.options.filter(opt => opt.isCorrect).length;
+      const choices = question.options
+        .map((opt, index) => `      <simpleChoice identifier="choice-${index + 1}">${escapeXml(opt.text)}</simpleChoice>`)
+        .join('\n');
+      return `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${correctCount > 1 ? 0 : 1}">
+      <prompt>${prompt}</prompt>
+${choices}
+    </choiceInteraction>`;
+    }
+
+    if (question.type === 'matching') {
+      const pairs = question.pairs || [];
+      const set = (prefix, field) => pairs
+        .map((pair, index) => `        <simpleAssociableChoice identifier="${prefix}-${index + 1}" matchMax="1">${escapeXml(pair[field])}</simpleAssociableChoice>`)
+        .join('\n');
+      return `    <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${pairs.length}">
+      <prompt>${prompt}</prompt>
+      <simpleMatchSet>
+${set('prompt', 'prompt')}
+      </simpleMatchSet>
+      <simpleMatchSet>
+${set('match', 'match')}
+      </simpleMatchSet>
+    </matchInteraction>`;
+    }
+
+    if (question.type === 'ordering') {
+      const items = (question.sequence || [])
+        .map((item, index) => `      <simpleChoice identifier="item-${index + 1}">${escapeXml(item)}</simpleChoice>`)
+        .join('\n');
+      return `    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">
+      <prompt>${prompt}</prompt>
+${items}
+    </orderInteraction>`;
+    }
+
+    if (question.type === 'essay') {
+      const rubric = question.rubric?.length
+        ? `    <rubricBlock view="scorer">
+      <ul>
+${question.rubric.map(r => `        <li data-max-points="${r.maxPoints}"><strong>${escapeXml(r.criterion)}</strong>${r.description ? `: ${escapeXml(r.description)}` : ''}</li>`).join('\n')}
+      </ul>
+    </rubricBlock>\n`
+        : '';
+      return `${rubric}    <extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="10">
+      <prompt>${prompt}</prompt>
+    </extendedTextInteraction>`;
+    }
+
+    const entry = `<textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${Math.max(15, (question.correctAnswer || '').length + 5)}"/>`;
+    if (question.type === 'fill_blank') {
+      // The blank sits inline in the sentence; without a marker it goes at the end of the sentence
+      const [before, ...after] = question.question.split(BLANK_PATTERN);
+      return after.length
+        ? `    <p>${escapeXml(before)}${entry}${escapeXml(after.join('_____'))}</p>`
+        : `    <p>${prompt} ${entry}</p>`;
+    }
+    return `    <p>${prompt}</p>\n    <p>${entry}</p>`;
+  }
+
+  buildItem(question) {
+    const template = question.type === 'essay'
+      ? ''
+      : ['short_answer', 'fill_blank', 'matching'].includes(question.type)
+        ? '  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response"/>\n'
+        : '  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>\n';
+    const feedback = question.explanation
+      ? `  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${escapeXml(question.explanation)}</modalFeedback>\n`
+      : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${QTI_NS} ${QTI_XSD}"
+  identifier="${this.itemIdentifier(question)}" title="${escapeXml(question.question.substring(0, 100))}"
+  adaptive="false" timeDependent="${question.timeLimit ? 'true' : 'false'}" toolName="VidQuizzer" toolVersion="1.0">
+${this.responseDeclaration(question)}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue><value>${question.points ?? 1}</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+${this.itemBody(question)}
+  </itemBody>
+${template}${feedback}</assessmentItem>
+`;
+  }
+
+  resourceMetadata(question) {
+    return `      <metadata>
+        <lom xmlns="${MD_NS}">
+          <educational>
+            <difficulty>
+              <source>LOMv1.0</source>
+              <value>${DIFFICULTY_TO_LOM[question.difficulty] || 'medium'}</value>
+            </difficulty>
+          </educational>
+          <classification>
+            <purpose>
+              <source>LOMv1.0</source>
+              <value>educational objective</value>
+            </purpose>
+            <taxonPath>
+              <source><string>Bloom</string></source>
+              <taxon><entry><string>${escapeXml(question.category || 'comprehension')}</string></entry></taxon>
+            </taxonPath>
+          </classification>
+        </lom>
+      </metadata>`;
+  }
+
+  buildManifest(questions, title) {
+    const resources = questions.map(question => `    <resource identifier="res-${question._id}" type="imsqti_item_xmlv2p1" href="items/${this.itemIdentifier(question)}.xml">
+${this.resourceMetadata(question)}
+      <file href="items/${this.itemIdentifier(question)}.xml"/>
+    </resource>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="${CP_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${CP_NS} http://www.imsglobal.org/xsd/imscp_v1p2.xsd"
+  identifier="manifest-${Date.now()}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+    <lom xmlns="${MD_NS}"><general><title><string>${escapeXml(title)}</string></title></general></lom>
+  </metadata>
+  <organizations/>
+  <resources>
+${resources}
+  </resources>
+</manifest>
+`;
+  }
+
+  async exportPackage(questions, { title = 'VidQuizzer question bank' } = {}) {
+    const zip = new JSZip();
+    zip.file('imsmanifest.xml', this.buildManifest(questions, title));
+    questions.forEach((question) => {
+      zip.file(`items/${this.itemIdentifier(question)}.xml`, this.buildItem(question));
+    });
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  // ---------- Import ----------
+
+  tagName(node) {
+    return Object.keys(node).find(key => key !== ':@');
+  }
+
+  attrs(node) {
+    return node[':@'] || {};
+  }
+
+  // Depth-first search for elements with the given tag name
+  findAll(nodes, tag, results = []) {
+    for (const node of nodes || []) {
+      const name = this.tagName(node);
+      if (!name || name === '#text') continue;
+      if (name === tag) results.push(node);
+      this.findAll(node[name], tag, results);
+    }
+    return results;
+  }
+
+  findOne(nodes, tag) {
+    return this.findAll(nodes, tag)[0] || null;
+  }
+
+  children(node) {
+    return node ? node[this.tagName(node)] || [] : [];
+  }
+
+  textOf(nodes) {
+    return (nodes || []).map((node) => {
+      const name = this.tagName(node);
+      if (name === '#text') return node['#text'];
+      return this.textOf(node[name]);
+    }).join('');
+  }
+
+  cleanText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  values(node) {
+    return this.findAll(this.children(node), 'value').map(v => this.cleanText(this.textOf(this.children(v))));
+  }
+
+  // Text of the element containing an inline interaction, with the interaction replaced by a blank
+  inlineText(nodes, interactionTag) {
+    for (const node of nodes || []) {
+      const name = this.tagName(node);
+      if (!name || name === '#text') continue;
+      const kids = node[name];
+      if (kids.some(child => this.tagName(child) === interactionTag)) {
+        const text = kids.map((child) => {
+          const childName = this.tagName(child);
+          if (childName === interactionTag) return ' _____ ';
+          return childName === '#text' ? child['#text'] : this.textOf(child[childName]);
+        }).join('');
+        return { text: this.cleanText(text), inline: kids.some(child => this.tagName(child) === '#text' && child['#text'].trim()) };
+      }
+      const found = this.inlineText(kids, interactionTag);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  parseItem(xml, metadata = {}) {
+    const doc = this.parser.parse(xml);
+    const item = this.findOne(doc, 'assessmentItem');
+    if (!item) throw new Error('No assessmentItem element');
+
+    const body = this.findOne(this.children(item), 'itemBody');
+    const response = this.findOne(this.children(item), 'responseDeclaration');
+    const correctResponse = response ? this.findOne(this.children(response), 'correctResponse') : null;
+    const correctValues = correctResponse ? this.values(correctResponse) : [];
+    const maxScore = this.findAll(this.children(item), 'outcomeDeclaration')
+      .find(o => this.attrs(o).identifier === 'MAXSCORE');
+    const feedback = this.findAll(this.children(item), 'modalFeedback')
+      .map(f => this.cleanText(this.textOf(this.children(f))))
+      .filter(Boolean)
+      .join(' ');
+
+    const question = {
+      explanation: feedback || undefined,
+      points: maxScore ? Number(this.values(maxScore)[0]) || 1 : 1,
+      difficulty: metadata.difficulty || 'medium',
+      category: metadata.category || 'comprehension',
+    };
+
+    const choice = this.findOne(this.children(body), 'choiceInteraction');
+    if (choice) {
+      const choices = this.findAll(this.children(choice), 'simpleChoice');
+      question.question = this.cleanText(this.textOf(this.children(this.findOne(this.children(choice), 'prompt'))))
+        || this.cleanText(this.textOf(this.children(body).filter(n => this.tagName(n) !== 'choiceInteraction')));
+      question.options = choices.map(c => ({
+        text: this.cleanText(this.textOf(this.children(c))),
+        isCorrect: correctValues.includes(this.attrs(c).identifier),
+      }));
+      const isTrueFalse = question.options.length === 2
+        && question.options.map(o => o.text.toLowerCase()).sort().join('|') === 'false|true';
+      question.type = isTrueFalse ? 'true_false' : 'multiple_choice';
+      return question;
+    }
+
+    const match = this.findOne(this.children(body), 'matchInteraction');
+    if (match) {
+      const [sources, targets] = this.findAll(this.children(match), 'simpleMatchSet')
+        .map(set => new Map(this.findAll(this.children(set), 'simpleAssociableChoice')
+          .map(c => [this.attrs(c).identifier, this.cleanText(this.textOf(this.children(c)))])));
+      if (!sources || !targets) throw new Error('Matching interaction needs two match sets');
+      question.type = 'matching';
+      question.question = this.cleanText(this.textOf(this.children(this.findOne(this.children(match), 'prompt'))))
+        || this.cleanText(this.textOf(this.children(body).filter(n => this.tagName(n) !== 'matchInteraction')));
+      question.pairs = correctValues.map((value) => {
+        const [source, target] = value.split(/\s+/);
+        return { prompt: sources.get(source), match: targets.get(target) };
+      }).filter(pair => pair.prompt && pair.match);
+      return question;
+    }
+
+    const order = this.findOne(this.children(body), 'orderInteraction');
+    if (order) {
+      const items = new Map(this.findAll(this.children(order), 'simpleChoice')
+        .map(c => [this.attrs(c).identifier, this.cleanText(this.textOf(this.children(c)))]));
+      question.type = 'ordering';
+      question.question = this.cleanText(this.textOf(this.children(this.findOne(this.children(order), 'prompt'))))
+        || this.cleanText(this.textOf(this.children(body).filter(n => this.tagName(n) !== 'orderInteraction')));
+      question.sequence = correctValues.map(id => items.get(id)).filter(Boolean);
+      return question;
+    }
+
+    const extended = this.findOne(this.children(body), 'extendedTextInteraction');
+    if (extended) {
+      question.type = 'essay';
+      question.question = this.cleanText(this.textOf(this.children(this.findOne(this.children(extended), 'prompt'))))
+        || this.cleanText(this.textOf(this.children(body).filter(n => !['extendedTextInteraction', 'rubricBlock'].includes(this.tagName(n)))));
+      if (correctValues[0]) question.correctAnswer = correctValues[0];
+      const rubricBlock = this.findOne(this.children(body), 'rubricBlock');
+      if (rubricBlock) {
+        question.rubric = this.findAll(this.children(rubricBlock), 'li').map((li) => {
+          const [criterion, ...description] = this.cleanText(this.textOf(this.children(li))).split(':');
+          return {
+            criterion: criterion.trim(),
+            description: description.join(':').trim() || undefined,
+            maxPoints: Number(this.attrs(li)['data-max-points']) || 1,
+          };
+        }).filter(r => r.criterion);
+      }
+      return question;
+    }
+
+    if (this.findOne(this.children(body), 'textEntryInteraction')) {
+      const { text, inline } = this.inlineText(this.children(body), 'textEntryInteraction');
+      const mapped = response
+        ? this.findAll(this.children(response), 'mapEntry').map(e => this.attrs(e).mapKey).filter(Boolean)
+        : [];
+      const [correctAnswer] = correctValues.length ? correctValues : mapped;
+      question.correctAnswer = correctAnswer;
+      question.acceptedAnswers = [...new Set(mapped.filter(answer => answer !== correctAnswer))];
+
+      if (inline) {
+        question.type = 'fill_blank';
+        question.question = text;
+      } else {
+        question.type = 'short_answer';
+        question.question = this.cleanText(this.textOf(this.children(body).filter(n => !this.findOne([n], 'textEntryInteraction'))));
+      }
+      return question;
+    }
+
+    throw new Error('Unsupported interaction type');
+  }
+
+  // Map resource href -> { difficulty, category } from the manifest's LOM metadata
+  parseManifest(xml) {
+    const doc = this.parser.parse(xml);
+    const resources = this.findAll(doc, 'resource');
+    return resources
+      .filter(r => (this.attrs(r).type || '').startsWith('imsqti_item'))
+      .map((resource) => {
+        const educational = this.findOne(this.children(resource), 'difficulty');
+        const lomDifficulty = educational ? this.values(educational)[0]?.toLowerCase() : null;
+        const taxon = this.findOne(this.children(resource), 'taxon');
+        const category = taxon ? this.cleanText(this.textOf(this.children(taxon))).toLowerCase() : null;
+        return {
+          href: this.attrs(resource).href,
+          difficulty: LOM_TO_DIFFICULTY[lomDifficulty] || 'medium',
+          category: CATEGORIES.includes(category) ? category : 'comprehension',
+        };
+      });
+  }
+
+  /**
+   * Decompress one zip entry as text, giving up once it passes MAX_ENTRY_BYTES. The size in the
+   * zip's own header is checked first, but the header can lie, so the output is counted as well.
+   */
+  readEntry(file) {
+    if ((file._data?.uncompressedSize || 0) > MAX_ENTRY_BYTES) {
+      return Promise.reject(new Error(`File is larger than ${MAX_ENTRY_BYTES / (1024 * 1024)} MB uncompressed`));
+    }
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      const stream = file.nodeStream('nodebuffer');
+      stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_ENTRY_BYTES) {
+          stream.destroy();
+          reject(new Error(`File is larger than ${MAX_ENTRY_BYTES / (1024 * 1024)} MB uncompressed`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      stream.on('error', reject);
+    });
+  }
+
+  // Returns { questions, errors } with plain question objects ready for the Question model
+  async importPackage(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const declaredSize = Object.values(zip.files).reduce((sum, file) => sum + (file._data?.uncompressedSize || 0), 0);
+    if (declaredSize > MAX_PACKAGE_BYTES) {
+      throw new Error(`Package is larger than ${MAX_PACKAGE_BYTES / (1024 * 1024)} MB uncompressed`);
+    }
+
+    const manifestFile = zip.file(/(^|\/)imsmanifest\.xml$/i)[0];
+    const baseDir = manifestFile ? manifestFile.name.replace(/imsmanifest\.xml$/i, '') : '';
+
+    let entries;
+    if (manifestFile) {
+      entries = this.parseManifest(await this.readEntry(manifestFile))
+        .map(resource => ({ ...resource, file: zip.file(`${baseDir}${resource.href}`) }));
+    } else {
+      // Loose item files without a manifest
+      entries = zip.file(/\.xml$/i).map(file => ({ href: file.name, file }));
+    }
+
+    const questions = [];
+    const errors = [];
+    let readSize = 0;
+    for (const entry of entries) {
+      if (!entry.file) {
+        errors.push({ file: entry.href, error: 'File listed in manifest is missing' });
+        continue;
+      }
+      let xml;
+      try {
+        xml = await this.readEntry(entry.file);
+      } catch (error) {
+        errors.push({ file: entry.href, error: error.message });
+        continue;
+      }
+      // Headers can understate sizes, so the total actually read is capped too
+      readSize += xml.length;
+      if (readSize > MAX_PACKAGE_BYTES) {
+        throw new Error(`Package is larger than ${MAX_PACKAGE_BYTES / (1024 * 1024)} MB uncompressed`);
+      }
+      try {
+        if (!xml.includes('assessmentItem')) continue;
+        questions.push({ ...this.parseItem(xml, entry), source: entry.href });
+      } catch (error) {
+        errors.push({ file: entry.href, error: error.message });
+      }
+    }
+    return { questions, errors };
+  }
+}
+
+export default new QtiService();
@@ -0,0 +1,140 @@
+// Backend/services/review.service.js
+import ReviewSchedule from '../models/ReviewSchedule.js';
+import Question from '../models/Question.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReviewService {
+  constructor() {
+    this.defaultEaseFactor = 2.5;
+    this.minEaseFactor = 1.3;
+  }
+
+  // Map an answer to an SM-2 recall quality (0-5) using correctness and response time
+  qualityFromAnswer({ isCorrect, timedOut, timeSpent }, referenceTime) {
+    if (timedOut) return 0;
+    if (!isCorrect) return 1;
+    if (!referenceTime || !timeSpent) return 4;
+    if (timeSpent <= referenceTime * 0.5) return 5;
+    if (timeSpent <= referenceTime) return 4;
+    return 3;
+  }
+
+  // Apply one SM-2 step to a schedule state and return the new state
+  applySm2(state, quality, reviewedAt = new Date()) {
+    let { easeFactor = this.defaultEaseFactor, interval = 0, repetitions = 0 } = state;
+
+    if (quality >= 3) {
+      if (repetitions === 0) interval = 1;
+      else if (repetitions === 1) interval = 6;
+      else interval = Math.round(interval * easeFactor);
+      repetitions += 1;
+    } else {
+      repetitions = 0;
+      interval = 1;
+    }
+
+    easeFactor = Math.max(
+      this.minEaseFactor,
+      easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    return {
+      easeFactor: Number(easeFactor.toFixed(2)),
+      interval,
+      repetitions,
+      dueAt: new Date(reviewedAt.getTime() + interval * DAY_MS),
+      lastReviewedAt: reviewedAt,
+      lastQuality: quality,
+    };
+  }
+
+  referenceTime(question) {
+    return question.timeLimit || question.statistics?.averageTime || null;
+  }
+
+  // Replay a user's answer history on a question to rebuild their schedule
+  replayHistory(question, userId, excludeEntryId = null) {
+    const history = (question.userAnswers || [])
+      .filter(entry => entry.user?.toString() === userId.toString())
+      .filter(entry => !excludeEntryId || entry._id?.toString() !== excludeEntryId.toString())
+      .sort((a, b) => new Date(a.attemptedAt) - new Date(b.attemptedAt));
+
+    let state = { easeFactor: this.defaultEaseFactor, interval: 0, repetitions: 0 };
+    for (const entry of history) {
+      const quality = this.qualityFromAnswer(entry, this.referenceTime(question));
+      state = this.applySm2(state, quality, new Date(entry.attemptedAt));
+    }
+    return { ...state, reviewCount: history.length };
+  }
+
+  // Update the user's schedule for a question after a new answer
+  async recordReview(userId, question, answerEntry) {
+    let schedule = await ReviewSchedule.findOne({ user: userId, question: question._id });
+    const created = !schedule;
+    if (created) {
+      // First scheduled review: rebuild from everything answered before this entry
+      schedule = new ReviewSchedule({
+        user: userId,
+        question: question._id,
+        ...this.replayHistory(question, userId, answerEntry._id),
+      });
+    }
+
+    const quality = this.qualityFromAnswer(answerEntry, this.referenceTime(question));
+    Object.assign(schedule, this.applySm2(schedule, quality, new Date(answerEntry.attemptedAt || Date.now())));
+    schedule.reviewCount += 1;
+    try {
+      return await schedule.save();
+    } catch (error) {
+      // Another first answer (or a backfill) created the schedule in between; apply this one on top of it
+      if (!created || error.code !== 11000) throw error;
+      return this.recordReview(userId, question, answerEntry);
+    }
+  }
+
+  // Schedule the answer question.recordAnswer just added. Pending essays are scheduled by the
+  // grading job instead; an ungraded answer says nothing about recall
+  async recordLatestAnswer(userId, question) {
+    const entry = question.userAnswers[question.userAnswers.length - 1];
+    if (!entry || entry.gradingStatus === 'pending') return null;
+    return this.recordReview(userId, question, entry);
+  }
+
+  // Create schedules for questions the user answered before the scheduler existed
+  async backfillSchedules(userId) {
+    const scheduled = await ReviewSchedule.find({ user: userId }).distinct('question');
+    const questions = await Question.find({
+      _id: { $nin: scheduled },
+      ...Question.learnerVisible({ 'userAnswers.user': userId }),
+    });
+
+    if (!questions.length) return 0;
+    // Upserts, so a concurrent backfill (or a first answer) creating the same schedule is not an error
+    await ReviewSchedule.bulkWrite(questions.map(question => ({
+      updateOne: {
+        filter: { user: userId, question: question._id },
+        update: { $setOnInsert: this.replayHistory(question, userId) },
+        upsert: true,
+      },
+    })), { ordered: false });
+    return questions.length;
+  }
+
+  async getDueQueue(userId, { limit = 20, now = new Date() } = {}) {
+    await this.backfillSchedules(userId);
+
+    // Drop retired and unapproved questions before limiting, so they don't leave the queue short
+    const dueFilter = { user: userId, dueAt: { $lte: now } };
+    const dueQuestions = await ReviewSchedule.find(dueFilter).distinct('question');
+    const visible = await Question.find(Question.learnerVisible({ _id: { $in: dueQuestions } })).distinct('_id');
+
+    const schedules = await ReviewSchedule.find({ ...dueFilter, question: { $in: visible } })
+      .sort({ dueAt: 1 })
+      .limit(limit)
+      .populate('question');
+    return schedules.filter(schedule => schedule.question);
+  }
+}
+
+export default new ReviewService();
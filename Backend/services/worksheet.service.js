@@ -0,0 +1,236 @@
+// Backend/services/worksheet.service.js
+// Printable worksheets and answer keys (PDF) for classroom use. Several lettered versions can be
+// produced from one question set, each with its own question and option order; the order is
+// derived from a seed so the same versions can be printed again later.
+import PDFDocument from 'pdfkit';
+import GradingService from './grading.service.js';
+
+const VARIANT_LETTERS = ['A', 'B', 'C', 'D', 'E'];
+const OPTION_LETTERS = 'ABCDEFGHIJ';
+// Writing lines per free-text question type
+const ANSWER_LINES = { short_answer: 2, fill_blank: 1, essay: 8 };
+// Printed after the stem of question types answered by writing letters or numbers on blanks
+const INSTRUCTIONS = {
+  matching: 'Write the letter of the matching item on each line.',
+  ordering: 'Number the items in the correct order.',
+};
+
+// Small deterministic PRNG (mulberry32)
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+class WorksheetService {
+  constructor() {
+    this.maxVariants = VARIANT_LETTERS.length;
+    this.margin = 50;
+  }
+
+  shuffle(items, random) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+  }
+
+  formatTimestamp(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  }
+
+  // Lettered choices: options, the matches of a matching question, or the items to order.
+  // True/false questions saved without options still print both choices.
+  optionsOf(question) {
+    if (question.type === 'matching') return (question.pairs || []).map(pair => ({ text: pair.match }));
+    if (question.type === 'ordering') return (question.sequence || []).map(text => ({ text }));
+    if (question.options?.length) return question.options.map(opt => ({ text: opt.text, isCorrect: opt.isCorrect }));
+    if (question.type === 'true_false') {
+      const answer = String(question.correctAnswer || '').trim().toLowerCase();
+      return [{ text: 'True', isCorrect: answer === 'true' }, { text: 'False', isCorrect: answer === 'false' }];
+    }
+    return [];
+  }
+
+  /**
+   * One lettered version of the worksheet: questions numbered in print order, options lettered.
+   * Version A of a single-version worksheet keeps the original order.
+   */
+  buildVariant(questions, index, { seed, shuffle }) {
+    const random = seededRandom(seed + index * 7919);
+    const ordered = shuffle ? this.shuffle(questions, random) : questions;
+    return {
+      letter: VARIANT_LETTERS[index],
+      items: ordered.map((question, position) => {
+        const options = this.optionsOf(question);
+        // True/false keeps True before False; matches and items to order are always shuffled,
+        // since their stored order is the answer
+        const listType = question.type === 'matching' || question.type === 'ordering';
+        const printed = listType || (shuffle && question.type !== 'true_false') ? this.shuffle(options, random) : options;
+        return {
+          number: position + 1,
+          question,
+          options: printed.map((option, optionIndex) => ({ ...option, letter: OPTION_LETTERS[optionIndex] })),
+        };
+      }),
+    };
+  }
+
+  answerText(item) {
+    const { question } = item;
+    const letterOf = text => item.options.find(opt => opt.text === text)?.letter;
+    if (question.type === 'matching') {
+      return question.pairs.map(pair => `${pair.prompt}: ${letterOf(pair.match)}`).join('; ');
+    }
+    if (question.type === 'ordering') return question.sequence.map(letterOf).join(', ');
+    if (item.options.length) {
+      return item.options.filter(opt => opt.isCorrect).map(opt => `${opt.letter}. ${opt.text}`).join('; ');
+    }
+    if (question.type === 'essay') return question.correctAnswer || 'Graded with the rubric';
+    const accepted = (question.acceptedAnswers || []).filter(Boolean);
+    return [question.correctAnswer, ...accepted].filter(Boolean).join(' / ');
+  }
+
+  sourceText(question) {
+    if (question.page) return `page ${question.page}`;
+    if (question.timestamp !== null && question.timestamp !== undefined) return this.formatTimestamp(question.timestamp);
+    return null;
+  }
+
+  // Start a new page when the next block would not fit in what is left of this one
+  ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - this.margin) doc.addPage();
+  }
+
+  header(doc, title, subtitle) {
+    const width = doc.page.width - this.margin * 2;
+    doc.font('Helvetica-Bold').fontSize(16).text(title, this.margin, this.margin, { width: width - 80 });
+    doc.font('Helvetica').fontSize(11).text(subtitle, this.margin, this.margin, { width, align: 'right' });
+    doc.moveDown(1.5);
+  }
+
+  renderWorksheet(doc, title, variant) {
+    const width = doc.page.width - this.margin * 2;
+    this.header(doc, title, `Version ${variant.letter}`);
+    doc.font('Helvetica').fontSize(11)
+      .text('Name: ________________________________     Date: ______________', this.margin);
+    doc.moveDown(1.5);
+
+    for (const item of variant.items) {
+      const { question } = item;
+      const points = question.points && question.points !== 1 ? ` (${question.points} pts)` : '';
+      const selectAll = GradingService.isMultiSelect(question) ? ' (Select all that apply)' : '';
+      const stem = `${item.number}. ${question.question}${selectAll}${points}`;
+      const lines = ANSWER_LINES[question.type] || 0;
+      // Matching prompts get a blank for a letter; items to order get a blank for their position
+      const prompts = question.type === 'matching' ? question.pairs.map(pair => `______  ${pair.prompt}`) : [];
+      const optionLabel = opt => `${question.type === 'ordering' ? '______  ' : ''}${opt.letter}. ${opt.text}`;
+      const instruction = INSTRUCTIONS[question.type];
+      doc.font('Helvetica-Bold').fontSize(11);
+      const stemHeight = doc.heightOfString(stem, { width });
+      doc.font('Helvetica');
+      const blockHeight = [instruction, ...prompts, ...item.options.map(optionLabel)].filter(Boolean)
+        .reduce((sum, text) => sum + doc.heightOfString(text, { width: width - 20 }) + 2, 0);
+      this.ensureSpace(doc, stemHeight + blockHeight + lines * 22 + 16);
+
+      doc.font('Helvetica-Bold').text(stem, this.margin, doc.y, { width });
+      doc.font('Helvetica').moveDown(0.3);
+      if (instruction) {
+        doc.font('Helvetica-Oblique').text(instruction, this.margin + 20, doc.y, { width: width - 20 });
+        doc.font('Helvetica').moveDown(0.3);
+      }
+      for (const prompt of prompts) {
+        doc.text(prompt, this.margin + 20, doc.y, { width: width - 20 });
+        doc.moveDown(0.15);
+      }
+      if (prompts.length) doc.moveDown(0.3);
+      for (const option of item.options) {
+        doc.text(optionLabel(option), this.margin + 20, doc.y, { width: width - 20 });
+        doc.moveDown(0.15);
+      }
+      for (let i = 0; i < lines; i++) {
+        const y = doc.y + 18;
+        doc.moveTo(this.margin + 20, y).lineTo(this.margin + width, y).lineWidth(0.5).strokeColor('#999999').stroke();
+        doc.y = y + 4;
+      }
+      doc.strokeColor('#000000');
+      doc.x = this.margin;
+      doc.moveDown(1);
+    }
+  }
+
+  renderKey(doc, title, variant, seed) {
+    const width = doc.page.width - this.margin * 2;
+    this.header(doc, `${title}: Answer Key`, `Version ${variant.letter}`);
+
+    for (const item of variant.items) {
+      const { question } = item;
+      const answer = `${item.number}. ${this.answerText(item)}`;
+      const source = this.sourceText(question);
+      const details = [question.explanation, source && `Source: ${source}`].filter(Boolean).join('\n');
+      doc.font('Helvetica-Bold').fontSize(11);
+      const answerHeight = doc.heightOfString(answer, { width });
+      doc.font('Helvetica').fontSize(9);
+      const detailsHeight = details ? doc.heightOfString(details, { width: width - 20 }) : 0;
+      this.ensureSpace(doc, answerHeight + detailsHeight + 12);
+
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('#000000').text(answer, this.margin, doc.y, { width });
+      if (details) {
+        doc.font('Helvetica').fontSize(9).fillColor('#444444').text(details, this.margin + 20, doc.y, { width: width - 20 });
+      }
+      doc.fillColor('#000000');
+      doc.x = this.margin;
+      doc.moveDown(0.6);
+    }
+
+    doc.moveDown(1).font('Helvetica').fontSize(8).fillColor('#777777')
+      .text(`Seed ${seed}: print again with the same seed to reproduce these versions.`, this.margin, doc.y, { width });
+    doc.fillColor('#000000');
+  }
+
+  /**
+   * Render worksheets and/or answer keys as one PDF.
+   * part is 'worksheet', 'key' or 'both' (all worksheets first, then all keys, each on new pages).
+   * Resolves to { buffer, seed, variants: [letters] }.
+   */
+  render({ title, questions, variants = 1, seed, part = 'both', paper = 'A4' }) {
+    const usedSeed = Number.isInteger(seed) ? seed : Math.floor(Math.random() * 1e9);
+    const shuffle = variants > 1;
+    const built = Array.from({ length: Math.min(variants, this.maxVariants) }, (_, index) => (
+      this.buildVariant(questions, index, { seed: usedSeed, shuffle })
+    ));
+
+    const doc = new PDFDocument({ size: paper, margin: this.margin, info: { Title: title } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const pages = [
+      ...(part === 'key' ? [] : built.map(variant => () => this.renderWorksheet(doc, title, variant))),
+      ...(part === 'worksheet' ? [] : built.map(variant => () => this.renderKey(doc, title, variant, usedSeed))),
+    ];
+    pages.forEach((renderPage, index) => {
+      if (index > 0) doc.addPage();
+      renderPage();
+    });
+    doc.end();
+
+    return done.then(buffer => ({ buffer, seed: usedSeed, variants: built.map(variant => variant.letter) }));
+  }
+}
+
+export default new WorksheetService();
@@ -0,0 +1,220 @@
+// sockets/liveQuiz.socket.js
+// Live multiplayer quiz rooms on the /live namespace. The host creates a room from a video's
+// questions and advances rounds; players join with the room PIN and answer against the clock.
+import { Server } from 'socket.io';
+import mongoose from 'mongoose';
+import LiveQuizService from '../services/liveQuiz.service.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+
+// Seconds after the countdown before a round is closed, to absorb network latency
+const ROUND_GRACE = 1;
+// How often idle lobbies are swept (ms)
+const LOBBY_SWEEP_INTERVAL = 60 * 1000;
+
+const channel = pin => `room:${pin}`;
+
+// Acknowledge in the same { success, message, data } shape as the REST API
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+export const initLiveQuiz = (server) => {
+  const io = new Server(server, {
+    cors: {
+      origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+      credentials: true,
+    },
+  });
+  const live = io.of('/live');
+  live.use(authMiddleware.authenticateSocket);
+
+  const closeRound = async (room) => {
+    clearTimeout(room.timer);
+    room.timer = null;
+    try {
+      const results = await LiveQuizService.endRound(room);
+      if (!results) return;
+      live.to(channel(room.pin)).emit('round:results', {
+        index: room.roundIndex,
+        total: room.questionIds.length,
+        hasNext: LiveQuizService.hasNextRound(room),
+        ...results,
+      });
+    } catch (error) {
+      console.error(`Error closing round in live room ${room.pin}:`, error);
+      live.to(channel(room.pin)).emit('room:error', { message: 'Error scoring this round' });
+    }
+  };
+
+  const finishGame = (room) => {
+    clearTimeout(room.timer);
+    const leaderboard = LiveQuizService.finish(room);
+    live.to(channel(room.pin)).emit('game:finished', { leaderboard });
+    LiveQuizService.removeRoom(room.pin);
+    live.in(channel(room.pin)).socketsLeave(channel(room.pin));
+  };
+
+  // Rooms whose host never started the game would otherwise stay in memory for good
+  setInterval(() => {
+    for (const room of LiveQuizService.expireIdleLobbies()) {
+      live.to(channel(room.pin)).emit('room:closed', { message: 'The game was never started' });
+      live.in(channel(room.pin)).socketsLeave(channel(room.pin));
+    }
+  }, LOBBY_SWEEP_INTERVAL).unref();
+
+  live.on('connection', (socket) => {
+    const userId = socket.user._id.toString();
+
+    // Host: create a room from the host's own questions for a video
+    socket.on('host:create', async (payload = {}, ack) => {
+      try {
+        const { videoId, questionIds, limit, timeLimit } = payload;
+        if (!mongoose.Types.ObjectId.isValid(videoId)) {
+          return reply(ack, { success: false, message: 'Invalid video ID' });
+        }
+        if (questionIds !== undefined && (!Array.isArray(questionIds) || !questionIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+          return reply(ack, { success: false, message: 'questionIds must be an array of question IDs' });
+        }
+        if (limit !== undefined && !(Number.isInteger(limit) && limit >= 1 && limit <= 100)) {
+          return reply(ack, { success: false, message: 'Limit must be 1-100' });
+        }
+        if (timeLimit !== undefined && !(Number.isInteger(timeLimit) && timeLimit >= 5 && timeLimit <= 120)) {
+          return reply(ack, { success: false, message: 'Time limit must be 5-120 seconds' });
+        }
+
+        // One room per host connection: disconnect cleanup only knows about socket.data.hostPin
+        if (socket.data.creatingRoom || (socket.data.hostPin && LiveQuizService.getRoom(socket.data.hostPin))) {
+          return reply(ack, { success: false, message: 'End your current game before hosting another' });
+        }
+
+        socket.data.creatingRoom = true;
+        let room;
+        try {
+          room = await LiveQuizService.createRoom(socket.user, { videoId, questionIds, limit, timeLimit });
+        } finally {
+          socket.data.creatingRoom = false;
+        }
+        socket.join(channel(room.pin));
+        socket.data.hostPin = room.pin;
+        reply(ack, {
+          success: true,
+          message: 'Room created',
+          data: { pin: room.pin, totalQuestions: room.questionIds.length },
+        });
+      } catch (error) {
+        console.error('Error in live host:create:', error);
+        reply(ack, { success: false, message: error.message });
+      }
+    });
+
+    // Player: join a room by PIN (rejoining restores the score)
+    socket.on('player:join', (payload = {}, ack) => {
+      try {
+        const room = LiveQuizService.getRoom(payload.pin);
+        if (!room) return reply(ack, { success: false, message: 'Room not found' });
+        if (room.host === userId) return reply(ack, { success: false, message: 'The host cannot play in their own room' });
+
+        const player = LiveQuizService.addPlayer(room, socket.user, { nickname: payload.nickname, socketId: socket.id });
+        socket.join(channel(room.pin));
+        socket.data.playerPin = room.pin;
+        live.to(channel(room.pin)).emit('room:players', { players: LiveQuizService.playerList(room) });
+        reply(ack, {
+          success: true,
+          message: 'Joined room',
+          data: { pin: room.pin, nickname: player.nickname, score: player.score, status: room.status },
+        });
+      } catch (error) {
+        reply(ack, { success: false, message: error.message });
+      }
+    });
+
+    // Host: open the next question, or finish the game after the last one
+    socket.on('host:next', async (payload = {}, ack) => {
+      try {
+        const room = LiveQuizService.getRoom(payload.pin);
+        if (!room || room.host !== userId) return reply(ack, { success: false, message: 'Room not found' });
+        if (room.status === 'question') return reply(ack, { success: false, message: 'The current round is still open' });
+        if (room.status === 'lobby' && !room.players.size) return reply(ack, { success: false, message: 'Wait for players to join' });
+
+        if (!LiveQuizService.hasNextRound(room)) {
+          finishGame(room);
+          return reply(ack, { success: true, message: 'Game finished' });
+        }
+
+        const round = await LiveQuizService.startRound(room);
+        if (!round) {
+          // Every remaining question was retired or sent back to review
+          finishGame(room);
+          return reply(ack, { success: true, message: 'Game finished: no playable questions left' });
+        }
+
+        live.to(channel(room.pin)).emit('round:question', {
+          index: room.roundIndex,
+          total: room.questionIds.length,
+          ...round,
+        });
+        room.timer = setTimeout(() => closeRound(room), (round.timeLimit + ROUND_GRACE) * 1000);
+        reply(ack, { success: true, message: 'Round started', data: { index: room.roundIndex } });
+      } catch (error) {
+        console.error('Error in live host:next:', error);
+        reply(ack, { success: false, message: 'Error starting round' });
+      }
+    });
+
+    // Host: close the open round before the countdown ends
+    socket.on('host:close-round', async (payload = {}, ack) => {
+      const room = LiveQuizService.getRoom(payload.pin);
+      if (!room || room.host !== userId) return reply(ack, { success: false, message: 'Room not found' });
+      if (room.status !== 'question') return reply(ack, { success: false, message: 'No round is open' });
+      await closeRound(room);
+      reply(ack, { success: true, message: 'Round closed' });
+    });
+
+    // Host: end the game now and show the final leaderboard
+    socket.on('host:end', (payload = {}, ack) => {
+      const room = LiveQuizService.getRoom(payload.pin);
+      if (!room || room.host !== userId) return reply(ack, { success: false, message: 'Room not found' });
+      if (room.status === 'question') {
+        // Answers already given in the open round are discarded rather than half-scored
+        room.round = null;
+      }
+      finishGame(room);
+      reply(ack, { success: true, message: 'Game finished' });
+    });
+
+    // Player: answer the open question; the round closes early once everyone has answered
+    socket.on('player:answer', async (payload = {}, ack) => {
+      const room = LiveQuizService.getRoom(payload.pin);
+      if (!room) return reply(ack, { success: false, message: 'Room not found' });
+
+      const error = LiveQuizService.submitAnswer(room, userId, payload.answer);
+      if (error) return reply(ack, { success: false, message: error });
+      reply(ack, { success: true, message: 'Answer received' });
+
+      live.to(channel(room.pin)).emit('round:answer-count', {
+        answered: room.round.answers.size,
+        players: room.players.size,
+      });
+      if (LiveQuizService.allAnswered(room)) await closeRound(room);
+    });
+
+    socket.on('disconnect', () => {
+      const hostRoom = socket.data.hostPin && LiveQuizService.getRoom(socket.data.hostPin);
+      if (hostRoom) {
+        clearTimeout(hostRoom.timer);
+        live.to(channel(hostRoom.pin)).emit('room:closed', { message: 'The host left the game' });
+        LiveQuizService.removeRoom(hostRoom.pin);
+        return;
+      }
+
+      const playerRoom = socket.data.playerPin && LiveQuizService.getRoom(socket.data.playerPin);
+      const player = playerRoom?.players.get(userId);
+      if (player && player.socketId === socket.id) {
+        player.connected = false;
+        live.to(channel(playerRoom.pin)).emit('room:players', { players: LiveQuizService.playerList(playerRoom) });
+      }
+    });
+  });
+
+  return io;
+};
@@ -0,0 +1,52 @@
+// Transcript text within `window` seconds either side of a timestamp,
+// or the whole transcript when there is no timestamp or no word-level timing
+export const transcriptWindow = (transcript, timestamp, { window = 120, maxChars = 12000 } = {}) => {
+  if (!transcript) return '';
+
+  if (timestamp !== null && timestamp !== undefined && transcript.timestamped?.length) {
+    const words = transcript.timestamped
+      .filter(word => word.end >= timestamp - window && word.start <= timestamp + window)
+      .map(word => word.text);
+    if (words.length) return words.join(' ').substring(0, maxChars);
+  }
+  return (transcript.text || '').substring(0, maxChars);
+};
+
+// Seconds from a number or a "m:ss" / "h:mm:ss" string; null when the value can't be read
+export const parseTimestamp = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  const text = String(value ?? '').trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (!/^\d+(:[0-5]\d){1,2}$/.test(text)) return null;
+  return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+};
+
+// Start and end (seconds) of a 1-based chapter in playback order; a chapter without an end
+// runs until the next one starts, or to the last transcribed word
+export const chapterRange = (transcript, number) => {
+  const chapters = [...(transcript?.chapters || [])].sort((a, b) => (a.start || 0) - (b.start || 0));
+  const chapter = chapters[number - 1];
+  if (!chapter) return null;
+  const lastWord = transcript.timestamped?.[transcript.timestamped.length - 1];
+  return {
+    start: chapter.start || 0,
+    end: chapter.end || chapters[number]?.start || lastWord?.end || null,
+    title: chapter.headline || chapter.gist || null,
+  };
+};
+
+// Transcript words spoken between start and end (seconds), with a [123s] marker every
+// `markerEvery` seconds so generated questions can cite timestamps inside the range
+export const transcriptRange = (transcript, { start, end, markerEvery = 30, maxChars = 20000 }) => {
+  const parts = [];
+  let nextMarker = start;
+  for (const word of transcript?.timestamped || []) {
+    if (word.end < start || word.start > end) continue;
+    if (word.start >= nextMarker) {
+      parts.push(`[${Math.floor(word.start)}s]`);
+      nextMarker = word.start + markerEvery;
+    }
+    parts.push(word.text);
+  }
+  return parts.join(' ').substring(0, maxChars);
+};